@@ -1,11 +1,36 @@
-import fs   from 'fs';
-import path from 'path';
+import fs            from 'fs';
+import path          from 'path';
+
+import PathMatcher   from './utils/PathMatcher.js';
 
 /**
  * Defines the data used by typhonjs-config-resolver to validate TJSDocConfig files including loading extended configs.
+ *
+ * The RegExp instances `_includes` / `_excludes` and `test._includes` / `test._excludes` of a resolved TJSDocConfig are
+ * compiled from the include / exclude entries by {@link ConfigData#compilePathEntries} as entries may be glob patterns.
  */
 export default class ConfigData
 {
+   /**
+    * Compiles the include / exclude entries of a resolved TJSDocConfig to the RegExp instances `_includes` /
+    * `_excludes` and `test._includes` / `test._excludes` replacing any existing values; see
+    * {@link PathMatcher#compile}. Existing values are retained when there are no corresponding entries.
+    *
+    * @param {TJSDocConfig}   config - A resolved TJSDocConfig.
+    */
+   static compilePathEntries(config)
+   {
+      if (typeof config !== 'object' || config === null) { throw new TypeError(`'config' is not an 'object'.`); }
+
+      for (const target of [config, config.test])
+      {
+         if (typeof target !== 'object' || target === null) { continue; }
+
+         if (Array.isArray(target.includes)) { target._includes = PathMatcher.compile(target.includes); }
+         if (Array.isArray(target.excludes)) { target._excludes = PathMatcher.compile(target.excludes); }
+      }
+   }
+
    /**
     * Creates the common TJSDoc config resolver data for default values and pre / post validation in addition to
     * mixing in any data from the callee.
@@ -56,6 +81,10 @@ export default class ConfigData
       return {
          'access': ['public', 'protected', 'private'],
 
+         'apiSemverAllowOverBump': false,
+
+         'apiSemverFail': false,
+
          'autoPrivate': true,
 
          'builtinVirtual': true,
@@ -76,6 +105,8 @@ export default class ConfigData
 
          'docCoverageFiles': false,
 
+         'docCoverageReporters': [],
+
          'docLint': true,
 
          'emptyDestination': false,
@@ -114,7 +145,11 @@ export default class ConfigData
 
          'undocumentIdentifier': true,
 
-         'unexportIdentifier': true
+         'unexportIdentifier': true,
+
+         'validateDocObjects': false,
+
+         'validateExamples': false
       };
    }
 
@@ -180,10 +215,18 @@ export default class ConfigData
       return {
          'access': { required: false, test: 'array', expected: ['private', 'protected', 'public'] },
 
+         'apiSemverAllowOverBump': { required: false, test: 'entry', type: 'boolean' },
+
+         'apiSemverBaseline': { required: false, test: 'entry', type: 'string' },
+
+         'apiSemverFail': { required: false, test: 'entry', type: 'boolean' },
+
          'autoPrivate': { required: false, test: 'entry', type: 'boolean' },
 
          'builtinVirtual': { required: false, test: 'entry', type: 'boolean' },
 
+         'cacheDirectory': { required: false, test: 'entry', type: 'string' },
+
          'compactData': { required: false, test: 'entry', type: 'boolean' },
 
          'compressData': { required: false, test: 'entry', type: 'boolean' },
@@ -200,11 +243,32 @@ export default class ConfigData
 
          'docCoverage': { required: false, test: 'entry', type: 'boolean' },
 
+         'docCoverageAccess': { required: false, test: 'array', expected: ['private', 'protected', 'public'] },
+
+         'docCoverageBaseline': { required: false, test: 'entry', expected: s_VALIDATE_COVERAGE_BASELINE,
+          message: 'invalid coverage baseline; expected a file path or { filePath, noRegression, update }' },
+
          'docCoverageFiles': { required: false, test: 'entry', type: 'boolean' },
 
+         'docCoverageKinds': { required: false, test: 'array', expected: ['ClassMember', 'ClassMethod',
+          'ClassProperty', 'ModuleAssignment', 'ModuleClass', 'ModuleFunction', 'ModuleVariable'] },
+
+         'docCoverageReporters': { required: false, test: 'array', expected: s_VALIDATE_COVERAGE_REPORTER,
+          message: 'invalid coverage reporter; expected a reporter type or { type, filePath }' },
+
+         'docCoverageThreshold': { required: false, test: 'entry', expected: s_VALIDATE_COVERAGE_THRESHOLD,
+          message: 'invalid coverage threshold; expected a percentage or { global, file, kind }' },
+
          'docLint': { required: false, test: 'entry', type: 'boolean' },
 
-         'excludes': { required: false, test: 'array', expected: (entry) => new RegExp(entry) },
+         'docSkeleton': { required: false, test: 'entry', expected: s_VALIDATE_DOC_SKELETON,
+          message: 'invalid doc skeleton; expected a boolean or { format, filePath }' },
+
+         'docStats': { required: false, test: 'entry', expected: s_VALIDATE_DOC_STATS,
+          message: 'invalid doc stats; expected a boolean or { filePath, log }' },
+
+         'excludes': { required: false, test: 'array', expected: PathMatcher.isValidEntry,
+          message: 'invalid entry; expected a RegExp string or glob: pattern' },
 
          'emptyDestination': { required: false, test: 'entry', type: 'boolean' },
 
@@ -214,6 +278,9 @@ export default class ConfigData
 
          'includeSource': { required: false, test: 'entry', type: 'boolean' },
 
+         'includes': { required: false, test: 'array', expected: PathMatcher.isValidEntry,
+          message: 'invalid entry; expected a RegExp string or glob: pattern' },
+
          'index': { required: false, test: 'entry', type: 'string' },
 
          'logLevel': { required: false, test: 'entry', expected:
@@ -228,6 +295,9 @@ export default class ConfigData
          'plugins': { required: false, test: 'array', expected:
           (entry) => eventbus.triggerSync('plugins:is:valid:config', entry), message: 'invalid plugin config' },
 
+         'profile': { required: false, test: 'entry', expected: s_VALIDATE_PROFILE,
+          message: 'invalid profile; expected a boolean or { filePath, log, top }' },
+
          'publisher': { required: false, test: 'entry', expected:
           (entry) => (typeof entry === 'string' || typeof entry === 'object') && entry !== null },
 
@@ -237,6 +307,12 @@ export default class ConfigData
 
          'runtimeOptions': { required: false, test: 'entry', type: 'object' },
 
+         'runtimeOptions.docDBBackend': { required: false, test: 'entry', expected: ['native', 'taffydb'] },
+
+         'runtimeOptions.generateWorkers': { required: false, test: 'entry',
+          expected: (entry) => Number.isInteger(entry) && entry >= 0,
+           message: 'invalid worker pool size; expected an integer >= 0' },
+
          'separateDataArchives': { required: false, test: 'entry', type: 'boolean' },
 
          'source': { required: false, test: 'entry|array', type: 'string' },
@@ -245,9 +321,11 @@ export default class ConfigData
 
          'test': { required: false, test: 'entry', expected: (entry) => entry !== null && typeof entry === 'object' },
 
-         'test.excludes': { required: false, test: 'array', expected: (entry) => new RegExp(entry) },
+         'test.excludes': { required: false, test: 'array', expected: PathMatcher.isValidEntry,
+          message: 'invalid entry; expected a RegExp string or glob: pattern' },
 
-         'test.includes': { required: false, test: 'array', expected: (entry) => new RegExp(entry) },
+         'test.includes': { required: false, test: 'array', expected: PathMatcher.isValidEntry,
+          message: 'invalid entry; expected a RegExp string or glob: pattern' },
 
          'test.source': { required: false, test: 'entry|array', type: 'string' },
 
@@ -257,7 +335,14 @@ export default class ConfigData
 
          'undocumentIdentifier': { required: false, test: 'entry', type: 'boolean' },
 
-         'unexportIdentifier': { required: false, test: 'entry', type: 'boolean' }
+         'unexportIdentifier': { required: false, test: 'entry', type: 'boolean' },
+
+         'validateDocObjects': { required: false, test: 'entry', type: 'boolean' },
+
+         'validateExamples': { required: false, test: 'entry', type: 'boolean' },
+
+         'watch': { required: false, test: 'entry', expected: s_VALIDATE_WATCH,
+          message: 'invalid watch; expected a boolean or { debounce, publish, silent }' }
       };
    }
 
@@ -270,6 +355,9 @@ export default class ConfigData
    {
       return [
          'access',
+         'docCoverageAccess',
+         'docCoverageKinds',
+         'docCoverageReporters',
          'excludes',
          'extends',
          'includes',
@@ -281,3 +369,149 @@ export default class ConfigData
    }
 }
 
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Validates a documentation coverage baseline which is either a file path or an object with a `filePath` and optional
+ * boolean `noRegression` and `update` entries.
+ *
+ * @param {string|object}  entry - The baseline entry to validate.
+ *
+ * @returns {boolean}
+ */
+function s_VALIDATE_COVERAGE_BASELINE(entry)
+{
+   if (typeof entry === 'string') { return true; }
+
+   return typeof entry === 'object' && entry !== null && typeof entry.filePath === 'string' &&
+    ['noRegression', 'update'].every((key) => typeof entry[key] === 'undefined' || typeof entry[key] === 'boolean');
+}
+
+/**
+ * Defines the documentation coverage reporter types.
+ * @type {string[]}
+ */
+const s_COVERAGE_REPORTER_TYPES = ['badge', 'cobertura', 'json', 'lcov'];
+
+/**
+ * Validates a documentation coverage reporter entry which is either a reporter type or an object with a `type` and
+ * optional `filePath`.
+ *
+ * @param {string|object}  entry - The reporter entry to validate.
+ *
+ * @returns {boolean}
+ */
+function s_VALIDATE_COVERAGE_REPORTER(entry)
+{
+   if (typeof entry === 'string') { return s_COVERAGE_REPORTER_TYPES.includes(entry); }
+
+   return typeof entry === 'object' && entry !== null && s_COVERAGE_REPORTER_TYPES.includes(entry.type) &&
+    (typeof entry.filePath === 'undefined' || typeof entry.filePath === 'string');
+}
+
+/**
+ * Validates a documentation coverage threshold which is either a percentage or an object with optional `global` and
+ * `file` percentages and a `kind` object hash of doc kind to percentage.
+ *
+ * @param {number|object}  entry - The threshold entry to validate.
+ *
+ * @returns {boolean}
+ */
+function s_VALIDATE_COVERAGE_THRESHOLD(entry)
+{
+   const isPercent = (value) => typeof value === 'number' && value >= 0 && value <= 100;
+
+   if (typeof entry === 'number') { return isPercent(entry); }
+
+   if (typeof entry !== 'object' || entry === null || Array.isArray(entry)) { return false; }
+
+   for (const key of Object.keys(entry))
+   {
+      switch (key)
+      {
+         case 'global':
+         case 'file':
+            if (!isPercent(entry[key])) { return false; }
+            break;
+
+         case 'kind':
+            if (typeof entry.kind !== 'object' || entry.kind === null) { return false; }
+            if (!Object.keys(entry.kind).every((kind) => isPercent(entry.kind[kind]))) { return false; }
+            break;
+
+         default:
+            return false;
+      }
+   }
+
+   return true;
+}
+
+/**
+ * Validates a doc skeleton entry which is either a boolean or an object with an optional `format` of `diff` or `json`
+ * and `filePath`.
+ *
+ * @param {boolean|object} entry - The doc skeleton entry to validate.
+ *
+ * @returns {boolean}
+ */
+function s_VALIDATE_DOC_SKELETON(entry)
+{
+   if (typeof entry === 'boolean') { return true; }
+
+   return typeof entry === 'object' && entry !== null &&
+    (typeof entry.format === 'undefined' || entry.format === 'diff' || entry.format === 'json') &&
+    (typeof entry.filePath === 'undefined' || typeof entry.filePath === 'string');
+}
+
+/**
+ * Validates a doc stats entry which is either a boolean or an object with an optional `filePath` and boolean `log`.
+ *
+ * @param {boolean|object} entry - The doc stats entry to validate.
+ *
+ * @returns {boolean}
+ */
+function s_VALIDATE_DOC_STATS(entry)
+{
+   if (typeof entry === 'boolean') { return true; }
+
+   return typeof entry === 'object' && entry !== null &&
+    (typeof entry.filePath === 'undefined' || typeof entry.filePath === 'string') &&
+    (typeof entry.log === 'undefined' || typeof entry.log === 'boolean');
+}
+
+/**
+ * Validates a profile entry which is either a boolean or an object with an optional `filePath`, boolean `log` and
+ * positive integer `top`.
+ *
+ * @param {boolean|object} entry - The profile entry to validate.
+ *
+ * @returns {boolean}
+ */
+function s_VALIDATE_PROFILE(entry)
+{
+   if (typeof entry === 'boolean') { return true; }
+
+   return typeof entry === 'object' && entry !== null &&
+    (typeof entry.filePath === 'undefined' || typeof entry.filePath === 'string') &&
+    (typeof entry.log === 'undefined' || typeof entry.log === 'boolean') &&
+    (typeof entry.top === 'undefined' || (Number.isInteger(entry.top) && entry.top > 0));
+}
+
+/**
+ * Validates a watch entry which is either a boolean or an object with an optional integer `debounce` >= 0 and boolean
+ * `publish` and `silent`.
+ *
+ * @param {boolean|object} entry - The watch entry to validate.
+ *
+ * @returns {boolean}
+ */
+function s_VALIDATE_WATCH(entry)
+{
+   if (typeof entry === 'boolean') { return true; }
+
+   return typeof entry === 'object' && entry !== null &&
+    (typeof entry.debounce === 'undefined' || (Number.isInteger(entry.debounce) && entry.debounce >= 0)) &&
+    (typeof entry.publish === 'undefined' || typeof entry.publish === 'boolean') &&
+    (typeof entry.silent === 'undefined' || typeof entry.silent === 'boolean');
+}
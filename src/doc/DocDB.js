@@ -1,41 +1,342 @@
-import { taffy }  from 'taffydb';
+import fs                     from 'fs';
+import path                   from 'path';
+
+import DocDBDiff              from './DocDBDiff.js';
+import DocDBSearch            from './DocDBSearch.js';
+import DocObjectSchema        from './DocObjectSchema.js';
+import FileDependencyGraph    from './FileDependencyGraph.js';
+import NativeDocBackend       from './backend/NativeDocBackend.js';
+import TaffyDocBackend        from './backend/TaffyDocBackend.js';
+
+import FileUtil               from '../utils/FileUtil.js';
+import GenerateProfiler       from '../utils/GenerateProfiler.js';
 
 /**
- * Provides several utility methods and event bindings for the TJSDoc document / tag data using TaffyDB.
+ * Provides several utility methods and event bindings for the TJSDoc document / tag data. Doc data is stored in a
+ * pluggable storage backend which by default is TaffyDB. The `native` backend provides an indexed in-memory alternative
+ * and is selected with `runtimeOptions.docDBBackend` or the `backend` constructor option. Both backends accept TaffyDB
+ * query syntax.
+ *
+ * Changes to the doc data by `insert`, `insertDocObject`, `insertStaticDoc`, `merge`, `remove`, `removeAndInsertDB`,
+ * `reset` and `rollbackTransaction` emit `tjsdoc:data:docdb:changed` on any associated eventbus with
+ * `{ docDB, operation, operations, filePaths, count }` where `operations` is an object hash of operation to count.
+ * Changes made between {@link DocDB#beginChangeBatch} and {@link DocDB#endChangeBatch} are emitted as a single summary
+ * with the operation `batch`. Direct updates to query results are not notified.
  *
  * An onPluginLoad callback also wires up DocDB to an eventbus via {@link PluginManager}.
  */
 export class DocDB
 {
    /**
-    * Initializes the TaffyDB instance with given document data.
+    * Initializes the storage backend with given document data.
     *
     * @param {DocObject[]}    [docData] - DocObject data.
     *
+    * @param {string}         [backend='taffydb'] - The storage backend name; either `taffydb` or `native`.
+    *
     * @param {TyphonEvents}   [eventbus] - An eventbus instance to set for this DocDB instance.
     *
+    * @param {object}         [metadata] - Optional metadata associated with the doc data; IE loaded from a snapshot.
+    *
     * @param {string}         [mode='generate'] - Defines the operational mode. By default this is `generate` which
     *                                          normally occurs during initial full generation of all docs, but it is
     *                                          possible to regenerate docs for a subset of files incrementally and in
     *                                          this case mode is set to `regenerate`. The mode is passed into the
-    *                                          `onHandleDocObject` plugin callback in `insertStaticDoc` allowing plugins
+    *                                          `onHandleDocObject` plugin callback in `insertDocObject` allowing plugins
     *                                          to optionally handle doc objects based on `mode`.
+    *
+    * @param {boolean}        [profile=false] - If true the time of each `onHandleDocObject` plugin callback and the
+    *                                           storage insert of `insertDocObject` is recorded by
+    *                                           {@link GenerateProfiler}.
+    *
+    * @param {boolean}        [validate=false] - If true DocObjects inserted by `insert`, `insertDocObject` and
+    *                                            `insertStaticDoc` are validated against {@link DocObjectSchema}.
     */
-   constructor({ docData = void 0, eventbus = void 0, mode = 'generate' } = {})
+   constructor({ docData = void 0, backend = 'taffydb', eventbus = void 0, metadata = void 0, mode = 'generate',
+    profile = false, validate = false } = {})
    {
       /**
-       * TaffyDB instance of docData.
-       * @type {TaffyDB}
+       * The next doc ID to assign. When doc data is provided IDs continue after the highest existing `__docId__`.
+       * @type {number}
+       */
+      this._docID = s_GET_NEXT_DOC_ID(docData);
+
+      const Backend = s_BACKENDS[backend];
+
+      if (typeof Backend !== 'function')
+      {
+         throw new TypeError(`'backend' is not a supported DocDB backend: ${JSON.stringify(Object.keys(s_BACKENDS))}.`);
+      }
+
+      /**
+       * Storage backend instance of docData.
+       * @type {TaffyDocBackend|NativeDocBackend}
        */
-      this._docDB = taffy(docData);
+      this._backend = new Backend(docData);
 
-      this._docID = 0; // TODO determine highest __docId__ from any given docData
+      /**
+       * Optional metadata associated with the doc data.
+       * @type {object}
+       */
+      this._metadata = metadata;
 
       this._mode = mode;
 
+      /**
+       * The nesting depth of change batches; while greater than 0 change notifications are accumulated.
+       * @type {number}
+       * @private
+       */
+      this._changeBatchDepth = 0;
+
+      /**
+       * The accumulated changes of the current change batch.
+       * @type {{operations: object<string, number>, filePaths: Set<string>, count: number}}
+       * @private
+       */
+      this._changeBatch = void 0;
+
+      /**
+       * The event prepend for change notifications which is replaced by any `eventPrepend` plugin option.
+       * @type {string}
+       * @private
+       */
+      this._eventPrepend = 'tjsdoc';
+
+      /**
+       * The active transaction storing the doc ID and DocObject snapshots by file path to restore on rollback.
+       * @type {{docID: number, snapshots: Map<string, DocObject[]>}}
+       * @private
+       */
+      this._transaction = void 0;
+
+      /**
+       * The cached file dependency graph which is invalidated on any change and by `reindex`.
+       * @type {FileDependencyGraph}
+       * @private
+       */
+      this._fileDependencyGraph = void 0;
+
+      /**
+       * When true the plugin and insert phases of `insertDocObject` are recorded by {@link GenerateProfiler}.
+       * @type {boolean}
+       * @private
+       */
+      this._profile = profile;
+
+      /**
+       * When true inserted DocObjects are validated against {@link DocObjectSchema}.
+       * @type {boolean}
+       * @private
+       */
+      this._validate = validate;
+
       this.setEventbus(eventbus);
    }
 
+   /**
+    * Creates a DocDB instance from a snapshot created by {@link DocDB#getSnapshot}.
+    *
+    * @param {DocDBSnapshot}  snapshot - A DocDB snapshot.
+    *
+    * @param {string}         [backend='taffydb'] - The storage backend name for the new DocDB instance.
+    *
+    * @param {TyphonEvents}   [eventbus] - An eventbus instance to set for the new DocDB instance.
+    *
+    * @param {string}         [mode='generate'] - Defines the operational mode of the new DocDB instance.
+    *
+    * @returns {DocDB}
+    */
+   static fromSnapshot(snapshot, { backend = 'taffydb', eventbus = void 0, mode = 'generate' } = {})
+   {
+      if (typeof snapshot !== 'object' || snapshot === null) { throw new TypeError(`'snapshot' is not an 'object'.`); }
+
+      if (snapshot.version !== s_SNAPSHOT_VERSION)
+      {
+         throw new Error(`DocDB snapshot version '${snapshot.version}' is not supported; expected '${
+          s_SNAPSHOT_VERSION}'.`);
+      }
+
+      if (!Array.isArray(snapshot.docData)) { throw new TypeError(`'snapshot.docData' is not an 'array'.`); }
+
+      return new DocDB({ docData: snapshot.docData, backend, eventbus, metadata: snapshot.metadata, mode });
+   }
+
+   /**
+    * Loads a DocDB snapshot saved by {@link DocDB#save} creating a new DocDB instance.
+    *
+    * @param {string}         filePath - The file path of the snapshot to load; relative paths are resolved from the
+    *                                    current working directory.
+    *
+    * @param {string}         [backend='taffydb'] - The storage backend name for the new DocDB instance.
+    *
+    * @param {TyphonEvents}   [eventbus] - An eventbus instance to set for the new DocDB instance.
+    *
+    * @param {string}         [mode='generate'] - Defines the operational mode of the new DocDB instance.
+    *
+    * @returns {DocDB}
+    */
+   static load({ filePath = void 0, backend = 'taffydb', eventbus = void 0, mode = 'generate' } = {})
+   {
+      if (typeof filePath !== 'string') { throw new TypeError(`'filePath' is not a 'string'.`); }
+
+      const snapshot = JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8'));
+
+      return DocDB.fromSnapshot(snapshot, { backend, eventbus, mode });
+   }
+
+   /**
+    * Begins a change batch. Until the matching {@link DocDB#endChangeBatch} all change notifications are accumulated
+    * and then a single summary `tjsdoc:data:docdb:changed` event is emitted. Change batches may be nested.
+    */
+   beginChangeBatch()
+   {
+      if (this._changeBatchDepth === 0) { this._changeBatch = { operations: {}, filePaths: new Set(), count: 0 }; }
+
+      this._changeBatchDepth++;
+   }
+
+   /**
+    * Begins a transaction. Until {@link DocDB#commitTransaction} or {@link DocDB#rollbackTransaction} the DocObjects of
+    * every file path modified by `insert`, `insertDocObject`, `insertStaticDoc`, `merge`, `remove`, `removeAndInsertDB`
+    * or `reset` are copied before modification so that a rollback restores them. File paths may be given to eagerly
+    * copy DocObjects which are modified directly; IE by the core doc resolver. DocObjects without a `filePath` are not
+    * restored and transactions may not be nested.
+    *
+    * @param {string|string[]}   [filePath] - File paths of DocObjects to copy immediately.
+    */
+   beginTransaction({ filePath = void 0 } = {})
+   {
+      if (this._transaction) { throw new Error(`A DocDB transaction is already active.`); }
+
+      this._transaction = { docID: this._docID, snapshots: new Map() };
+
+      if (filePath) { this._snapshotFilePaths(Array.isArray(filePath) ? filePath : [filePath]); }
+   }
+
+   /**
+    * Checks source documentation coverage against minimum percentage thresholds. A threshold is either a number
+    * defining the global minimum or an object with optional `global`, `file` and `kind` entries where `file` is the
+    * minimum for each file and `kind` is an object hash of doc kind to minimum; IE `{ global: 80, file: 50, kind:
+    * { ModuleClass: 100 } }`. Thresholds are percentages from 0 to 100.
+    *
+    * @param {number|object}     threshold - The coverage threshold(s) to check.
+    *
+    * @param {string|string[]}   [filePath] - An optional string or array of string to limit data collection.
+    *
+    * @returns {{passed: boolean, coverage: DocDBCoverage, failures: Array<{type: string, target: string, percent: number, threshold: number}>}}
+    */
+   checkSourceCoverage({ threshold = void 0, filePath = void 0 } = {})
+   {
+      if (typeof threshold === 'number') { threshold = { global: threshold }; }
+
+      if (typeof threshold !== 'object' || threshold === null)
+      {
+         throw new TypeError(`'threshold' is not a 'number' or 'object'.`);
+      }
+
+      const coverage = this.getSourceCoverage({ filePath, includeFiles: typeof threshold.file === 'number' });
+      const failures = [];
+
+      const checkThreshold = (type, target, targetCoverage, minimum) =>
+      {
+         const percent = Math.floor(10000 * targetCoverage.percent) / 100;
+
+         // Skip targets without any doc objects to cover.
+         if (targetCoverage.expectedCount > 0 && percent < minimum)
+         {
+            failures.push({ type, target, percent, threshold: minimum });
+         }
+      };
+
+      if (typeof threshold.global === 'number') { checkThreshold('global', 'all', coverage, threshold.global); }
+
+      if (typeof threshold.file === 'number')
+      {
+         for (const path of Object.keys(coverage.files).sort((a, b) => a.localeCompare(b)))
+         {
+            checkThreshold('file', path, coverage.files[path], threshold.file);
+         }
+      }
+
+      if (typeof threshold.kind === 'object' && threshold.kind !== null)
+      {
+         for (const kind of Object.keys(threshold.kind).sort())
+         {
+            if (coverage.kinds[kind]) { checkThreshold('kind', kind, coverage.kinds[kind], threshold.kind[kind]); }
+         }
+      }
+
+      return { passed: failures.length === 0, coverage, failures };
+   }
+
+   /**
+    * Commits the active transaction discarding any copied DocObjects.
+    */
+   commitTransaction()
+   {
+      if (!this._transaction) { throw new Error(`A DocDB transaction is not active.`); }
+
+      this._transaction = void 0;
+   }
+
+   /**
+    * Compares this DocDB against another DocDB matching DocObjects by `longname` and returns added, removed and changed
+    * identifiers. This DocDB is considered the current state and the given DocDB the previous / baseline state.
+    *
+    * @param {DocDB}    otherDocDB - The previous / baseline DocDB to compare against.
+    *
+    * @param {string[]} [fields] - The DocObject fields to compare; by default: `access`, `export`, `kind`, `params`,
+    *                              `return`, `static` and `type`.
+    *
+    * @returns {DocDBDiffResult}
+    */
+   diff(otherDocDB, { fields = void 0 } = {})
+   {
+      if (!(otherDocDB instanceof DocDB)) { throw new TypeError(`'otherDocDB' is not a 'DocDB'.`); }
+
+      return DocDBDiff.diffDocs(this.find(), otherDocDB.find(), { fields });
+   }
+
+   /**
+    * Ends a change batch begun with {@link DocDB#beginChangeBatch}. When the outermost batch ends and changes occurred
+    * a summary `tjsdoc:data:docdb:changed` event is emitted with the operation `batch`.
+    */
+   endChangeBatch()
+   {
+      if (this._changeBatchDepth === 0) { throw new Error(`'endChangeBatch' invoked without 'beginChangeBatch'.`); }
+
+      this._changeBatchDepth--;
+
+      if (this._changeBatchDepth > 0) { return; }
+
+      const batch = this._changeBatch;
+
+      this._changeBatch = void 0;
+
+      if (batch.count > 0)
+      {
+         this._emitChange({ operation: 'batch', operations: batch.operations,
+          filePaths: Array.from(batch.filePaths).sort(), count: batch.count });
+      }
+   }
+
+   /**
+    * Emits `tjsdoc:data:docdb:changed` on any associated eventbus.
+    *
+    * @param {{operation: string, operations: object<string, number>, filePaths: string[], count: number}} change -
+    *        The change data.
+    *
+    * @private
+    */
+   _emitChange(change)
+   {
+      if (this._eventbus)
+      {
+         this._eventbus.trigger(`${this._eventPrepend}:data:docdb:changed`, Object.assign({ docDB: this }, change));
+      }
+   }
+
    /**
     * Filters out any unnecessary DocObject data based on the target project TJSDocConfig.
     *
@@ -137,13 +438,19 @@ export class DocDB
       {
          const parent = matched[1];
          const childName = matched[2];
+         const isStatic = name.charAt(parent.length) === '.';
          const parentDoc = this.findByName(parent, 'ModuleClass')[0];
 
-         if (parentDoc && parentDoc._custom_extends_chains)
+         if (parentDoc)
          {
-            for (const superLongname of parentDoc._custom_extends_chains)
+            // Inherited members are ordered by nearest ancestor so only the members of the first match are returned.
+            const inherited = this.findInheritedMembers(parentDoc.longname).filter((entry) =>
+             entry.doc.name === childName && !!entry.doc.static === isStatic &&
+              (!kind || entry.doc.kind === kind) && (!qualifier || entry.doc.qualifier === qualifier));
+
+            if (inherited.length)
             {
-               if (docs.length) { return this.find({ memberof: superLongname, name: childName }); }
+               return inherited.filter((entry) => entry.from === inherited[0].from).map((entry) => entry.doc);
             }
          }
       }
@@ -153,33 +460,26 @@ export class DocDB
 
    /**
     * Returns all unique dependent file paths from ModuleFile docs which already have been resolved by CoreDocResolver.
+    * This includes the files which depend on the given files (forward dependencies from parent to child docs) and the
+    * files the given files directly depend on (backward dependencies from child to parent docs). The given file paths
+    * are not included.
     *
     * @param {string|Array<string>} filePath - A file path string or array of strings to find associated file docs.
     *
     * @param {Array<string>}        [output=[]] - An array to push additional dependent files paths.
     *
+    * @param {boolean}              [transitive=false] - If true all indirect forward dependencies are included; IE all
+    *                                                    files of subclasses in a deep class hierarchy.
+    *
     * @returns {Array<string>}
     */
-   findDependentFiles(filePath, output = [])
+   findDependentFiles(filePath, output = [], transitive = false)
    {
-      const docs = this.find({ kind: 'ModuleFile', filePath });
-
-      const dependent = new Set();
+      const graph = this.getFileDependencyGraph();
 
-      for (const doc of docs)
-      {
-         // Forward dependencies from parent to child docs.
-         if (Array.isArray(doc._custom_dependent_file_paths))
-         {
-            for (const file of doc._custom_dependent_file_paths) { dependent.add(file); }
-         }
+      const dependent = new Set(graph.getDependents(filePath, { transitive }));
 
-         // Backward dependencies from child to parent docs.
-         if (Array.isArray(doc._custom_dependent_file_paths))
-         {
-            for (const file of doc._custom_dependent_file_paths) { dependent.add(file); }
-         }
-      }
+      for (const file of graph.getDependencies(filePath)) { dependent.add(file); }
 
       output.push(...dependent);
 
@@ -203,6 +503,53 @@ export class DocDB
       };
    }
 
+   /**
+    * Finds all members a class inherits from its extends chain, mixins and implemented interfaces. Members are ordered
+    * by nearest ancestor first; members overridden by the class or a nearer ancestor are not included. Ancestors are
+    * resolved from `_custom_extends_chains` and `extends` (mixins are any entries after the first) and interfaces from
+    * `implements` and `_custom_indirect_implements` as recorded by the core doc resolver.
+    *
+    * @param {string}   classLongname - The longname or name of the class.
+    *
+    * @returns {InheritedMember[]} Each inherited member doc with the longname of the class it comes from and the
+    *                              relation (`extends`, `mixin` or `implements`).
+    */
+   findInheritedMembers(classLongname)
+   {
+      if (typeof classLongname !== 'string') { throw new TypeError(`'classLongname' is not a 'string'.`); }
+
+      const classDoc = this.findByName(classLongname, 'ModuleClass')[0];
+
+      if (!classDoc) { return []; }
+
+      const memberKey = (doc) => `${doc.static ? '.' : '#'}${doc.name}`;
+
+      const overridden = new Set(this.find({ memberof: classDoc.longname, kind: s_CLASS_MEMBER_KIND }).map(memberKey));
+
+      const results = [];
+
+      for (const ancestor of this._getAncestors(classDoc))
+      {
+         const keys = [];
+
+         for (const doc of this.find({ memberof: ancestor.doc.longname, kind: s_CLASS_MEMBER_KIND }))
+         {
+            const key = memberKey(doc);
+
+            if (doc.name === 'constructor' || overridden.has(key)) { continue; }
+
+            results.push({ doc, from: ancestor.doc.longname, relation: ancestor.relation });
+
+            keys.push(key);
+         }
+
+         // Overrides are tracked after each ancestor so that getter / setter pairs are both included.
+         for (const key of keys) { overridden.add(key); }
+      }
+
+      return results;
+   }
+
    /**
     * Find doc objects sorted by name and any optional sorting criteria passed in as the first parameter.
     *
@@ -213,69 +560,105 @@ export class DocDB
     */
    findSorted(order = void 0, ...query)
    {
-      const data = this._docDB(...query);
+      const data = this._backend.query(...query);
 
       return data.order(order ? `${order}, name asec` : 'name asec').map((v) => v);
    }
 
    /**
-    * Gets the current source documentation coverage data for this DocDB.
+    * Gets the current source documentation coverage data for this DocDB. The headline coverage counts only doc objects
+    * of the selected kinds and access levels which default to TJSDocConfig `docCoverageKinds` and `docCoverageAccess`
+    * or all when not set. A breakdown of coverage by kind (for the selected access levels) and by access level (for the
+    * selected kinds) is always included where each entry indicates if it is `counted` in the headline coverage.
+    *
+    * @param {string|string[]}   [access] - An optional access level or array of access levels to count.
     *
     * @param {string|string[]}   [filePath] - An optional string or array of string to limit data collection.
     *
-    * @param {boolean}           [includeFiles=false] - If true then include documentation coverage for each file.
+    * @param {boolean}           [includeFiles=false] - If true then include documentation coverage for each file
+    *                                                   including the documented / undocumented lines and the
+    *                                                   `longname` and `lineNumber` of each undocumented doc object.
+    *
+    * @param {string|string[]}   [kind] - An optional doc kind or array of doc kinds to count.
     *
     * @returns {DocDBCoverage}
     */
-   getSourceCoverage({ filePath = void 0, includeFiles = false } = {})
+   getSourceCoverage({ access = void 0, filePath = void 0, includeFiles = false, kind = void 0 } = {})
    {
-      const docs = filePath ? this.find({ kind: s_SOURCE_COVERAGE_KIND, filePath }) :
+      if (typeof access === 'undefined' && this._config) { access = this._config.docCoverageAccess; }
+      if (typeof kind === 'undefined' && this._config) { kind = this._config.docCoverageKinds; }
+
+      const accessLevels = s_FILTER_SELECTED(s_SOURCE_COVERAGE_ACCESS, access);
+      const kinds = s_FILTER_SELECTED(s_SOURCE_COVERAGE_KIND, kind);
+
+      const allDocs = filePath ? this.find({ kind: s_SOURCE_COVERAGE_KIND, filePath }) :
        this.find({ kind: s_SOURCE_COVERAGE_KIND });
 
       let actualCount = 0;
-      const expectedCount = docs.length;
+      let expectedCount = 0;
       const files = {};
+      const kindCounts = {};
+      const accessCounts = {};
 
-      if (includeFiles)
+      for (const doc of allDocs)
       {
-         for (const doc of docs)
+         // Doc objects without an explicit access level are public.
+         const docAccess = typeof doc.access === 'string' ? doc.access : 'public';
+
+         const accessCounted = accessLevels.includes(docAccess);
+         const kindCounted = kinds.includes(doc.kind);
+
+         if (accessCounted) { s_INCREMENT_COUNTS(kindCounts, doc.kind, doc.undocument); }
+         if (kindCounted) { s_INCREMENT_COUNTS(accessCounts, docAccess, doc.undocument); }
+
+         if (!accessCounted || !kindCounted) { continue; }
+
+         expectedCount++;
+
+         if (!doc.undocument) { actualCount++; }
+
+         if (includeFiles)
          {
             const filePath = doc.filePath;
 
-            if (!files[filePath]) { files[filePath] = { expectedCount: 0, actualCount: 0, undocumentedLines: [] }; }
+            if (!files[filePath])
+            {
+               files[filePath] = { expectedCount: 0, actualCount: 0, documentedLines: [], undocumentedLines: [],
+                undocumented: [] };
+            }
 
             files[filePath].expectedCount++;
 
             if (doc.undocument)
             {
                files[filePath].undocumentedLines.push(doc.lineNumber);
+               files[filePath].undocumented.push({ longname: doc.longname, lineNumber: doc.lineNumber });
             }
             else
             {
-               actualCount++;
                files[filePath].actualCount++;
+               files[filePath].documentedLines.push(doc.lineNumber);
             }
          }
-
-         // Assign coverage for each file and sort undocumented lines numerically.
-         for (const filePath in files)
-         {
-            files[filePath] = Object.assign(files[filePath], s_CALC_COVERAGE(files[filePath].actualCount,
-             files[filePath].expectedCount));
-
-            files[filePath].undocumentedLines.sort(s_SORT_ARRAY_NUMERIC);
-         }
       }
-      else
+
+      // Assign coverage for each file and sort documented / undocumented lines numerically.
+      for (const filePath in files)
       {
-         for (const doc of docs)
-         {
-            if (!doc.undocument) { actualCount++; }
-         }
+         files[filePath] = Object.assign(files[filePath], s_CALC_COVERAGE(files[filePath].actualCount,
+          files[filePath].expectedCount));
+
+         files[filePath].documentedLines.sort(s_SORT_ARRAY_NUMERIC);
+         files[filePath].undocumentedLines.sort(s_SORT_ARRAY_NUMERIC);
+         files[filePath].undocumented.sort(s_SORT_UNDOCUMENTED);
       }
 
-      // Return object hash with files and total coverage.
-      return Object.assign({ files }, s_CALC_COVERAGE(actualCount, expectedCount));
+      // Return object hash with files, kind / access breakdown and total coverage.
+      return Object.assign({
+         files,
+         kinds: s_CALC_BREAKDOWN(s_SOURCE_COVERAGE_KIND, kindCounts, kinds),
+         access: s_CALC_BREAKDOWN(s_SOURCE_COVERAGE_ACCESS, accessCounts, accessLevels)
+      }, s_CALC_COVERAGE(actualCount, expectedCount));
    }
 
    /**
@@ -285,11 +668,17 @@ export class DocDB
     *
     * @param {string|string[]}   [filePath] - An optional string or array of string file paths to log.
     *
-    * @param {boolean}           [includeFiles=false] - If true then include documentation coverage for each file.
+    * @param {boolean}           [includeFiles=false] - If true then include documentation coverage for each file
+    *                                                   including the documented / undocumented lines and the
+    *                                                   `longname` and `lineNumber` of each undocumented doc object.
     *
     * @param {boolean}           [includeLines=false] - If true then include undocumented lines for each file.
+    *
+    * @param {boolean}           [includeBreakdown=true] - If true then include a table of coverage by kind and access
+    *                                                      level; entries not counted in the total are marked with `*`.
     */
-   logSourceCoverage({ eventbus = this._eventbus, filePath = void 0, includeFiles = false, includeLines = false } = {})
+   logSourceCoverage({ eventbus = this._eventbus, filePath = void 0, includeFiles = false, includeLines = false,
+    includeBreakdown = true } = {})
    {
       const coverage = this.getSourceCoverage({ filePath, includeFiles });
 
@@ -313,6 +702,25 @@ export class DocDB
             eventbus.trigger('log:info:raw', '');
          }
 
+         if (includeBreakdown)
+         {
+            for (const [heading, breakdown] of [['Kind', coverage.kinds], ['Access', coverage.access]])
+            {
+               eventbus.trigger('log:info:raw', `${heading.padEnd(20)}Coverage`);
+
+               for (const entry of Object.keys(breakdown))
+               {
+                  const entryCoverage = breakdown[entry];
+                  const label = entryCoverage.counted ? entry : `${entry}*`;
+
+                  eventbus.trigger('log:info:raw', `${entryCoverage.ansiColor}${label.padEnd(20)}${
+                   entryCoverage.text} (${entryCoverage.actualCount}/${entryCoverage.expectedCount})[0m`);
+               }
+
+               eventbus.trigger('log:info:raw', '');
+            }
+         }
+
          eventbus.trigger('log:info:raw', `${coverage.ansiColor}Documentation coverage: ${coverage.text} (${
           coverage.actualCount}/${coverage.expectedCount})[0m`);
 
@@ -321,35 +729,180 @@ export class DocDB
    }
 
    /**
-    * Returns the current doc ID.
+    * Logs doc data statistics by triggering 'log:info:raw' messages on any assigned eventbus. Files are listed by
+    * descending memory size.
     *
-    * @returns {number}
+    * @param {TyphonEvents}      [eventbus=this._eventbus] - An optional eventbus to post log events to.
+    *
+    * @param {string|string[]}   [filePath] - An optional string or array of string file paths to log.
+    *
+    * @param {number}            [fileLimit=10] - The maximum number of files to log.
     */
-   getCurrentID()
+   logStats({ eventbus = this._eventbus, filePath = void 0, fileLimit = 10 } = {})
    {
-      return this._docID;
+      const stats = this.getStats({ filePath });
+
+      if (eventbus)
+      {
+         eventbus.trigger('log:info:raw', '================================================');
+
+         for (const [heading, counts] of [['Kind', stats.kinds], ['Access', stats.access]])
+         {
+            eventbus.trigger('log:info:raw', `${heading.padEnd(20)}Count`);
+
+            for (const entry of Object.keys(counts))
+            {
+               eventbus.trigger('log:info:raw', `${entry.padEnd(20)}${counts[entry]}`);
+            }
+
+            eventbus.trigger('log:info:raw', '');
+         }
+
+         const filePaths = Object.keys(stats.files).sort((a, b) =>
+          stats.files[b].memorySize - stats.files[a].memorySize).slice(0, fileLimit);
+
+         if (filePaths.length > 0)
+         {
+            eventbus.trigger('log:info:raw', 'Largest files');
+
+            for (const path of filePaths)
+            {
+               eventbus.trigger('log:info:raw', `${path}: count: ${stats.files[path].count}, size: ${
+                s_FORMAT_BYTES(stats.files[path].memorySize)}`);
+            }
+
+            eventbus.trigger('log:info:raw', '');
+         }
+
+         eventbus.trigger('log:info:raw', `[32mDocDB count: ${stats.count}, size: ${
+          s_FORMAT_BYTES(stats.memorySize)} - real: ${stats.real}, builtin virtual: ${stats.builtinVirtual}, `
+          + `undocumented: ${stats.undocumented}, unexported: ${stats.unexported}[0m`);
+
+         eventbus.trigger('log:info:raw', '================================================');
+      }
    }
 
    /**
-    * Returns the current doc ID then post-increments it.
+    * Returns the ancestor class docs of a class doc ordered by nearest first; the extends chain with any mixins of each
+    * class followed by all implemented interfaces.
     *
-    * @returns {number}
+    * @param {DocObject}   classDoc - A ModuleClass doc.
+    *
+    * @returns {Array<{doc: DocObject, relation: string}>}
+    * @private
     */
-   getCurrentIDAndIncrement()
+   _getAncestors(classDoc)
    {
-      return this._docID++;
-   }
+      const ancestors = [];
+      const visited = new Set([classDoc.longname]);
 
-   /**
-    * Gets any currently associated eventbus.
-    *
-    * @returns {EventProxy|TyphonEvents}
-    */
+      const addAncestor = (nameOrLongname, relation) =>
+      {
+         const doc = this.findByName(nameOrLongname, 'ModuleClass')[0];
+
+         if (doc && !visited.has(doc.longname))
+         {
+            visited.add(doc.longname);
+            ancestors.push({ doc, relation });
+         }
+
+         return doc;
+      };
+
+      const addMixins = (doc) =>
+      {
+         if (Array.isArray(doc.extends)) { doc.extends.slice(1).forEach((mixin) => addAncestor(mixin, 'mixin')); }
+      };
+
+      addMixins(classDoc);
+
+      // The extends chain is stored from the root class to the direct super class.
+      const chain = Array.isArray(classDoc._custom_extends_chains) ? classDoc._custom_extends_chains.slice().reverse() :
+       Array.isArray(classDoc.extends) && classDoc.extends.length ? [classDoc.extends[0]] : [];
+
+      for (const superLongname of chain)
+      {
+         const superDoc = addAncestor(superLongname, 'extends');
+
+         if (superDoc) { addMixins(superDoc); }
+      }
+
+      const interfaces = [];
+
+      for (const doc of [classDoc, ...ancestors.map((ancestor) => ancestor.doc)])
+      {
+         if (Array.isArray(doc.implements)) { interfaces.push(...doc.implements); }
+         if (Array.isArray(doc._custom_indirect_implements)) { interfaces.push(...doc._custom_indirect_implements); }
+      }
+
+      for (const interfaceName of interfaces) { addAncestor(interfaceName, 'implements'); }
+
+      return ancestors;
+   }
+
+   /**
+    * Returns the current doc ID.
+    *
+    * @returns {number}
+    */
+   getCurrentID()
+   {
+      return this._docID;
+   }
+
+   /**
+    * Returns the current doc ID then post-increments it.
+    *
+    * @returns {number}
+    */
+   getCurrentIDAndIncrement()
+   {
+      return this._docID++;
+   }
+
+   /**
+    * Gets any currently associated eventbus.
+    *
+    * @returns {EventProxy|TyphonEvents}
+    */
    getEventbus()
    {
       return this._eventbus;
    }
 
+   /**
+    * Returns the file dependency graph built from the ModuleFile docs of this DocDB. The graph is cached until the
+    * DocDB changes, `reindex` is invoked or the core doc resolver runs, so it must not be modified.
+    *
+    * @returns {FileDependencyGraph}
+    */
+   getFileDependencyGraph()
+   {
+      if (!this._fileDependencyGraph) { this._fileDependencyGraph = FileDependencyGraph.fromDocDB(this); }
+
+      return this._fileDependencyGraph;
+   }
+
+   /**
+    * Gets the storage backend name.
+    *
+    * @returns {string}
+    */
+   getBackendName()
+   {
+      return this._backend.name;
+   }
+
+   /**
+    * Gets any metadata associated with this DocDB; IE the metadata stored with a loaded snapshot.
+    *
+    * @returns {object|undefined}
+    */
+   getMetadata()
+   {
+      return this._metadata;
+   }
+
    /**
     * Gets the current DocDB mode.
     *
@@ -360,52 +913,154 @@ export class DocDB
       return this._mode;
    }
 
+   /**
+    * Returns a versioned and serializable snapshot of all doc data in this DocDB. TaffyDB internal record fields are
+    * removed so that the snapshot can be loaded into a new DocDB instance.
+    *
+    * @param {object}   [metadata=this._metadata] - Optional data stored with the snapshot; for instance the target
+    *                                              project version.
+    *
+    * @returns {DocDBSnapshot}
+    */
+   getSnapshot({ metadata = this._metadata } = {})
+   {
+      return {
+         version: s_SNAPSHOT_VERSION,
+         metadata,
+         docData: this._backend.query().get().map(s_STRIP_INTERNAL_FIELDS)
+      };
+   }
+
+   /**
+    * Returns statistics for the doc data; counts by kind, file and access level, builtin virtual versus real,
+    * undocumented and unexported counts along with the approximate memory size in bytes. Memory size is approximated
+    * from the UTF-8 JSON size of each DocObject.
+    *
+    * @param {string|string[]}   [filePath] - An optional string or array of string to limit data collection.
+    *
+    * @returns {DocDBStats}
+    */
+   getStats({ filePath = void 0 } = {})
+   {
+      const docs = filePath ? this.find({ filePath }) : this.find();
+
+      const stats = {
+         count: 0,
+         memorySize: 0,
+         builtinVirtual: 0,
+         real: 0,
+         undocumented: 0,
+         unexported: 0,
+         kinds: {},
+         access: {},
+         files: {}
+      };
+
+      for (const doc of docs)
+      {
+         const memorySize = Buffer.byteLength(JSON.stringify(s_STRIP_INTERNAL_FIELDS(doc)), 'utf8');
+
+         // Doc objects without an explicit access level are public.
+         const docAccess = typeof doc.access === 'string' ? doc.access : 'public';
+
+         stats.count++;
+         stats.memorySize += memorySize;
+
+         stats[doc.builtinVirtual ? 'builtinVirtual' : 'real']++;
+
+         if (doc.undocument) { stats.undocumented++; }
+         if (doc.export === false) { stats.unexported++; }
+
+         stats.kinds[doc.kind] = (stats.kinds[doc.kind] || 0) + 1;
+         stats.access[docAccess] = (stats.access[docAccess] || 0) + 1;
+
+         if (typeof doc.filePath === 'string')
+         {
+            if (!stats.files[doc.filePath]) { stats.files[doc.filePath] = { count: 0, memorySize: 0 }; }
+
+            stats.files[doc.filePath].count++;
+            stats.files[doc.filePath].memorySize += memorySize;
+         }
+      }
+
+      stats.kinds = s_SORT_KEYS(stats.kinds);
+      stats.access = s_SORT_KEYS(stats.access);
+      stats.files = s_SORT_KEYS(stats.files);
+
+      return stats;
+   }
+
    /**
     * Inserts an object, array of objects, or a DocDB into this instance.
     *
     * @param {DocObject|DocObject[]|DocDB}   objectOrDB - A single instance or array of DocObjects or DocDB to merge.
     *
-    * @returns {TaffyDB}
+    * @returns {TaffyDB|NativeQueryResult}
     */
    insert(objectOrDB)
    {
       if (objectOrDB instanceof DocDB)
       {
-         if (objectOrDB === this._docDB)
+         if (objectOrDB === this)
          {
             throw new ReferenceError(`'objectOrDB' is the same instance as this DocDB.`);
          }
 
-         return this._docDB.insert(objectOrDB.find().map((doc) => this.filterDoc(doc)));
+         const docs = objectOrDB.find();
+
+         if (this._validate)
+         {
+            for (const doc of docs) { this._reportInvalidDoc(doc, DocObjectSchema.validate(doc), []); }
+         }
+
+         if (this._transaction) { this._snapshotFilePaths(s_GET_FILE_PATHS(docs)); }
+
+         const result = this._backend.insert(docs.map((doc) => this.filterDoc(doc)));
+
+         this._notifyChange('insert', docs, docs.length);
+
+         return result;
       }
       else if (typeof objectOrDB === 'object')
       {
-         return this._docDB.insert(this.filterDoc(objectOrDB));
+         const docs = Array.isArray(objectOrDB) ? objectOrDB : [objectOrDB];
+
+         if (this._validate)
+         {
+            for (const doc of docs) { this._reportInvalidDoc(doc, DocObjectSchema.validate(doc), []); }
+         }
+
+         if (this._transaction) { this._snapshotFilePaths(s_GET_FILE_PATHS(docs)); }
+
+         const result = this._backend.insert(this.filterDoc(objectOrDB));
+
+         this._notifyChange('insert', docs, docs.length);
+
+         return result;
       }
 
       throw new ReferenceError(`'objectOrDB' is not an 'object' or 'array'.`);
    }
 
    /**
-    * Invokes the `onHandleDocObject` plugin callback for each DocObject given before inserting into this DocDB
-    * instance. The DocObject is by default destroyed upon insertion. This allows it to go out of scope. Before
-    * insertion into the DocDB the doc value is filtered removing any unnecessary data such as AST content
-    * based on the target project TJSDocConfig instance.
+    * Invokes the `onHandleDocObject` plugin callback for the given DocObject before inserting into this DocDB
+    * instance. Before insertion into the DocDB the doc value is filtered removing any unnecessary data such as AST
+    * content based on the target project TJSDocConfig instance. DocObjects generated outside of a StaticDoc, for
+    * instance by worker threads, are inserted with the same semantics as {@link DocDB#insertStaticDoc}.
     *
-    * @param {StaticDoc}   staticDoc - The static doc generator to retrieve a DocObject to insert.
+    * @param {DocObject}   docObject - The DocObject to insert.
     *
-    * @param {function}    [docFilter] - An optional function invoked with the static doc before inserting into the
+    * @param {function}    [docFilter] - An optional function invoked with the DocObject before inserting into the
     *                                    given DocDB.
     *
-    * @param {boolean}     [reset=true] - Resets the StaticDoc removing all internal data references so that it can
-    *                                     go out of scope.
-    * @returns {TaffyDB|undefined}
-    * @private
+    * @returns {TaffyDB|NativeQueryResult|undefined}
     */
-   insertStaticDoc(staticDoc, docFilter = void 0, reset = true)
+   insertDocObject(docObject, docFilter = void 0)
    {
-      // Retrieve the docObject data.
-      const docObject = staticDoc.value;
+      if (typeof docObject !== 'object' || docObject === null)
+      {
+         throw new TypeError(`'docObject' is not an 'object'.`);
+      }
 
       if (typeof docFilter === 'function')
       {
@@ -414,18 +1069,85 @@ export class DocDB
          if (!addDoc) { return; }
       }
 
-      // If this DocDB is associated with an eventbus then invoke `onHandleDocObject`.
-      if (this._eventbus)
+      // When validating retain any violations of the generated doc object to separate violations caused by plugins.
+      const generatorViolations = this._validate ? DocObjectSchema.validate(docObject) : void 0;
+
+      let violations = generatorViolations;
+
+      // Profiling records phase times by the file path of the DocObject.
+      const profile = this._profile && this._eventbus && typeof docObject.filePath === 'string';
+
+      // If this DocDB is associated with an eventbus then invoke `onHandleDocObject`. When profiling or validating
+      // each plugin is invoked separately.
+      if (this._eventbus && (profile || this._validate))
       {
-         this._eventbus.trigger('plugins:sync:invoke:event', 'onHandleDocObject', void 0,
+         violations = this._invokeEachPlugin(docObject, profile, generatorViolations);
+      }
+      else if (this._eventbus)
+      {
+         this._eventbus.triggerSync('plugins:sync:invoke:event', 'onHandleDocObject', void 0,
           { docDB: this, docObject, mode: this._mode });
       }
 
+      // Report any violations of the generated doc object which plugins did not resolve.
+      if (this._validate)
+      {
+         const generatorMessages = new Set(generatorViolations.map((violation) => violation.message));
+
+         this._reportInvalidDoc(docObject, violations.filter((violation) => generatorMessages.has(violation.message)),
+          []);
+      }
+
+      if (this._transaction) { this._snapshotFilePaths(s_GET_FILE_PATHS([docObject])); }
+
+      const startTime = profile ? s_NOW() : void 0;
+
+      // Inserts the doc object into the storage backend.
+      const result = this._backend.insert(this.filterDoc(docObject));
+
+      if (profile)
+      {
+         this._eventbus.trigger('tjsdoc:system:profile:record',
+          { filePath: docObject.filePath, phase: 'insert', time: s_NOW() - startTime });
+      }
+
+      this._notifyChange('insert', [docObject], 1);
+
+      return result;
+   }
+
+   /**
+    * Inserts the DocObject of the given StaticDoc via {@link DocDB#insertDocObject}. The StaticDoc is by default
+    * destroyed upon insertion. This allows it to go out of scope.
+    *
+    * @param {StaticDoc}   staticDoc - The static doc generator to retrieve a DocObject to insert.
+    *
+    * @param {function}    [docFilter] - An optional function invoked with the static doc before inserting into the
+    *                                    given DocDB.
+    *
+    * @param {boolean}     [reset=true] - Resets the StaticDoc removing all internal data references so that it can
+    *                                     go out of scope.
+    * @returns {TaffyDB|NativeQueryResult|undefined}
+    * @private
+    */
+   insertStaticDoc(staticDoc, docFilter = void 0, reset = true)
+   {
+      const result = this.insertDocObject(staticDoc.value, docFilter);
+
       // Resets the StaticDoc so that all data goes out of scope.
       if (reset && typeof staticDoc.reset === 'function') { staticDoc.reset(); }
 
-      // Inserts the doc object into the TaffyDB instance.
-      return this._docDB.insert(this.filterDoc(docObject));
+      return result;
+   }
+
+   /**
+    * Returns whether a transaction is active; see {@link DocDB#beginTransaction}.
+    *
+    * @returns {boolean}
+    */
+   isTransactionActive()
+   {
+      return this._transaction !== void 0;
    }
 
    /**
@@ -437,27 +1159,209 @@ export class DocDB
     * @param {*}                             key - Identity column to be used to match records against the existing
     *                                              db. The TaffyDB default is: `id`.
     *
-    * @returns {TaffyDB}
+    * @returns {TaffyDB|NativeQueryResult}
     */
    merge(objectOrDB, key = void 0)
    {
       if (objectOrDB instanceof DocDB)
       {
-         if (objectOrDB === this._docDB)
+         if (objectOrDB === this)
          {
             throw new ReferenceError(`'objectOrDB' is the same instance as this DocDB.`);
          }
 
-         return this._docDB.merge(objectOrDB.find().map((doc) => this.filterDoc(doc)), key);
+         const docs = objectOrDB.find();
+
+         if (this._transaction) { this._snapshotMergeDocs(docs, key); }
+
+         const result = this._backend.merge(docs.map((doc) => this.filterDoc(doc)), key);
+
+         this._notifyChange('merge', docs, docs.length);
+
+         return result;
       }
       else if (typeof objectOrDB === 'object')
       {
-         return this._docDB.merge(objectOrDB, key);
+         const docs = Array.isArray(objectOrDB) ? objectOrDB : [objectOrDB];
+
+         if (this._transaction) { this._snapshotMergeDocs(docs, key); }
+
+         const result = this._backend.merge(objectOrDB, key);
+
+         this._notifyChange('merge', docs, docs.length);
+
+         return result;
       }
 
       throw new ReferenceError(`'objectOrDB' is not an 'object' or 'array'.`);
    }
 
+   /**
+    * Invokes `onHandleDocObject` separately for each plugin. When profiling the time of each plugin which handles the
+    * DocObject is recorded with {@link GenerateProfiler}. When validating the DocObject is validated after each plugin
+    * which handles it and any new violations are reported naming that plugin.
+    *
+    * @param {DocObject}   docObject - The DocObject to handle.
+    *
+    * @param {boolean}     profile - If true the time of each plugin is recorded.
+    *
+    * @param {object[]}    [generatorViolations] - The violations of the generated DocObject when validating.
+    *
+    * @returns {object[]|undefined} The violations after all plugins when validating.
+    * @private
+    */
+   _invokeEachPlugin(docObject, profile, generatorViolations)
+   {
+      let violations = generatorViolations;
+
+      const reportedMessages = violations ? new Set(violations.map((violation) => violation.message)) : void 0;
+
+      const pluginData = this._eventbus.triggerSync('plugins:get:all:plugin:data') || [];
+
+      for (const data of pluginData)
+      {
+         const name = data.plugin.name;
+
+         const startTime = s_NOW();
+
+         const result = this._eventbus.triggerSync('plugins:sync:invoke:event', 'onHandleDocObject', void 0,
+          { docDB: this, docObject, mode: this._mode }, name);
+
+         const time = s_NOW() - startTime;
+
+         if (!result || !Array.isArray(result.$$plugin_invoke_names) || result.$$plugin_invoke_names.length === 0)
+         {
+            continue;
+         }
+
+         if (profile)
+         {
+            this._eventbus.trigger('tjsdoc:system:profile:record',
+             { filePath: docObject.filePath, phase: 'plugin', time, plugin: name });
+         }
+
+         if (violations)
+         {
+            violations = DocObjectSchema.validate(docObject);
+
+            const newViolations = violations.filter((violation) => !reportedMessages.has(violation.message));
+
+            for (const violation of newViolations) { reportedMessages.add(violation.message); }
+
+            this._reportInvalidDoc(docObject, newViolations, [name]);
+         }
+      }
+
+      return violations;
+   }
+
+   /**
+    * Notifies a change to the doc data. Changes are accumulated when a change batch is active otherwise
+    * `tjsdoc:data:docdb:changed` is emitted immediately. Changes without any affected docs are ignored.
+    *
+    * @param {string}         operation - The change operation: `insert`, `merge`, `remove`, `reset` or `rollback`.
+    *
+    * @param {DocObject[]}    docs - The affected DocObjects.
+    *
+    * @param {number}         count - The count of affected DocObjects.
+    *
+    * @private
+    */
+   _notifyChange(operation, docs, count)
+   {
+      if (count === 0) { return; }
+
+      this._fileDependencyGraph = void 0;
+
+      const filePaths = s_GET_FILE_PATHS(docs);
+
+      if (this._changeBatchDepth > 0)
+      {
+         const batch = this._changeBatch;
+
+         batch.operations[operation] = (batch.operations[operation] || 0) + count;
+         batch.count += count;
+
+         for (const filePath of filePaths) { batch.filePaths.add(filePath); }
+
+         return;
+      }
+
+      this._emitChange({ operation, operations: { [operation]: count }, filePaths, count });
+   }
+
+   /**
+    * Reports DocObject schema violations via `tjsdoc:system:invalid:doc:add` on any associated eventbus.
+    *
+    * @param {DocObject}   doc - The invalid DocObject.
+    *
+    * @param {Array<{field: string, message: string}>} violations - Schema violations.
+    *
+    * @param {string[]}    plugins - The names of the plugins which handled the DocObject before the violations were
+    *                                detected; empty when the violations originate from doc generation or insertion.
+    *
+    * @private
+    */
+   _reportInvalidDoc(doc, violations, plugins)
+   {
+      if (violations.length === 0 || !this._eventbus) { return; }
+
+      const isObject = typeof doc === 'object' && doc !== null;
+
+      this._eventbus.trigger('tjsdoc:system:invalid:doc:add', {
+         kind: isObject ? doc.kind : void 0,
+         longname: isObject ? doc.longname : void 0,
+         filePath: isObject ? doc.filePath : void 0,
+         lineNumber: isObject ? doc.lineNumber : void 0,
+         plugins,
+         schemaVersion: DocObjectSchema.version,
+         violations
+      });
+   }
+
+   /**
+    * Copies the current DocObjects of the given file paths to the active transaction unless already copied.
+    *
+    * @param {string[]} filePaths - File paths about to be modified.
+    *
+    * @private
+    */
+   _snapshotFilePaths(filePaths)
+   {
+      const snapshots = this._transaction.snapshots;
+
+      const pending = filePaths.filter((filePath) => typeof filePath === 'string' && !snapshots.has(filePath));
+
+      if (pending.length === 0) { return; }
+
+      for (const filePath of pending) { snapshots.set(filePath, []); }
+
+      // Deep copy DocObjects as they may be modified in place.
+      for (const doc of this._backend.query({ filePath: pending }).get())
+      {
+         snapshots.get(doc.filePath).push(JSON.parse(JSON.stringify(s_STRIP_INTERNAL_FIELDS(doc))));
+      }
+   }
+
+   /**
+    * Copies the DocObjects of the file paths affected by a merge to the active transaction. This includes the file
+    * paths of existing DocObjects replaced by identity column.
+    *
+    * @param {DocObject[]} docs - DocObjects to merge.
+    *
+    * @param {string}      [key='id'] - Identity column of the merge.
+    *
+    * @private
+    */
+   _snapshotMergeDocs(docs, key = 'id')
+   {
+      const keys = docs.map((doc) => doc[key]).filter((value) => typeof value !== 'undefined');
+
+      const existingDocs = keys.length > 0 ? this._backend.query({ [key]: keys }).get() : [];
+
+      this._snapshotFilePaths(s_GET_FILE_PATHS(docs.concat(existingDocs)));
+   }
+
    /**
     * Wires up DocDB to plugin eventbus.
     *
@@ -476,38 +1380,80 @@ export class DocDB
       // If `eventPrepend` is defined then it is prepended before all event bindings.
       if (typeof ev.pluginOptions.eventPrepend === 'string') { eventPrepend = `${ev.pluginOptions.eventPrepend}`; }
 
+      this._eventPrepend = eventPrepend;
+
+      if (this._config && typeof this._config.validateDocObjects === 'boolean')
+      {
+         this._validate = this._config.validateDocObjects;
+      }
+
+      this._eventbus.on(`${eventPrepend}:data:docdb:coverage:source:check`, this.checkSourceCoverage, this);
       this._eventbus.on(`${eventPrepend}:data:docdb:coverage:source:get`, this.getSourceCoverage, this);
       this._eventbus.on(`${eventPrepend}:data:docdb:coverage:source:log`, this.logSourceCoverage, this);
+      this._eventbus.on(`${eventPrepend}:data:docdb:backend:name:get`, this.getBackendName, this);
+      this._eventbus.on(`${eventPrepend}:data:docdb:change:batch:begin`, this.beginChangeBatch, this);
+      this._eventbus.on(`${eventPrepend}:data:docdb:change:batch:end`, this.endChangeBatch, this);
       this._eventbus.on(`${eventPrepend}:data:docdb:current:id:get`, this.getCurrentID, this);
       this._eventbus.on(`${eventPrepend}:data:docdb:current:id:increment:get`, this.getCurrentIDAndIncrement, this);
+      this._eventbus.on(`${eventPrepend}:data:docdb:diff`, this.diff, this);
       this._eventbus.on(`${eventPrepend}:data:docdb:find`, this.find, this);
       this._eventbus.on(`${eventPrepend}:data:docdb:find:access:docs`, this.findAccessDocs, this);
       this._eventbus.on(`${eventPrepend}:data:docdb:find:by:name`, this.findByName, this);
       this._eventbus.on(`${eventPrepend}:data:docdb:find:files:dependent`, this.findDependentFiles, this);
+      this._eventbus.on(`${eventPrepend}:data:docdb:find:inherited:members`, this.findInheritedMembers, this);
       this._eventbus.on(`${eventPrepend}:data:docdb:find:identifier:kind:docs`, this.findIdentifierKindDocs, this);
       this._eventbus.on(`${eventPrepend}:data:docdb:find:sorted`, this.findSorted, this);
       this._eventbus.on(`${eventPrepend}:data:docdb:get`, () => this, this);
+      this._eventbus.on(`${eventPrepend}:data:docdb:graph:cycles`, () => this.getFileDependencyGraph().findCycles(),
+       this);
+
+      this._eventbus.on(`${eventPrepend}:data:docdb:graph:dependencies`, ({ filePath, transitive = false } = {}) =>
+       this.getFileDependencyGraph().getDependencies(filePath, { transitive }), this);
+
+      this._eventbus.on(`${eventPrepend}:data:docdb:graph:dependents`, ({ filePath, transitive = false } = {}) =>
+       this.getFileDependencyGraph().getDependents(filePath, { transitive }), this);
+
+      this._eventbus.on(`${eventPrepend}:data:docdb:graph:dot`, (options) =>
+       this.getFileDependencyGraph().toDOT(options), this);
+
+      this._eventbus.on(`${eventPrepend}:data:docdb:graph:get`, this.getFileDependencyGraph, this);
+      this._eventbus.on(`${eventPrepend}:data:docdb:graph:json`, () => this.getFileDependencyGraph().toJSON(), this);
+      this._eventbus.on(`${eventPrepend}:data:docdb:insert:doc`, this.insertDocObject, this);
       this._eventbus.on(`${eventPrepend}:data:docdb:insert:doc:static`, this.insertStaticDoc, this);
       this._eventbus.on(`${eventPrepend}:data:docdb:insert`, this.insert, this);
       this._eventbus.on(`${eventPrepend}:data:docdb:merge`, this.merge, this);
+      this._eventbus.on(`${eventPrepend}:data:docdb:metadata:get`, this.getMetadata, this);
       this._eventbus.on(`${eventPrepend}:data:docdb:mode:get`, this.getMode, this);
       this._eventbus.on(`${eventPrepend}:data:docdb:mode:set`, this.setMode, this);
       this._eventbus.on(`${eventPrepend}:data:docdb:query`, this.query, this);
+      this._eventbus.on(`${eventPrepend}:data:docdb:reindex`, this.reindex, this);
       this._eventbus.on(`${eventPrepend}:data:docdb:remove`, this.remove, this);
       this._eventbus.on(`${eventPrepend}:data:docdb:reset`, this.reset, this);
+      this._eventbus.on(`${eventPrepend}:data:docdb:save`, this.save, this);
+      this._eventbus.on(`${eventPrepend}:data:docdb:search`, this.search, this);
+      this._eventbus.on(`${eventPrepend}:data:docdb:snapshot:get`, this.getSnapshot, this);
+      this._eventbus.on(`${eventPrepend}:data:docdb:stats`, this.getStats, this);
+      this._eventbus.on(`${eventPrepend}:data:docdb:stats:log`, this.logStats, this);
+      this._eventbus.on(`${eventPrepend}:data:docdb:transaction:active`, this.isTransactionActive, this);
+      this._eventbus.on(`${eventPrepend}:data:docdb:transaction:begin`, this.beginTransaction, this);
+      this._eventbus.on(`${eventPrepend}:data:docdb:transaction:commit`, this.commitTransaction, this);
+      this._eventbus.on(`${eventPrepend}:data:docdb:transaction:rollback`, this.rollbackTransaction, this);
+
+      // The core doc resolver sets ModuleFile `_custom_dependent_file_paths` directly.
+      this._eventbus.on('tjsdoc:system:resolver:docdb:resolve', () => { this._fileDependencyGraph = void 0; }, this);
    }
 
    /**
-    * Performs a TaffyDB query.
+    * Performs a query with TaffyDB query syntax on the storage backend.
     *
     * @param {...TaffyDBQuery}   [query] - A TaffyDB query.
     *
     * @see http://www.taffydb.com/
-    * @returns {TaffyDB}
+    * @returns {TaffyDB|NativeQueryResult}
     */
    query(...query)
    {
-      return this._docDB(...query);
+      return this._backend.query(...query);
    }
 
    /**
@@ -520,23 +1466,37 @@ export class DocDB
     */
    remove(...query)
    {
-      if (query.length.length > 0 && query[0] instanceof DocDB)
+      let result;
+
+      if (query.length > 0 && query[0] instanceof DocDB)
       {
          const removeDocDB = query[0];
 
-         if (removeDocDB === this._docDB)
+         if (removeDocDB === this)
          {
             throw new ReferenceError(`'removeDocDB' is the same instance as this DocDB.`);
          }
 
          const distinctPaths = removeDocDB.query().distinct('filePath');
 
-         return distinctPaths.length > 0 ? this._docDB({ filePath: distinctPaths }).remove() : 0;
+         if (distinctPaths.length === 0) { return 0; }
+
+         result = this._backend.query({ filePath: distinctPaths });
       }
       else
       {
-         return this._docDB(...query).remove();
+         result = this._backend.query(...query);
       }
+
+      const docs = result.get();
+
+      if (this._transaction) { this._snapshotFilePaths(s_GET_FILE_PATHS(docs)); }
+
+      const count = result.remove();
+
+      this._notifyChange('remove', docs, count);
+
+      return count;
    }
 
    /**
@@ -552,22 +1512,143 @@ export class DocDB
       // Distinct file paths found in the given DocDB to insert.
       const filePath = docDB.query().distinct('filePath');
 
-      // Remove old doc data for all distinct file paths.
-      this.remove({ filePath });
+      // Notify the removal and insertion as a single change.
+      this.beginChangeBatch();
 
-      // Insert given DocDB into this instance.
-      this.insert(docDB);
+      try
+      {
+         // Remove old doc data for all distinct file paths.
+         this.remove({ filePath });
+
+         // Insert given DocDB into this instance.
+         this.insert(docDB);
+      }
+      finally
+      {
+         this.endChangeBatch();
+      }
 
       return filePath;
    }
 
+   /**
+    * Rebuilds any storage backend indexes and invalidates the cached file dependency graph. This is only necessary for
+    * the `native` backend when indexed fields (`kind`, `filePath`, `longname`, `name`, `memberof`) of stored DocObjects
+    * or when ModuleFile `_custom_dependent_file_paths` are modified directly.
+    */
+   reindex()
+   {
+      this._fileDependencyGraph = void 0;
+
+      if (typeof this._backend.reindex === 'function') { this._backend.reindex(); }
+   }
+
    /**
     * Resets the DocDB.
     */
    reset()
    {
-      this._docDB().remove();
+      const result = this._backend.query();
+
+      const docs = result.get();
+
+      if (this._transaction) { this._snapshotFilePaths(s_GET_FILE_PATHS(docs)); }
+
+      const count = result.remove();
+
       this._docID = 0;
+
+      this._notifyChange('reset', docs, count);
+   }
+
+   /**
+    * Rolls back the active transaction restoring the DocObjects of all file paths modified since
+    * {@link DocDB#beginTransaction} and the doc ID counter. The restoration is notified as a single change with the
+    * operation `rollback`.
+    */
+   rollbackTransaction()
+   {
+      if (!this._transaction) { throw new Error(`A DocDB transaction is not active.`); }
+
+      const { docID, snapshots } = this._transaction;
+
+      this._transaction = void 0;
+
+      const filePaths = Array.from(snapshots.keys());
+
+      if (filePaths.length > 0)
+      {
+         // Restore directly in the backend as the copied DocObjects were already validated and filtered on insertion.
+         const result = this._backend.query({ filePath: filePaths });
+         const removedDocs = result.get();
+         const count = result.remove();
+
+         const docs = [].concat(...snapshots.values());
+
+         if (docs.length > 0) { this._backend.insert(docs); }
+
+         this._notifyChange('rollback', removedDocs.concat(docs), count + docs.length);
+      }
+
+      this._docID = docID;
+   }
+
+   /**
+    * Saves a versioned snapshot of this DocDB as JSON to the given file path. Any missing parent directories are
+    * created. The snapshot may be loaded with {@link DocDB.load} or the `tjsdoc:system:docdb:load` event binding.
+    *
+    * @param {string}   filePath - The file path to save the snapshot; relative paths are resolved from the current
+    *                              working directory.
+    *
+    * @param {object}   [metadata=this._metadata] - Optional data stored with the snapshot.
+    *
+    * @param {number}   [space] - Optional JSON indentation.
+    *
+    * @returns {string} The resolved file path of the saved snapshot.
+    */
+   save({ filePath = void 0, metadata = this._metadata, space = void 0 } = {})
+   {
+      if (typeof filePath !== 'string') { throw new TypeError(`'filePath' is not a 'string'.`); }
+
+      const resolvedPath = path.resolve(filePath);
+
+      FileUtil.ensureDir(path.dirname(resolvedPath));
+
+      fs.writeFileSync(resolvedPath, JSON.stringify(this.getSnapshot({ metadata }), null, space), 'utf8');
+
+      return resolvedPath;
+   }
+
+   /**
+    * Searches DocObject identifiers with a free-text query returning DocObjects ranked by relevance. Matching includes
+    * name, longname segments, camelCase word boundaries and typo tolerance; see {@link DocDBSearch}.
+    *
+    * @param {string}            query - A free-text query.
+    *
+    * @param {string|string[]}   [access] - Only include docs with the given access level(s).
+    *
+    * @param {boolean}           [includeBuiltin=false] - If true `builtinVirtual` docs are included.
+    *
+    * @param {string|string[]}   [kind] - Only include docs of the given kind(s).
+    *
+    * @param {number}            [limit=50] - The maximum amount of results; set to 0 for no limit.
+    *
+    * @param {boolean}           [scores=false] - If true results are returned as `{ doc, score }` objects.
+    *
+    * @returns {Array<DocObject|{doc: DocObject, score: number}>}
+    */
+   search(query, { access = void 0, includeBuiltin = false, kind = void 0, limit = 50, scores = false } = {})
+   {
+      const filter = {};
+
+      if (access) { filter.access = access; }
+      if (kind) { filter.kind = kind; }
+
+      let docs = this._backend.query(filter).get();
+
+      if (!includeBuiltin) { docs = docs.filter((doc) => !doc.builtinVirtual); }
+
+      return DocDBSearch.search(docs, query, { limit, scores });
    }
 
    /**
@@ -593,8 +1674,12 @@ export class DocDB
 }
 
 /**
- * Adds module scoped event binding to create a DocDB instance from DocDBConfig which is an object with entries for
- * `docData` (DocObject[]) and / or `eventbus` assigning it to the new DocDB instance created.
+ * Adds module scoped event bindings to create a DocDB instance from DocDBConfig which is an object with entries for
+ * `docData` (DocObject[]) and / or `eventbus` assigning it to the new DocDB instance created. A DocDB instance may also
+ * be loaded from a snapshot file with an object hash containing `filePath` and optionally `eventbus` and `mode`.
+ *
+ * Unless `backend` is provided the storage backend is set from `runtimeOptions.docDBBackend` of the target project
+ * TJSDocConfig.
  *
  * @param {PluginEvent} ev - The plugin event.
  */
@@ -602,11 +1687,158 @@ export function onPluginLoad(ev)
 {
    const eventbus = ev.eventbus;
 
-   eventbus.on('tjsdoc:system:docdb:create', (docDBConfig) => new DocDB(docDBConfig));
+   eventbus.on('tjsdoc:system:docdb:create', (docDBConfig) =>
+    new DocDB(Object.assign(s_CONFIG_OPTIONS(eventbus), docDBConfig)));
+
+   eventbus.on('tjsdoc:system:docdb:load', (loadConfig) =>
+    DocDB.load(Object.assign(s_CONFIG_OPTIONS(eventbus), loadConfig)));
 }
 
 // Module private ---------------------------------------------------------------------------------------------------
 
+/**
+ * Defines the available storage backends.
+ * @type {object<string, TaffyDocBackend|NativeDocBackend>}
+ */
+const s_BACKENDS =
+{
+   'native': NativeDocBackend,
+   'taffydb': TaffyDocBackend
+};
+
+/**
+ * Returns default DocDB constructor options set from the target project TJSDocConfig if available.
+ *
+ * @param {EventProxy}  eventbus - The plugin eventbus.
+ *
+ * @returns {object}
+ */
+function s_CONFIG_OPTIONS(eventbus)
+{
+   const options = {};
+
+   const config = eventbus.triggerSync('tjsdoc:data:config:main:get');
+
+   if (typeof config === 'object' && config !== null)
+   {
+      const runtimeOptions = config.runtimeOptions || {};
+
+      if (typeof runtimeOptions.docDBBackend === 'string') { options.backend = runtimeOptions.docDBBackend; }
+
+      if (typeof config.validateDocObjects === 'boolean') { options.validate = config.validateDocObjects; }
+
+      options.profile = GenerateProfiler.isEnabled(config);
+   }
+
+   return options;
+}
+
+/**
+ * Returns the sorted distinct file paths of the given DocObjects.
+ *
+ * @param {DocObject[]} docs - DocObjects.
+ *
+ * @returns {string[]}
+ */
+function s_GET_FILE_PATHS(docs)
+{
+   const filePaths = new Set();
+
+   for (const doc of docs)
+   {
+      if (typeof doc === 'object' && doc !== null && typeof doc.filePath === 'string') { filePaths.add(doc.filePath); }
+   }
+
+   return Array.from(filePaths).sort();
+}
+
+/**
+ * Defines the current DocDB snapshot format version. Increment when the snapshot structure or DocObject format changes
+ * in an incompatible way.
+ * @type {number}
+ */
+const s_SNAPSHOT_VERSION = 1;
+
+/**
+ * Determines the next doc ID from any given doc data which is one greater than the highest existing `__docId__`.
+ *
+ * @param {DocObject|DocObject[]}   [docData] - DocObject data.
+ *
+ * @returns {number}
+ */
+function s_GET_NEXT_DOC_ID(docData)
+{
+   let nextID = 0;
+
+   const docs = Array.isArray(docData) ? docData : typeof docData === 'object' && docData !== null ? [docData] : [];
+
+   for (const doc of docs)
+   {
+      if (Number.isInteger(doc.__docId__) && doc.__docId__ >= nextID) { nextID = doc.__docId__ + 1; }
+   }
+
+   return nextID;
+}
+
+/**
+ * Returns a high resolution timestamp in milliseconds for profiling.
+ *
+ * @returns {number}
+ */
+function s_NOW()
+{
+   const [seconds, nanoseconds] = process.hrtime();
+
+   return (seconds * 1e3) + (nanoseconds / 1e6);
+}
+
+/**
+ * Returns a shallow copy of a DocObject without the internal record fields added by TaffyDB.
+ *
+ * @param {DocObject}   doc - The DocObject to copy.
+ *
+ * @returns {DocObject}
+ */
+function s_STRIP_INTERNAL_FIELDS(doc)
+{
+   const copy = Object.assign({}, doc);
+
+   delete copy.___id;
+   delete copy.___s;
+
+   return copy;
+}
+
+/**
+ * Formats a size in bytes as B, KB or MB.
+ *
+ * @param {number}   bytes - A size in bytes.
+ *
+ * @returns {string}
+ */
+function s_FORMAT_BYTES(bytes)
+{
+   if (bytes < 1024) { return `${bytes} B`; }
+
+   return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Returns a shallow copy of an object hash with keys sorted.
+ *
+ * @param {object}   object - An object hash.
+ *
+ * @returns {object}
+ */
+function s_SORT_KEYS(object)
+{
+   const sorted = {};
+
+   for (const key of Object.keys(object).sort((a, b) => a.localeCompare(b))) { sorted[key] = object[key]; }
+
+   return sorted;
+}
+
 /**
  * Provides an Array sort function for numeric sorting.
  * @param {number}   a - A number.
@@ -615,6 +1847,20 @@ export function onPluginLoad(ev)
  */
 const s_SORT_ARRAY_NUMERIC = (a, b) => a - b;
 
+/**
+ * Provides an Array sort function for undocumented entries by line number then longname.
+ * @param {{longname: string, lineNumber: number}}   a - An undocumented entry.
+ * @param {{longname: string, lineNumber: number}}   b - An undocumented entry.
+ * @returns {number}
+ */
+const s_SORT_UNDOCUMENTED = (a, b) => a.lineNumber - b.lineNumber || String(a.longname).localeCompare(b.longname);
+
+/**
+ * Defines the doc object kinds which are class members.
+ * @type {string[]}
+ */
+const s_CLASS_MEMBER_KIND = ['ClassMember', 'ClassMethod', 'ClassProperty'];
+
 /**
  * Defines the doc object kinds which contribute to source documentation coverage.
  * @type {string[]}
@@ -630,6 +1876,38 @@ const s_SOURCE_COVERAGE_KIND =
    'ModuleVariable'
 ];
 
+/**
+ * Defines the access levels which contribute to source documentation coverage.
+ * @type {string[]}
+ */
+const s_SOURCE_COVERAGE_ACCESS = ['public', 'protected', 'private'];
+
+/**
+ * Calculates coverage data for each entry of a breakdown that has doc objects.
+ *
+ * @param {string[]}                   entries - All breakdown entries in display order.
+ *
+ * @param {object<string, {actualCount: number, expectedCount: number}>} counts - Counts for each entry.
+ *
+ * @param {string[]}                   selected - The entries counted in headline coverage.
+ *
+ * @returns {object<string, {counted: boolean, text: string, percent: number, expectedCount: number, actualCount: number, ansiColor: string, htmlColor: string}>}
+ */
+function s_CALC_BREAKDOWN(entries, counts, selected)
+{
+   const breakdown = {};
+
+   for (const entry of entries)
+   {
+      if (!counts[entry]) { continue; }
+
+      breakdown[entry] = Object.assign({ counted: selected.includes(entry) },
+       s_CALC_COVERAGE(counts[entry].actualCount, counts[entry].expectedCount));
+   }
+
+   return breakdown;
+}
+
 /**
  * Calculates coverage data based on actual and expected counts.
  *
@@ -661,3 +1939,39 @@ function s_CALC_COVERAGE(actualCount, expectedCount)
       htmlColor
    };
 }
+
+/**
+ * Returns the entries which are selected; all entries when no selection is given.
+ *
+ * @param {string[]}          entries - All entries.
+ *
+ * @param {string|string[]}   [selection] - A selected entry or array of selected entries.
+ *
+ * @returns {string[]}
+ */
+function s_FILTER_SELECTED(entries, selection)
+{
+   if (!selection) { return entries; }
+
+   const selected = Array.isArray(selection) ? selection : [selection];
+
+   return entries.filter((entry) => selected.includes(entry));
+}
+
+/**
+ * Increments the expected and actual coverage counts for a breakdown entry.
+ *
+ * @param {object<string, {actualCount: number, expectedCount: number}>} counts - Counts for each entry.
+ *
+ * @param {string}   entry - The breakdown entry.
+ *
+ * @param {boolean}  undocument - True when the doc object is undocumented.
+ */
+function s_INCREMENT_COUNTS(counts, entry, undocument)
+{
+   if (!counts[entry]) { counts[entry] = { actualCount: 0, expectedCount: 0 }; }
+
+   counts[entry].expectedCount++;
+
+   if (!undocument) { counts[entry].actualCount++; }
+}
@@ -0,0 +1,163 @@
+/**
+ * Compares two sets of DocObjects matching them by `longname` and reports added, removed and changed identifiers. For
+ * changed identifiers field level changes are reported for the compared fields. Getters and setters which share a
+ * `longname` are matched separately by `qualifier`.
+ *
+ * `builtinVirtual` docs are not compared.
+ */
+export default class DocDBDiff
+{
+   /**
+    * Compares current DocObjects against previous / baseline DocObjects.
+    *
+    * @param {DocObject[]} currentDocs - The current DocObjects.
+    *
+    * @param {DocObject[]} previousDocs - The previous / baseline DocObjects.
+    *
+    * @param {string[]}    [fields] - The DocObject fields to compare; by default: `access`, `export`, `kind`,
+    *                                 `params`, `return`, `static` and `type`.
+    *
+    * @returns {DocDBDiffResult}
+    */
+   static diffDocs(currentDocs, previousDocs, { fields = DocDBDiff.defaultFields } = {})
+   {
+      if (!Array.isArray(currentDocs)) { throw new TypeError(`'currentDocs' is not an 'array'.`); }
+      if (!Array.isArray(previousDocs)) { throw new TypeError(`'previousDocs' is not an 'array'.`); }
+      if (!Array.isArray(fields)) { throw new TypeError(`'fields' is not an 'array'.`); }
+
+      const currentMap = s_CREATE_DOC_MAP(currentDocs);
+      const previousMap = s_CREATE_DOC_MAP(previousDocs);
+
+      const added = [];
+      const removed = [];
+      const changed = [];
+
+      for (const [key, doc] of currentMap)
+      {
+         const previousDoc = previousMap.get(key);
+
+         if (!previousDoc)
+         {
+            added.push(s_CREATE_IDENTIFIER(doc));
+            continue;
+         }
+
+         const changes = [];
+
+         for (const field of fields)
+         {
+            const before = s_PROJECT_FIELD(previousDoc, field);
+            const after = s_PROJECT_FIELD(doc, field);
+
+            if (JSON.stringify(before) !== JSON.stringify(after)) { changes.push({ field, before, after }); }
+         }
+
+         if (changes.length > 0) { changed.push(Object.assign(s_CREATE_IDENTIFIER(doc), { changes })); }
+      }
+
+      for (const [key, doc] of previousMap)
+      {
+         if (!currentMap.has(key)) { removed.push(s_CREATE_IDENTIFIER(doc)); }
+      }
+
+      return { added, removed, changed };
+   }
+
+   /**
+    * Returns the key matching a DocObject between compared sets; the `longname` and for getters / setters also the
+    * `qualifier`.
+    *
+    * @param {DocObject|{longname: string, qualifier: string}}   doc - A DocObject or reported identifier.
+    *
+    * @returns {string}
+    */
+   static getDocKey(doc)
+   {
+      return doc.qualifier === 'get' || doc.qualifier === 'set' ? `${doc.longname}:${doc.qualifier}` : doc.longname;
+   }
+
+   /**
+    * Returns the default DocObject fields compared.
+    *
+    * @returns {string[]}
+    */
+   static get defaultFields()
+   {
+      return ['access', 'export', 'kind', 'params', 'return', 'static', 'type'];
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Creates a Map of DocObjects keyed by `longname` and for getters / setters also `qualifier`. The first doc found for
+ * a key is retained.
+ *
+ * @param {DocObject[]} docs - DocObjects to map.
+ *
+ * @returns {Map<string, DocObject>}
+ */
+function s_CREATE_DOC_MAP(docs)
+{
+   const docMap = new Map();
+
+   for (const doc of docs)
+   {
+      if (doc.builtinVirtual || typeof doc.longname !== 'string') { continue; }
+
+      const key = DocDBDiff.getDocKey(doc);
+
+      if (!docMap.has(key)) { docMap.set(key, doc); }
+   }
+
+   return docMap;
+}
+
+/**
+ * Creates the identifier data reported for a DocObject.
+ *
+ * @param {DocObject}   doc - A DocObject.
+ *
+ * @returns {{longname: string, kind: string, filePath: string, qualifier: string}}
+ */
+function s_CREATE_IDENTIFIER(doc)
+{
+   return { longname: doc.longname, kind: doc.kind, filePath: doc.filePath, qualifier: doc.qualifier };
+}
+
+/**
+ * Projects a DocObject field removing data that does not affect the API such as descriptions.
+ *
+ * @param {DocObject}   doc - A DocObject.
+ *
+ * @param {string}      field - The field to project.
+ *
+ * @returns {*}
+ */
+function s_PROJECT_FIELD(doc, field)
+{
+   const value = doc[field];
+
+   if (typeof value !== 'object' || value === null) { return value; }
+
+   switch (field)
+   {
+      case 'params':
+         return Array.isArray(value) ? value.map((param) => ({
+            name: param.name,
+            types: param.types,
+            optional: !!param.optional,
+            spread: !!param.spread,
+            defaultValue: param.defaultValue
+         })) : value;
+
+      case 'return':
+         return { types: value.types, nullable: value.nullable };
+
+      case 'type':
+         return { types: value.types };
+
+      default:
+         return value;
+   }
+}
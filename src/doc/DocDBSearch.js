@@ -0,0 +1,253 @@
+/**
+ * Provides ranked fuzzy search over DocObject identifiers. Each whitespace separated query term is scored against a
+ * doc `name` and `longname` and all terms must match. From highest to lowest relevance the following matches are
+ * scored:
+ *
+ * - exact name / longname (case-sensitive then case-insensitive)
+ * - name prefix
+ * - camelCase / snake_case word boundaries; IE `gSC` or `getSrcCov` matches `getSourceCoverage`
+ * - longname segment (split on `/`, `~`, `#` and `.`) or segment prefix
+ * - substring of name then longname
+ * - typo tolerance; names within a small edit distance of the term
+ *
+ * Ties are ranked by shorter longname then name.
+ */
+export default class DocDBSearch
+{
+   /**
+    * Returns the DocObjects matching the query ranked by relevance.
+    *
+    * @param {DocObject[]} docs - The DocObjects to search.
+    *
+    * @param {string}      query - A free-text query.
+    *
+    * @param {number}      [limit=50] - The maximum amount of results; set to 0 for no limit.
+    *
+    * @param {boolean}     [scores=false] - If true results are returned as `{ doc, score }` objects.
+    *
+    * @returns {Array<DocObject|{doc: DocObject, score: number}>}
+    */
+   static search(docs, query, { limit = 50, scores = false } = {})
+   {
+      if (!Array.isArray(docs)) { throw new TypeError(`'docs' is not an 'array'.`); }
+      if (typeof query !== 'string') { throw new TypeError(`'query' is not a 'string'.`); }
+      if (!Number.isInteger(limit) || limit < 0) { throw new TypeError(`'limit' is not a positive 'integer'.`); }
+
+      const terms = query.trim().split(/\s+/).filter((term) => term.length > 0);
+
+      if (terms.length === 0) { return []; }
+
+      const results = [];
+
+      for (const doc of docs)
+      {
+         if (typeof doc.name !== 'string') { continue; }
+
+         let score = 0;
+
+         for (const term of terms)
+         {
+            const termScore = s_SCORE_TERM(doc, term);
+
+            if (termScore === 0)
+            {
+               score = 0;
+               break;
+            }
+
+            score += termScore;
+         }
+
+         if (score > 0) { results.push({ doc, score }); }
+      }
+
+      results.sort((a, b) =>
+      {
+         if (a.score !== b.score) { return b.score - a.score; }
+
+         const aLength = typeof a.doc.longname === 'string' ? a.doc.longname.length : 0;
+         const bLength = typeof b.doc.longname === 'string' ? b.doc.longname.length : 0;
+
+         return aLength !== bLength ? aLength - bLength : a.doc.name.localeCompare(b.doc.name);
+      });
+
+      const limited = limit > 0 ? results.slice(0, limit) : results;
+
+      return scores ? limited : limited.map((result) => result.doc);
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Returns the optimal string alignment distance (Levenshtein distance including transpositions) between two strings
+ * or `max + 1` when the distance exceeds `max`.
+ *
+ * @param {string}   a - A string.
+ *
+ * @param {string}   b - A string.
+ *
+ * @param {number}   max - The maximum distance of interest.
+ *
+ * @returns {number}
+ */
+function s_EDIT_DISTANCE(a, b, max)
+{
+   if (Math.abs(a.length - b.length) > max) { return max + 1; }
+
+   let previousPrevious = [];
+   let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+   for (let i = 1; i <= a.length; i++)
+   {
+      const current = [i];
+
+      let rowMin = i;
+
+      for (let j = 1; j <= b.length; j++)
+      {
+         const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+
+         current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+         if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1])
+         {
+            current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+         }
+
+         rowMin = Math.min(rowMin, current[j]);
+      }
+
+      if (rowMin > max) { return max + 1; }
+
+      previousPrevious = previous;
+      previous = current;
+   }
+
+   return previous[b.length];
+}
+
+/**
+ * Determines if a string is a subsequence of a word starting with the first character of the word; IE `src` of
+ * `source`.
+ *
+ * @param {string}   chunk - A string.
+ *
+ * @param {string}   word - A word.
+ *
+ * @returns {boolean}
+ */
+function s_IS_WORD_ABBREVIATION(chunk, word)
+{
+   if (chunk[0] !== word[0]) { return false; }
+
+   let index = 0;
+
+   for (const char of chunk)
+   {
+      index = word.indexOf(char, index);
+
+      if (index < 0) { return false; }
+
+      index++;
+   }
+
+   return true;
+}
+
+/**
+ * Determines if each character group of the term abbreviates consecutive words; IE `gSC` or `getSrcCov` for the
+ * words `get`, `source`, `coverage`.
+ *
+ * @param {string[]} words - Lowercase words of a name.
+ *
+ * @param {string}   term - Lowercase query term.
+ *
+ * @param {number}   [wordIndex=0] - The current word index.
+ *
+ * @returns {boolean}
+ */
+function s_MATCH_WORD_BOUNDARIES(words, term, wordIndex = 0)
+{
+   if (term.length === 0) { return true; }
+   if (wordIndex >= words.length) { return false; }
+
+   const word = words[wordIndex];
+
+   // Try consuming the longest abbreviation of the current word first.
+   for (let length = Math.min(word.length, term.length); length > 0; length--)
+   {
+      if (s_IS_WORD_ABBREVIATION(term.substring(0, length), word) &&
+       s_MATCH_WORD_BOUNDARIES(words, term.substring(length), wordIndex + 1))
+      {
+         return true;
+      }
+   }
+
+   return false;
+}
+
+/**
+ * Scores a single query term against a DocObject; 0 indicates no match.
+ *
+ * @param {DocObject}   doc - The DocObject to score.
+ *
+ * @param {string}      term - A query term.
+ *
+ * @returns {number}
+ */
+function s_SCORE_TERM(doc, term)
+{
+   const name = doc.name;
+   const longname = typeof doc.longname === 'string' ? doc.longname : '';
+
+   const nameLower = name.toLowerCase();
+   const termLower = term.toLowerCase();
+
+   if (name === term) { return 1000; }
+   if (longname === term) { return 950; }
+   if (nameLower === termLower) { return 900; }
+
+   if (nameLower.startsWith(termLower)) { return 700 - Math.min(name.length - term.length, 50); }
+
+   const words = s_SPLIT_WORDS(name);
+
+   if (words.length > 1 && s_MATCH_WORD_BOUNDARIES(words, termLower)) { return 600; }
+
+   const segments = longname.toLowerCase().split(/[/~#.]/).filter((segment) => segment.length > 0);
+
+   if (segments.includes(termLower)) { return 500; }
+   if (segments.some((segment) => segment.startsWith(termLower))) { return 400; }
+
+   if (nameLower.includes(termLower)) { return 300; }
+   if (longname.toLowerCase().includes(termLower)) { return 200; }
+
+   // Typo tolerance scales with the term length.
+   const maxTypos = termLower.length <= 2 ? 0 : termLower.length <= 4 ? 1 : termLower.length <= 8 ? 2 : 3;
+
+   if (maxTypos > 0)
+   {
+      const distance = s_EDIT_DISTANCE(termLower, nameLower, maxTypos);
+
+      if (distance <= maxTypos) { return 150 - (distance * 30); }
+
+      const prefixDistance = s_EDIT_DISTANCE(termLower, nameLower.substring(0, termLower.length), maxTypos);
+
+      if (prefixDistance <= maxTypos) { return 100 - (prefixDistance * 30); }
+   }
+
+   return 0;
+}
+
+/**
+ * Splits an identifier name into lowercase words on camelCase, snake_case, kebab-case and digit boundaries.
+ *
+ * @param {string}   name - An identifier name.
+ *
+ * @returns {string[]}
+ */
+function s_SPLIT_WORDS(name)
+{
+   return name.replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .split(/[\s_\-$]+/).filter((word) => word.length > 0).map((word) => word.toLowerCase());
+}
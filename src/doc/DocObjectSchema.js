@@ -0,0 +1,305 @@
+/**
+ * Defines a versioned schema for DocObjects by `kind` and validates DocObjects against it. The schema describes the
+ * fields common to all DocObjects and any additional required fields for specific kinds. Fields not described by the
+ * schema are not validated allowing plugins to add custom data; by convention prefixed with `_custom_`.
+ *
+ * Each field definition has the following optional entries:
+ *
+ * `type` - Expected type: `array`, `boolean`, `number`, `object` or `string`.
+ *
+ * `required` - If true the field must be defined.
+ *
+ * `nullable` - If true `null` is accepted.
+ *
+ * `expected` - An array of accepted values.
+ *
+ * `items` - For arrays the type of each item or an object hash of field definitions for object items.
+ *
+ * `fields` - For objects an object hash of field definitions.
+ *
+ * The schema version is incremented when a change to the schema invalidates previously valid DocObjects.
+ */
+export default class DocObjectSchema
+{
+   /**
+    * Returns the field definitions for the given DocObject kind; the common fields merged with any kind specific
+    * fields.
+    *
+    * @param {string}   kind - A DocObject kind.
+    *
+    * @returns {object<string, object>}
+    */
+   static getSchema(kind)
+   {
+      return Object.assign({}, s_COMMON_FIELDS, s_KIND_FIELDS[kind]);
+   }
+
+   /**
+    * Returns the DocObject kinds with specific field definitions.
+    *
+    * @returns {string[]}
+    */
+   static get kinds()
+   {
+      return Object.keys(s_KIND_FIELDS).sort();
+   }
+
+   /**
+    * Validates a DocObject against the schema for its kind.
+    *
+    * @param {DocObject}   doc - The DocObject to validate.
+    *
+    * @returns {Array<{field: string, message: string}>} Any violations; empty when the DocObject is valid.
+    */
+   static validate(doc)
+   {
+      if (typeof doc !== 'object' || doc === null || Array.isArray(doc))
+      {
+         return [{ field: '', message: `'doc' is not an 'object'.` }];
+      }
+
+      const violations = [];
+
+      s_VALIDATE_FIELDS(doc, DocObjectSchema.getSchema(doc.kind), '', violations);
+
+      return violations;
+   }
+
+   /**
+    * Returns the current schema version.
+    *
+    * @returns {number}
+    */
+   static get version()
+   {
+      return 1;
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Defines a param / property entry of `params` and `properties`.
+ * @type {object<string, object>}
+ */
+const s_PARAM_FIELDS =
+{
+   defaultRaw: {},
+   defaultValue: { type: 'string' },
+   description: { type: 'string', nullable: true },
+   name: { type: 'string', required: true },
+   nullable: { type: 'boolean', nullable: true },
+   optional: { type: 'boolean' },
+   spread: { type: 'boolean' },
+   types: { type: 'array', items: 'string', required: true }
+};
+
+/**
+ * Defines a type entry of `return` and `type`.
+ * @type {object<string, object>}
+ */
+const s_TYPE_FIELDS =
+{
+   description: { type: 'string', nullable: true },
+   nullable: { type: 'boolean', nullable: true },
+   spread: { type: 'boolean' },
+   types: { type: 'array', items: 'string', required: true }
+};
+
+/**
+ * Defines the fields common to all DocObjects.
+ * @type {object<string, object>}
+ */
+const s_COMMON_FIELDS =
+{
+   '__docId__': { type: 'number' },
+   'abstract': { type: 'boolean' },
+   'access': { type: 'string', expected: ['public', 'protected', 'private'], nullable: true },
+   'async': { type: 'boolean' },
+   'builtinVirtual': { type: 'boolean' },
+   'deprecated': { nullable: true },
+   'description': { type: 'string', nullable: true },
+   'emits': { type: 'array', items: 'object' },
+   'examples': { type: 'array', items: 'string' },
+   'experimental': { nullable: true },
+   'export': { type: 'boolean' },
+   'filePath': { type: 'string' },
+   'generator': { type: 'boolean' },
+   'ignore': { type: 'boolean' },
+   'importPath': { type: 'string' },
+   'importStyle': { type: 'string', nullable: true },
+   'kind': { type: 'string', required: true },
+   'lineNumber': { type: 'number' },
+   'listens': { type: 'array', items: 'object' },
+   'longname': { type: 'string', required: true },
+   'memberof': { type: 'string', nullable: true },
+   'name': { type: 'string', required: true },
+   'params': { type: 'array', items: s_PARAM_FIELDS },
+   'properties': { type: 'array', items: s_PARAM_FIELDS },
+   'return': { type: 'object', fields: s_TYPE_FIELDS },
+   'see': { type: 'array', items: 'string' },
+   'since': { type: 'string' },
+   'static': { type: 'boolean' },
+   'throws': { type: 'array', items: 'object' },
+   'todo': { type: 'array', items: 'string' },
+   'type': { type: 'object', fields: s_TYPE_FIELDS },
+   'undocument': { type: 'boolean' },
+   'unknown': { type: 'array', items: 'object' },
+   'version': { type: 'string' }
+};
+
+/**
+ * Defines additional fields for specific DocObject kinds.
+ * @type {object<string, object<string, object>>}
+ */
+const s_KIND_FIELDS =
+{
+   ClassMember: { memberof: { type: 'string', required: true } },
+
+   ClassMethod:
+   {
+      memberof: { type: 'string', required: true },
+      qualifier: { type: 'string', expected: ['constructor', 'get', 'method', 'set'] }
+   },
+
+   ClassProperty: { memberof: { type: 'string', required: true } },
+
+   ModuleAssignment: { filePath: { type: 'string', required: true } },
+
+   ModuleClass:
+   {
+      'extends': { type: 'array', items: 'string' },
+      'filePath': { type: 'string', required: true },
+      'implements': { type: 'array', items: 'string' },
+      'interface': { type: 'boolean' }
+   },
+
+   ModuleFile:
+   {
+      content: { type: 'string' },
+      filePath: { type: 'string', required: true }
+   },
+
+   ModuleFunction: { filePath: { type: 'string', required: true } },
+
+   ModuleVariable: { filePath: { type: 'string', required: true } },
+
+   VirtualExternal: { externalLink: { type: 'string' } },
+
+   VirtualTypedef: { type: { type: 'object', fields: s_TYPE_FIELDS } }
+};
+
+/**
+ * Returns the schema type of a value.
+ *
+ * @param {*}  value - A value.
+ *
+ * @returns {string}
+ */
+function s_GET_TYPE(value)
+{
+   return Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+}
+
+/**
+ * Returns a violation message for a value that is not of the expected type.
+ *
+ * @param {string}   field - The field path.
+ *
+ * @param {string}   type - The expected type.
+ *
+ * @returns {string}
+ */
+function s_TYPE_MESSAGE(field, type)
+{
+   return `'${field}' is not ${(/^[aeiou]/).test(type) ? 'an' : 'a'} '${type}'.`;
+}
+
+/**
+ * Validates a value against a field definition.
+ *
+ * @param {*}        value - The value to validate.
+ *
+ * @param {object}   definition - A field definition.
+ *
+ * @param {string}   field - The field path for reporting.
+ *
+ * @param {Array<{field: string, message: string}>} violations - Accumulates violations.
+ */
+function s_VALIDATE_FIELD(value, definition, field, violations)
+{
+   if (typeof value === 'undefined')
+   {
+      if (definition.required) { violations.push({ field, message: `'${field}' is required.` }); }
+      return;
+   }
+
+   if (value === null)
+   {
+      if (!definition.nullable && definition.type)
+      {
+         violations.push({ field, message: s_TYPE_MESSAGE(field, definition.type) });
+      }
+      return;
+   }
+
+   if (definition.type && s_GET_TYPE(value) !== definition.type)
+   {
+      violations.push({ field, message: s_TYPE_MESSAGE(field, definition.type) });
+      return;
+   }
+
+   if (Array.isArray(definition.expected) && !definition.expected.includes(value))
+   {
+      violations.push({ field, message: `'${field}' is not one of ${JSON.stringify(definition.expected)}.` });
+      return;
+   }
+
+   if (definition.type === 'array' && definition.items)
+   {
+      value.forEach((item, index) =>
+      {
+         const itemField = `${field}[${index}]`;
+
+         if (typeof definition.items === 'string')
+         {
+            if (s_GET_TYPE(item) !== definition.items)
+            {
+               violations.push({ field: itemField, message: s_TYPE_MESSAGE(itemField, definition.items) });
+            }
+         }
+         else if (s_GET_TYPE(item) !== 'object')
+         {
+            violations.push({ field: itemField, message: s_TYPE_MESSAGE(itemField, 'object') });
+         }
+         else
+         {
+            s_VALIDATE_FIELDS(item, definition.items, `${itemField}.`, violations);
+         }
+      });
+   }
+
+   if (definition.type === 'object' && definition.fields)
+   {
+      s_VALIDATE_FIELDS(value, definition.fields, `${field}.`, violations);
+   }
+}
+
+/**
+ * Validates the fields of an object against field definitions.
+ *
+ * @param {object}   object - The object to validate.
+ *
+ * @param {object<string, object>}  definitions - Field definitions.
+ *
+ * @param {string}   prefix - The field path prefix for reporting.
+ *
+ * @param {Array<{field: string, message: string}>} violations - Accumulates violations.
+ */
+function s_VALIDATE_FIELDS(object, definitions, prefix, violations)
+{
+   for (const field of Object.keys(definitions))
+   {
+      s_VALIDATE_FIELD(object[field], definitions[field], `${prefix}${field}`, violations);
+   }
+}
@@ -0,0 +1,276 @@
+/**
+ * Provides a file dependency graph built from ModuleFile docs which have been resolved by CoreDocResolver. Each
+ * ModuleFile doc lists in `_custom_dependent_file_paths` the files which depend on it; IE the files of subclasses.
+ *
+ * Dependencies are the files a file depends on (backward edges; child to parent) and dependents are the files which
+ * depend on a file (forward edges; parent to child). Both may be retrieved transitively. Cycles are detected with
+ * Tarjan's strongly connected components algorithm.
+ *
+ * When exported to JSON or DOT an edge `from` -> `to` denotes that `from` depends on `to`.
+ */
+export default class FileDependencyGraph
+{
+   /**
+    * Builds the graph from ModuleFile docs.
+    *
+    * @param {DocObject[]} [docs=[]] - ModuleFile docs.
+    */
+   constructor(docs = [])
+   {
+      if (!Array.isArray(docs)) { throw new TypeError(`'docs' is not an 'array'.`); }
+
+      /**
+       * Maps file paths to the file paths which depend on them.
+       * @type {Map<string, Set<string>>}
+       * @private
+       */
+      this._dependents = new Map();
+
+      /**
+       * Maps file paths to the file paths they depend on.
+       * @type {Map<string, Set<string>>}
+       * @private
+       */
+      this._dependencies = new Map();
+
+      for (const doc of docs)
+      {
+         if (typeof doc.filePath !== 'string') { continue; }
+
+         this.addFile(doc.filePath);
+
+         if (Array.isArray(doc._custom_dependent_file_paths))
+         {
+            for (const dependentPath of doc._custom_dependent_file_paths) { this.addEdge(dependentPath, doc.filePath); }
+         }
+      }
+   }
+
+   /**
+    * Creates a graph from all ModuleFile docs of a DocDB.
+    *
+    * @param {DocDB} docDB - The DocDB to build the graph from.
+    *
+    * @returns {FileDependencyGraph}
+    */
+   static fromDocDB(docDB)
+   {
+      return new FileDependencyGraph(docDB.find({ kind: 'ModuleFile' }));
+   }
+
+   /**
+    * Adds a dependency edge.
+    *
+    * @param {string}   filePath - The dependent file path.
+    *
+    * @param {string}   dependencyPath - The file path `filePath` depends on.
+    */
+   addEdge(filePath, dependencyPath)
+   {
+      this.addFile(filePath);
+      this.addFile(dependencyPath);
+
+      this._dependencies.get(filePath).add(dependencyPath);
+      this._dependents.get(dependencyPath).add(filePath);
+   }
+
+   /**
+    * Adds a file without edges.
+    *
+    * @param {string}   filePath - A file path.
+    */
+   addFile(filePath)
+   {
+      if (typeof filePath !== 'string') { throw new TypeError(`'filePath' is not a 'string'.`); }
+
+      if (!this._dependents.has(filePath))
+      {
+         this._dependents.set(filePath, new Set());
+         this._dependencies.set(filePath, new Set());
+      }
+   }
+
+   /**
+    * Finds all dependency cycles. Each cycle is a sorted array of the file paths involved.
+    *
+    * @returns {Array<string[]>}
+    */
+   findCycles()
+   {
+      const cycles = [];
+      const indexes = new Map();
+      const lowLinks = new Map();
+      const onStack = new Set();
+      const stack = [];
+
+      let index = 0;
+
+      const strongConnect = (filePath) =>
+      {
+         indexes.set(filePath, index);
+         lowLinks.set(filePath, index);
+         index++;
+
+         stack.push(filePath);
+         onStack.add(filePath);
+
+         for (const dependencyPath of this._dependencies.get(filePath))
+         {
+            if (!indexes.has(dependencyPath))
+            {
+               strongConnect(dependencyPath);
+               lowLinks.set(filePath, Math.min(lowLinks.get(filePath), lowLinks.get(dependencyPath)));
+            }
+            else if (onStack.has(dependencyPath))
+            {
+               lowLinks.set(filePath, Math.min(lowLinks.get(filePath), indexes.get(dependencyPath)));
+            }
+         }
+
+         if (lowLinks.get(filePath) === indexes.get(filePath))
+         {
+            const component = [];
+
+            let member;
+
+            do
+            {
+               member = stack.pop();
+               onStack.delete(member);
+               component.push(member);
+            } while (member !== filePath);
+
+            if (component.length > 1 || this._dependencies.get(filePath).has(filePath))
+            {
+               cycles.push(component.sort());
+            }
+         }
+      };
+
+      for (const filePath of this.getFiles())
+      {
+         if (!indexes.has(filePath)) { strongConnect(filePath); }
+      }
+
+      return cycles;
+   }
+
+   /**
+    * Returns the file paths the given file(s) depend on.
+    *
+    * @param {string|string[]}   filePath - A file path or array of file paths.
+    *
+    * @param {boolean}           [transitive=false] - If true all indirect dependencies are included.
+    *
+    * @returns {string[]}
+    */
+   getDependencies(filePath, { transitive = false } = {})
+   {
+      return s_COLLECT(this._dependencies, filePath, transitive);
+   }
+
+   /**
+    * Returns the file paths which depend on the given file(s).
+    *
+    * @param {string|string[]}   filePath - A file path or array of file paths.
+    *
+    * @param {boolean}           [transitive=false] - If true all indirect dependents are included.
+    *
+    * @returns {string[]}
+    */
+   getDependents(filePath, { transitive = false } = {})
+   {
+      return s_COLLECT(this._dependents, filePath, transitive);
+   }
+
+   /**
+    * Returns all file paths in the graph sorted.
+    *
+    * @returns {string[]}
+    */
+   getFiles()
+   {
+      return Array.from(this._dependents.keys()).sort();
+   }
+
+   /**
+    * Exports the graph in Graphviz DOT format.
+    *
+    * @param {string}   [name='dependencies'] - The graph name.
+    *
+    * @returns {string}
+    */
+   toDOT({ name = 'dependencies' } = {})
+   {
+      const { nodes, edges } = this.toJSON();
+
+      const lines = [`digraph ${JSON.stringify(name)} {`];
+
+      for (const node of nodes) { lines.push(`  ${JSON.stringify(node)};`); }
+      for (const edge of edges) { lines.push(`  ${JSON.stringify(edge.from)} -> ${JSON.stringify(edge.to)};`); }
+
+      lines.push('}');
+
+      return lines.join('\n');
+   }
+
+   /**
+    * Exports the graph as JSON data.
+    *
+    * @returns {{nodes: string[], edges: Array<{from: string, to: string}>}}
+    */
+   toJSON()
+   {
+      const nodes = this.getFiles();
+      const edges = [];
+
+      for (const from of nodes)
+      {
+         for (const to of Array.from(this._dependencies.get(from)).sort()) { edges.push({ from, to }); }
+      }
+
+      return { nodes, edges };
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Collects adjacent file paths of the given file path(s) optionally traversing transitively. The given file paths are
+ * not included in the result.
+ *
+ * @param {Map<string, Set<string>>}  edges - Adjacency map to traverse.
+ *
+ * @param {string|string[]}           filePath - A file path or array of file paths.
+ *
+ * @param {boolean}                   transitive - If true traverse transitively.
+ *
+ * @returns {string[]}
+ */
+function s_COLLECT(edges, filePath, transitive)
+{
+   const start = Array.isArray(filePath) ? filePath : [filePath];
+
+   const visited = new Set(start);
+   const results = [];
+   const queue = start.slice();
+
+   while (queue.length > 0)
+   {
+      const adjacent = edges.get(queue.shift());
+
+      if (!adjacent) { continue; }
+
+      for (const adjacentPath of adjacent)
+      {
+         if (visited.has(adjacentPath)) { continue; }
+
+         visited.add(adjacentPath);
+         results.push(adjacentPath);
+
+         if (transitive) { queue.push(adjacentPath); }
+      }
+   }
+
+   return results;
+}
@@ -0,0 +1,559 @@
+import NativeQueryResult from './NativeQueryResult.js';
+
+/**
+ * Provides an in-memory DocDB storage backend with secondary indexes for the DocObject fields most often queried:
+ * `kind`, `filePath`, `longname`, `name` and `memberof`.
+ *
+ * Queries use the same syntax as TaffyDB. Object filters are AND'ed, arrays of filters are OR'ed and a field value may
+ * be a single value, an array of values (OR'ed) or an object of TaffyDB match operators such as `regex`, `like`,
+ * `left`, `has` including negation with a `!` prefix; IE `{ '!is': 'value' }`. When a query constrains an indexed
+ * field by equality the candidate records are retrieved from the index before the full filter is applied otherwise all
+ * records are scanned.
+ *
+ * Indexes are maintained by `insert`, `merge` and the `update` / `remove` methods of query results. If an indexed
+ * field of a stored DocObject is modified directly invoke `reindex` to keep indexes consistent.
+ */
+export default class NativeDocBackend
+{
+   /**
+    * Initializes the backend with given document data.
+    *
+    * @param {DocObject[]}    [docData] - DocObject data.
+    */
+   constructor(docData = void 0)
+   {
+      /**
+       * Stores all records in insertion order mapped to their insertion sequence.
+       * @type {Map<DocObject, number>}
+       * @private
+       */
+      this._records = new Map();
+
+      /**
+       * The next insertion sequence number.
+       * @type {number}
+       * @private
+       */
+      this._sequence = 0;
+
+      /**
+       * Secondary indexes for each indexed field mapping field values to records.
+       * @type {Map<string, Map<*, Set<DocObject>>>}
+       * @private
+       */
+      this._indexes = new Map(s_INDEXED_FIELDS.map((field) => [field, new Map()]));
+
+      if (docData) { this.insert(docData); }
+   }
+
+   /**
+    * Returns the backend name.
+    *
+    * @returns {string}
+    */
+   get name() { return 'native'; }
+
+   /**
+    * Inserts an object or array of objects.
+    *
+    * @param {DocObject|DocObject[]}   docs - DocObject(s) to insert.
+    *
+    * @returns {NativeQueryResult}
+    */
+   insert(docs)
+   {
+      const records = Array.isArray(docs) ? docs : [docs];
+
+      for (const record of records)
+      {
+         if (typeof record !== 'object' || record === null)
+         {
+            throw new TypeError(`'record' is not an 'object'.`);
+         }
+
+         if (this._records.has(record)) { continue; }
+
+         this._records.set(record, this._sequence++);
+         this._addToIndexes(record);
+      }
+
+      return new NativeQueryResult(this, records.slice());
+   }
+
+   /**
+    * Merges an object or array of objects with the given identity column. Existing records with a matching identity
+    * value are updated; otherwise the record is inserted.
+    *
+    * @param {DocObject|DocObject[]}   docs - DocObject(s) to merge.
+    *
+    * @param {string}                  [key='id'] - Identity column to be used to match records.
+    *
+    * @returns {NativeQueryResult}
+    */
+   merge(docs, key = 'id')
+   {
+      const records = Array.isArray(docs) ? docs : [docs];
+
+      const affected = [];
+
+      for (const record of records)
+      {
+         const existing = this.query({ [key]: record[key] }).first();
+
+         if (existing)
+         {
+            this._update(existing, record);
+            affected.push(existing);
+         }
+         else
+         {
+            affected.push(...this.insert(record).get());
+         }
+      }
+
+      return new NativeQueryResult(this, affected);
+   }
+
+   /**
+    * Performs a query with TaffyDB query syntax.
+    *
+    * @param {...TaffyDBQuery}   [query] - A TaffyDB query.
+    *
+    * @returns {NativeQueryResult}
+    */
+   query(...query)
+   {
+      const filters = query.filter((filter) => typeof filter !== 'undefined');
+
+      return new NativeQueryResult(this, this._select(filters));
+   }
+
+   /**
+    * Rebuilds all secondary indexes. Invoke after any indexed field of a stored DocObject is modified directly.
+    */
+   reindex()
+   {
+      for (const index of this._indexes.values()) { index.clear(); }
+
+      for (const record of this._records.keys()) { this._addToIndexes(record); }
+   }
+
+   /**
+    * Adds a record to all secondary indexes.
+    *
+    * @param {DocObject}   record - Record to add.
+    *
+    * @private
+    */
+   _addToIndexes(record)
+   {
+      for (const [field, index] of this._indexes)
+      {
+         const value = record[field];
+
+         let set = index.get(value);
+
+         if (!set)
+         {
+            set = new Set();
+            index.set(value, set);
+         }
+
+         set.add(record);
+      }
+   }
+
+   /**
+    * Returns the candidate records for an object filter from the secondary indexes or undefined if no indexed field is
+    * constrained by equality.
+    *
+    * @param {object}   filter - An object filter.
+    *
+    * @returns {Set<DocObject>[]|undefined}
+    * @private
+    */
+   _getIndexCandidates(filter)
+   {
+      let candidates;
+      let candidatesSize = Number.MAX_SAFE_INTEGER;
+
+      for (const field of s_INDEXED_FIELDS)
+      {
+         if (!(field in filter)) { continue; }
+
+         const value = filter[field];
+         const values = Array.isArray(value) ? value : [value];
+
+         // Only plain equality values may be resolved from an index.
+         if (values.some((entry) => typeof entry === 'object' && entry !== null || typeof entry === 'function'))
+         {
+            continue;
+         }
+
+         const index = this._indexes.get(field);
+         const sets = [];
+
+         let size = 0;
+
+         for (const entry of values)
+         {
+            const set = index.get(entry);
+
+            if (set)
+            {
+               sets.push(set);
+               size += set.size;
+            }
+         }
+
+         if (size < candidatesSize)
+         {
+            candidates = sets;
+            candidatesSize = size;
+         }
+      }
+
+      return candidates;
+   }
+
+   /**
+    * Removes the given records.
+    *
+    * @param {DocObject[]} records - Records to remove.
+    *
+    * @returns {number} Count of records removed.
+    * @private
+    */
+   _remove(records)
+   {
+      let count = 0;
+
+      for (const record of records)
+      {
+         if (!this._records.delete(record)) { continue; }
+
+         this._removeFromIndexes(record);
+
+         count++;
+      }
+
+      return count;
+   }
+
+   /**
+    * Removes a record from all secondary indexes.
+    *
+    * @param {DocObject}   record - Record to remove.
+    *
+    * @private
+    */
+   _removeFromIndexes(record)
+   {
+      for (const [field, index] of this._indexes)
+      {
+         const set = index.get(record[field]);
+
+         if (set)
+         {
+            set.delete(record);
+
+            if (set.size === 0) { index.delete(record[field]); }
+         }
+      }
+   }
+
+   /**
+    * Selects all records matching the given filters in insertion order.
+    *
+    * @param {Array<object|function|Array>}  filters - TaffyDB filters which are AND'ed.
+    *
+    * @returns {DocObject[]}
+    * @private
+    */
+   _select(filters)
+   {
+      if (filters.length === 0) { return Array.from(this._records.keys()); }
+
+      // Find the smallest set of candidates from any top level object filter.
+      let candidateSets;
+      let candidatesSize = Number.MAX_SAFE_INTEGER;
+
+      for (const filter of filters)
+      {
+         if (typeof filter !== 'object' || filter === null || Array.isArray(filter)) { continue; }
+
+         const sets = this._getIndexCandidates(filter);
+
+         if (sets)
+         {
+            const size = sets.reduce((total, set) => total + set.size, 0);
+
+            if (size < candidatesSize)
+            {
+               candidateSets = sets;
+               candidatesSize = size;
+            }
+         }
+      }
+
+      const predicate = s_COMPILE_FILTERS(filters);
+
+      let candidates;
+
+      if (!candidateSets)
+      {
+         candidates = this._records.keys();
+      }
+      else if (candidateSets.length === 1)
+      {
+         // A single index set is already in insertion order.
+         candidates = candidateSets[0];
+      }
+      else
+      {
+         const union = new Set();
+
+         for (const set of candidateSets) { for (const record of set) { union.add(record); } }
+
+         candidates = Array.from(union).sort((a, b) => this._records.get(a) - this._records.get(b));
+      }
+
+      const results = [];
+
+      for (const record of candidates)
+      {
+         if (predicate(record)) { results.push(record); }
+      }
+
+      return results;
+   }
+
+   /**
+    * Updates a record with the given data maintaining secondary indexes.
+    *
+    * @param {DocObject}   record - Record to update.
+    *
+    * @param {object}      data - Data to assign to the record.
+    *
+    * @private
+    */
+   _update(record, data)
+   {
+      if (!this._records.has(record)) { return; }
+
+      this._removeFromIndexes(record);
+
+      Object.assign(record, data);
+
+      this._addToIndexes(record);
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Defines the DocObject fields with secondary indexes.
+ * @type {string[]}
+ */
+const s_INDEXED_FIELDS = ['kind', 'filePath', 'longname', 'name', 'memberof'];
+
+/**
+ * Defines the TaffyDB match operators supported.
+ * @type {object<string, function(*, *): boolean>}
+ */
+const s_OPERATORS =
+{
+   'regex': (value, test) => test.test(value),
+   'lt': (value, test) => value < test,
+   '<': (value, test) => value < test,
+   'gt': (value, test) => value > test,
+   '>': (value, test) => value > test,
+   'lte': (value, test) => value <= test,
+   '<=': (value, test) => value <= test,
+   'gte': (value, test) => value >= test,
+   '>=': (value, test) => value >= test,
+   'left': (value, test) => typeof value === 'string' && value.indexOf(test) === 0,
+   'leftnocase': (value, test) => typeof value === 'string' && value.toLowerCase().indexOf(test.toLowerCase()) === 0,
+   'right': (value, test) => typeof value === 'string' && value.substring(value.length - test.length) === test,
+   'rightnocase': (value, test) => typeof value === 'string' &&
+    value.toLowerCase().substring(value.length - test.length) === test.toLowerCase(),
+   'like': (value, test) => typeof value === 'string' && value.indexOf(test) >= 0,
+   'likenocase': (value, test) => typeof value === 'string' && value.toLowerCase().indexOf(test.toLowerCase()) >= 0,
+   'is': (value, test) => value === test,
+   '===': (value, test) => value === test,
+   '==': (value, test) => s_LOOSE_EQUALS(value, test),
+   '!==': (value, test) => value !== test,
+   '!=': (value, test) => !s_LOOSE_EQUALS(value, test),
+   'isnocase': (value, test) => typeof value === 'string' ? value.toLowerCase() === test.toLowerCase() :
+    value === test,
+   'has': (value, test) => Array.isArray(value) ? value.includes(test) :
+    typeof value === 'object' && value !== null && test in value,
+   'hasAll': (value, test) => Array.isArray(value) && (Array.isArray(test) ? test : [test]).every(
+    (entry) => value.includes(entry)),
+   'contains': (value, test) => Array.isArray(value) && value.indexOf(test) > -1,
+   'isArray': (value, test) => Array.isArray(value) === test,
+   'isBoolean': (value, test) => (typeof value === 'boolean') === test,
+   'isFunction': (value, test) => (typeof value === 'function') === test,
+   'isNull': (value, test) => (value === null) === test,
+   'isNumber': (value, test) => (typeof value === 'number') === test,
+   'isObject': (value, test) => (typeof value === 'object' && value !== null && !Array.isArray(value)) === test,
+   'isString': (value, test) => (typeof value === 'string') === test
+};
+
+/**
+ * Tests two values for equality with the coercion rules of the abstract equality comparison (`==`) matching the TaffyDB
+ * `==` and `!=` operators. `null` and `undefined` are only equal to each other, objects are converted to primitives and
+ * mixed primitive types are compared as numbers.
+ *
+ * @param {*}  value - The record value.
+ *
+ * @param {*}  test - The value to test against.
+ *
+ * @returns {boolean}
+ */
+function s_LOOSE_EQUALS(value, test)
+{
+   if (value === test) { return true; }
+
+   const valueNullish = value === null || value === void 0;
+   const testNullish = test === null || test === void 0;
+
+   if (valueNullish || testNullish) { return valueNullish && testNullish; }
+
+   const valueObject = typeof value === 'object' || typeof value === 'function';
+   const testObject = typeof test === 'object' || typeof test === 'function';
+
+   // Two distinct objects are never equal.
+   if (valueObject && testObject) { return false; }
+
+   if (valueObject) { return s_LOOSE_EQUALS(s_TO_PRIMITIVE(value), test); }
+   if (testObject) { return s_LOOSE_EQUALS(value, s_TO_PRIMITIVE(test)); }
+
+   // Symbols are only equal by identity.
+   if (typeof value === 'symbol' || typeof test === 'symbol') { return false; }
+
+   if (typeof value === 'string' && typeof test === 'string') { return false; }
+
+   return Number(value) === Number(test);
+}
+
+/**
+ * Converts an object to a primitive value with `valueOf` falling back to `toString` like the default `ToPrimitive`
+ * conversion.
+ *
+ * @param {object|function}   object - The object to convert.
+ *
+ * @returns {*}
+ */
+function s_TO_PRIMITIVE(object)
+{
+   const primitive = typeof object.valueOf === 'function' ? object.valueOf() : object;
+
+   return typeof primitive === 'object' && primitive !== null || typeof primitive === 'function' ?
+    String(object) : primitive;
+}
+
+/**
+ * Compiles TaffyDB filters which are AND'ed into a single predicate function.
+ *
+ * @param {Array<object|function|Array>}  filters - TaffyDB filters.
+ *
+ * @returns {function(DocObject): boolean}
+ */
+function s_COMPILE_FILTERS(filters)
+{
+   const predicates = filters.map(s_COMPILE_FILTER);
+
+   return (record) => predicates.every((predicate) => predicate(record));
+}
+
+/**
+ * Compiles a single TaffyDB filter. Functions are invoked with the record as `this` and the first argument, arrays
+ * are OR'ed and objects are AND'ed by field.
+ *
+ * @param {object|function|Array}   filter - A TaffyDB filter.
+ *
+ * @returns {function(DocObject): boolean}
+ */
+function s_COMPILE_FILTER(filter)
+{
+   if (typeof filter === 'function') { return (record) => !!filter.call(record, record); }
+
+   if (Array.isArray(filter))
+   {
+      const predicates = filter.map(s_COMPILE_FILTER);
+
+      return (record) => predicates.some((predicate) => predicate(record));
+   }
+
+   if (typeof filter !== 'object' || filter === null)
+   {
+      throw new TypeError(`'filter' is not an 'object', 'function' or 'array'.`);
+   }
+
+   const predicates = [];
+
+   for (const field of Object.keys(filter))
+   {
+      let match = filter[field];
+
+      // Default match type is equality.
+      if (typeof match !== 'object' || match === null || Array.isArray(match)) { match = { is: match }; }
+
+      for (const operator of Object.keys(match))
+      {
+         predicates.push(s_COMPILE_MATCH(field, operator, match[operator]));
+      }
+   }
+
+   return (record) => predicates.every((predicate) => predicate(record));
+}
+
+/**
+ * Compiles a field match. Any array of test values is OR'ed except for `hasAll`. As with TaffyDB a record with an
+ * undefined field value never matches.
+ *
+ * @param {string}   field - The record field.
+ *
+ * @param {string}   operator - The match operator which may be negated with a `!` prefix.
+ *
+ * @param {*}        test - The test value(s).
+ *
+ * @returns {function(DocObject): boolean}
+ */
+function s_COMPILE_MATCH(field, operator, test)
+{
+   let negate = false;
+
+   if (operator.startsWith('!') && operator !== '!=' && operator !== '!==')
+   {
+      negate = true;
+      operator = operator.substring(1);
+   }
+
+   const operatorFn = s_OPERATORS[operator];
+
+   if (typeof operatorFn !== 'function') { throw new Error(`Unknown query match operator: '${operator}'.`); }
+
+   const tests = Array.isArray(test) && operator !== 'hasAll' ? test : [test];
+
+   return (record) =>
+   {
+      const value = record[field];
+
+      if (typeof value === 'undefined') { return false; }
+
+      let result = false;
+
+      for (const entry of tests)
+      {
+         if (operatorFn(value, entry))
+         {
+            result = true;
+            break;
+         }
+      }
+
+      return negate ? !result : result;
+   };
+}
@@ -0,0 +1,300 @@
+/**
+ * Provides a query result for {@link NativeDocBackend} which supports the commonly used subset of the TaffyDB query
+ * result API: `count`, `distinct`, `each`, `filter`, `first`, `get`, `last`, `limit`, `map`, `order`, `remove`,
+ * `select`, `start` and `update`.
+ */
+export default class NativeQueryResult
+{
+   /**
+    * Instantiates NativeQueryResult.
+    *
+    * @param {NativeDocBackend}  backend - The backend which created this result.
+    *
+    * @param {DocObject[]}       records - The matched records.
+    */
+   constructor(backend, records)
+   {
+      /**
+       * The backend which created this result.
+       * @type {NativeDocBackend}
+       * @private
+       */
+      this._backend = backend;
+
+      /**
+       * The matched records.
+       * @type {DocObject[]}
+       * @private
+       */
+      this._records = records;
+   }
+
+   /**
+    * Returns the count of matched records.
+    *
+    * @returns {number}
+    */
+   count()
+   {
+      return this._records.length;
+   }
+
+   /**
+    * Returns the distinct values of one or more fields. For a single field an array of values is returned otherwise
+    * an array of arrays of values.
+    *
+    * @param {...string}   fields - Fields to retrieve distinct values.
+    *
+    * @returns {Array<*>}
+    */
+   distinct(...fields)
+   {
+      const results = [];
+      const seen = new Set();
+
+      for (const record of this._records)
+      {
+         if (fields.length === 1)
+         {
+            const value = record[fields[0]];
+
+            if (!seen.has(value))
+            {
+               seen.add(value);
+               results.push(value);
+            }
+         }
+         else
+         {
+            const values = fields.map((field) => record[field]);
+            const key = JSON.stringify(values);
+
+            if (!seen.has(key))
+            {
+               seen.add(key);
+               results.push(values);
+            }
+         }
+      }
+
+      return results;
+   }
+
+   /**
+    * Invokes the callback for each record.
+    *
+    * @param {function(DocObject, number)}   callback - Invoked with each record and index.
+    *
+    * @returns {NativeQueryResult}
+    */
+   each(callback)
+   {
+      this._records.forEach((record, index) => callback(record, index));
+
+      return this;
+   }
+
+   /**
+    * Further filters this result with TaffyDB query syntax.
+    *
+    * @param {...TaffyDBQuery}   [query] - A TaffyDB query.
+    *
+    * @returns {NativeQueryResult}
+    */
+   filter(...query)
+   {
+      const matched = new Set(this._backend.query(...query).get());
+
+      return new NativeQueryResult(this._backend, this._records.filter((record) => matched.has(record)));
+   }
+
+   /**
+    * Returns the first matched record or false if there are no records.
+    *
+    * @returns {DocObject|boolean}
+    */
+   first()
+   {
+      return this._records.length > 0 ? this._records[0] : false;
+   }
+
+   /**
+    * Returns a copy of all matched records.
+    *
+    * @returns {DocObject[]}
+    */
+   get()
+   {
+      return this._records.slice();
+   }
+
+   /**
+    * Returns the last matched record or false if there are no records.
+    *
+    * @returns {DocObject|boolean}
+    */
+   last()
+   {
+      return this._records.length > 0 ? this._records[this._records.length - 1] : false;
+   }
+
+   /**
+    * Limits the amount of records.
+    *
+    * @param {number}   count - Maximum record count.
+    *
+    * @returns {NativeQueryResult}
+    */
+   limit(count)
+   {
+      return new NativeQueryResult(this._backend, this._records.slice(0, count));
+   }
+
+   /**
+    * Maps each record.
+    *
+    * @param {function(DocObject, number): *} callback - Invoked with each record and index.
+    *
+    * @returns {Array<*>}
+    */
+   map(callback)
+   {
+      return this._records.map((record, index) => callback(record, index));
+   }
+
+   /**
+    * Sorts the records with TaffyDB order syntax; IE `kind, name asec` or `lineNumber desc`. Supported directions are
+    * `asec`, `desc`, `logical` and `logicaldesc` where a column without a direction is sorted `logical`.
+    *
+    * @param {string}   order - Comma separated columns with optional sort directions.
+    *
+    * @returns {NativeQueryResult}
+    */
+   order(order)
+   {
+      if (typeof order !== 'string') { throw new TypeError(`'order' is not a 'string'.`); }
+
+      const columns = order.split(',').map((entry) =>
+      {
+         const parts = entry.trim().split(/\s+/);
+
+         return { column: parts[0], direction: parts.length === 1 ? 'logical' : parts[1] };
+      });
+
+      const sorted = this._records.slice().sort((a, b) =>
+      {
+         for (const { column, direction } of columns)
+         {
+            const result = s_COMPARE(a[column], b[column], direction);
+
+            if (result !== 0) { return result; }
+         }
+
+         return 0;
+      });
+
+      return new NativeQueryResult(this._backend, sorted);
+   }
+
+   /**
+    * Removes all matched records from the backend.
+    *
+    * @returns {number} Count of records removed.
+    */
+   remove()
+   {
+      return this._backend._remove(this._records);
+   }
+
+   /**
+    * Returns the values of one or more fields for each record. For a single field an array of values is returned
+    * otherwise an array of arrays of values.
+    *
+    * @param {...string}   fields - Fields to retrieve.
+    *
+    * @returns {Array<*>}
+    */
+   select(...fields)
+   {
+      return this._records.map((record) => fields.length === 1 ? record[fields[0]] :
+       fields.map((field) => record[field]));
+   }
+
+   /**
+    * Skips records starting the result at the given 1-based record number as with TaffyDB.
+    *
+    * @param {number}   start - Record number to start from.
+    *
+    * @returns {NativeQueryResult}
+    */
+   start(start)
+   {
+      return new NativeQueryResult(this._backend, this._records.slice(Math.max(start - 1, 0)));
+   }
+
+   /**
+    * Updates all matched records maintaining backend indexes. Accepts either an object of data to assign or a field
+    * and value.
+    *
+    * @param {object|string}  data - Data to assign or a field name.
+    *
+    * @param {*}              [value] - Value to assign when `data` is a field name.
+    *
+    * @returns {NativeQueryResult}
+    */
+   update(data, value = void 0)
+   {
+      const updateData = typeof data === 'string' ? { [data]: value } : data;
+
+      if (typeof updateData !== 'object' || updateData === null)
+      {
+         throw new TypeError(`'data' is not an 'object' or 'string'.`);
+      }
+
+      for (const record of this._records) { this._backend._update(record, updateData); }
+
+      return this;
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Compares two values for the given TaffyDB sort direction.
+ *
+ * @param {*}        a - A value.
+ *
+ * @param {*}        b - A value.
+ *
+ * @param {string}   direction - `asec`, `desc`, `logical` or `logicaldesc`.
+ *
+ * @returns {number}
+ */
+function s_COMPARE(a, b, direction)
+{
+   switch (direction)
+   {
+      case 'logical':
+      case 'logicaldesc':
+      {
+         let result = 0;
+
+         if (typeof a === 'string' && typeof b === 'string')
+         {
+            result = a.localeCompare(b, void 0, { numeric: true });
+         }
+         else
+         {
+            result = a < b ? -1 : a > b ? 1 : 0;
+         }
+
+         return direction === 'logical' ? result : -result;
+      }
+
+      case 'desc':
+         return a > b ? -1 : a < b ? 1 : 0;
+
+      default:
+         return a < b ? -1 : a > b ? 1 : 0;
+   }
+}
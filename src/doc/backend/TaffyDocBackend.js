@@ -0,0 +1,70 @@
+import { taffy }  from 'taffydb';
+
+/**
+ * Provides the default DocDB storage backend using TaffyDB.
+ *
+ * A DocDB storage backend must implement `insert`, `merge` and `query` where `query` returns a result set supporting
+ * the TaffyDB query result API used by DocDB (`count`, `distinct`, `get`, `order`, `remove` etc).
+ */
+export default class TaffyDocBackend
+{
+   /**
+    * Initializes the TaffyDB instance with given document data.
+    *
+    * @param {DocObject[]}    [docData] - DocObject data.
+    */
+   constructor(docData = void 0)
+   {
+      /**
+       * TaffyDB instance of docData.
+       * @type {TaffyDB}
+       */
+      this._taffy = taffy(docData);
+   }
+
+   /**
+    * Returns the backend name.
+    *
+    * @returns {string}
+    */
+   get name() { return 'taffydb'; }
+
+   /**
+    * Inserts an object or array of objects.
+    *
+    * @param {DocObject|DocObject[]}   docs - DocObject(s) to insert.
+    *
+    * @returns {TaffyDB}
+    */
+   insert(docs)
+   {
+      return this._taffy.insert(docs);
+   }
+
+   /**
+    * Merges an object or array of objects with the given identity column.
+    *
+    * @param {DocObject|DocObject[]}   docs - DocObject(s) to merge.
+    *
+    * @param {*}                       [key] - Identity column to be used to match records. The TaffyDB default is:
+    *                                          `id`.
+    *
+    * @returns {TaffyDB}
+    */
+   merge(docs, key = void 0)
+   {
+      return this._taffy.merge(docs, key);
+   }
+
+   /**
+    * Performs a TaffyDB query.
+    *
+    * @param {...TaffyDBQuery}   [query] - A TaffyDB query.
+    *
+    * @returns {TaffyDB}
+    */
+   query(...query)
+   {
+      return this._taffy(...query);
+   }
+}
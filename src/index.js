@@ -1,17 +1,28 @@
-import ConfigData          from './ConfigData.js';
+import ConfigData           from './ConfigData.js';
 
-import * as DocDB          from './doc/DocDB.js';
+import * as DocDB           from './doc/DocDB.js';
 
-import * as ParserError    from './parser/ParserError.js';
+import * as ParserError     from './parser/ParserError.js';
 
-import PublisherRuntime    from './publisher/PublisherRuntime.js';
+import PublisherRuntime     from './publisher/PublisherRuntime.js';
 
-import FileUtil            from './utils/FileUtil.js';
-import GenerateDocData     from './utils/GenerateDocData.js';
-import InvalidCodeLogger   from './utils/InvalidCodeLogger.js';
-import LintDocLogger       from './utils/LintDocLogger.js';
-import NamingUtil          from './utils/NamingUtil.js';
-import RegenerateDocData   from './utils/RegenerateDocData.js';
+import * as AbortError      from './utils/AbortError.js';
+import APISemverCheck       from './utils/APISemverCheck.js';
+import DocCoverageBaseline  from './utils/DocCoverageBaseline.js';
+import DocCoverageReporter  from './utils/DocCoverageReporter.js';
+import DocCoverageThreshold from './utils/DocCoverageThreshold.js';
+import DocSkeletonGenerator from './utils/DocSkeletonGenerator.js';
+import DocStatsReporter     from './utils/DocStatsReporter.js';
+import ExampleCodeValidator from './utils/ExampleCodeValidator.js';
+import FileUtil             from './utils/FileUtil.js';
+import GenerateDocData      from './utils/GenerateDocData.js';
+import GenerateProfiler     from './utils/GenerateProfiler.js';
+import InvalidCodeLogger    from './utils/InvalidCodeLogger.js';
+import InvalidDocLogger     from './utils/InvalidDocLogger.js';
+import LintDocLogger        from './utils/LintDocLogger.js';
+import NamingUtil           from './utils/NamingUtil.js';
+import RegenerateDocData    from './utils/RegenerateDocData.js';
+import WatchDocData         from './utils/WatchDocData.js';
 
 /**
  * Adds all common runtime plugins.
@@ -54,11 +65,22 @@ export async function onPluginLoad(ev)
       },
 
       // Local plugins.
+      { name: 'tjsdoc-abort-error', instance: AbortError },
+      { name: 'tjsdoc-api-semver-check', instance: new APISemverCheck() },
+      { name: 'tjsdoc-doc-coverage-baseline', instance: new DocCoverageBaseline() },
+      { name: 'tjsdoc-doc-coverage-reporter', instance: new DocCoverageReporter() },
+      { name: 'tjsdoc-doc-coverage-threshold', instance: new DocCoverageThreshold() },
+      { name: 'tjsdoc-doc-skeleton-generator', instance: new DocSkeletonGenerator() },
+      { name: 'tjsdoc-doc-stats-reporter', instance: new DocStatsReporter() },
       { name: 'tjsdoc-docdb', instance: DocDB },
       { name: 'tjsdoc-docdb-generate', instance: new GenerateDocData() },
       { name: 'tjsdoc-docdb-regenerate', instance: new RegenerateDocData() },
+      { name: 'tjsdoc-docdb-watch', instance: new WatchDocData() },
+      { name: 'tjsdoc-example-code-validator', instance: new ExampleCodeValidator() },
       { name: 'tjsdoc-file-util', instance: new FileUtil() },
+      { name: 'tjsdoc-generate-profiler', instance: new GenerateProfiler() },
       { name: 'tjsdoc-invalid-code-logger', instance: new InvalidCodeLogger() },
+      { name: 'tjsdoc-invalid-doc-logger', instance: new InvalidDocLogger() },
       { name: 'tjsdoc-lint-doc-logger', instance: new LintDocLogger() },
       { name: 'tjsdoc-naming-util', instance: new NamingUtil() },
       { name: 'tjsdoc-parser-error', instance: ParserError },
@@ -67,15 +89,43 @@ export async function onPluginLoad(ev)
 }
 
 /**
- * Handles removing plugins before generation that may not be needed based on the target project TJSDocConfig.
+ * Compiles the include / exclude entries of the target project TJSDocConfig and handles removing plugins before
+ * generation that may not be needed based on the target project TJSDocConfig.
  *
  * @param {PluginEvent} ev - The plugin event.
  */
 export async function onRuntimePreGenerateAsync(ev)
 {
+   // Compile the include / exclude entries which may be glob patterns before any other plugin uses them.
+   ConfigData.compilePathEntries(ev.data.mainConfig);
+
    // If doc linting is not enabled then remove LintDocLogger
    if (!ev.data.mainConfig.docLint)
    {
       await ev.eventbus.triggerAsync('plugins:async:remove', 'tjsdoc-lint-doc-logger');
    }
+
+   // If doc skeleton generation is not enabled then remove DocSkeletonGenerator
+   if (!ev.data.mainConfig.docSkeleton)
+   {
+      await ev.eventbus.triggerAsync('plugins:async:remove', 'tjsdoc-doc-skeleton-generator');
+   }
+
+   // If example validation is not enabled then remove ExampleCodeValidator
+   if (!ev.data.mainConfig.validateExamples)
+   {
+      await ev.eventbus.triggerAsync('plugins:async:remove', 'tjsdoc-example-code-validator');
+   }
+
+   // If profiling is not enabled by `profile` or `debug` then remove GenerateProfiler
+   if (!GenerateProfiler.isEnabled(ev.data.mainConfig))
+   {
+      await ev.eventbus.triggerAsync('plugins:async:remove', 'tjsdoc-generate-profiler');
+   }
+
+   // If doc object validation is not enabled then remove InvalidDocLogger
+   if (!ev.data.mainConfig.validateDocObjects)
+   {
+      await ev.eventbus.triggerAsync('plugins:async:remove', 'tjsdoc-invalid-doc-logger');
+   }
 }
@@ -1,3 +1,5 @@
+import { AbortError } from '../utils/AbortError.js';
+
 /**
  * Provides orchestration for publishing.
  *
@@ -60,6 +62,11 @@ export default class PublisherRuntime
     * An eventbus proxy must be passed in so that the default publish action can be overridden for instance when running
     * tests. This publisher registers several event bindings on the eventbus; please see {@link PublisherEvents}.
     *
+    * Publishing may be cancelled with an optional `signal` in `options` which is checked before each publish phase;
+    * `onHandlePrePublishAsync`, `onHandlePublishAsync` and `onHandlePostPublishAsync`. The signal is also passed to
+    * each phase in the publish options so that plugins may check it between their own steps. If aborted the returned
+    * promise is rejected with an {@link AbortError}.
+    *
     * @param {object}   [options] - Configuration data for the publish action.
     *
     */
@@ -70,6 +77,10 @@ export default class PublisherRuntime
          throw new TypeError(`tjsdoc-runtime-publisher error: 'options' is not an 'object'.`);
       }
 
+      const signal = options.signal;
+
+      AbortError.throwIfAborted(signal);
+
       let pubOptions;
 
       if (typeof options.incremental === 'boolean' && options.incremental)
@@ -86,6 +97,7 @@ export default class PublisherRuntime
             packageInfo: this._packageInfo,
             packageObj: this._packageObj,
             pubConfig: this._pubConfig,
+            signal: void 0,
             silent: false
          }, options);
       }
@@ -99,6 +111,7 @@ export default class PublisherRuntime
             packageInfo: this._packageInfo,
             packageObj: this._packageObj,
             pubConfig: this._pubConfig,
+            signal: void 0,
             silent: false
          }, options);
       }
@@ -111,9 +124,13 @@ export default class PublisherRuntime
       delete pubOptions.$$plugin_invoke_count;
       delete pubOptions.$$plugin_invoke_names;
 
+      AbortError.throwIfAborted(signal);
+
       // Invoke `onHandlePublish` and `onHandlePostPublish` to finish the publishing process.
       await this._eventbus.triggerAsync('plugins:async:invoke:event', 'onHandlePublishAsync', void 0, pubOptions);
 
+      AbortError.throwIfAborted(signal);
+
       await this._eventbus.triggerAsync('plugins:async:invoke:event', 'onHandlePostPublishAsync', void 0, pubOptions);
    }
 }
@@ -0,0 +1,427 @@
+import DocDBDiff   from '../doc/DocDBDiff.js';
+
+/**
+ * Classifies API changes between a baseline DocDB and the current DocDB as `major`, `minor` or `patch` changes and
+ * verifies that the target project version is bumped accordingly.
+ *
+ * The API surface consists of public and protected identifiers that are not ignored, not `builtinVirtual` and are
+ * exported or members of exported classes. The following changes are breaking (`major`): removed identifiers, narrowed
+ * access, removed exports, changed kind / static status, removed or reordered required params, new required params and
+ * changed return types. Added identifiers and new optional params are `minor` changes; any other param changes such as
+ * types are `patch` changes. For `0.x` baseline versions the required bump is shifted down one level.
+ *
+ * A baseline is a DocDB snapshot (see {@link DocDB#save}) which stores the baseline version in its metadata. A baseline
+ * may be saved with `tjsdoc:system:api:semver:baseline:save`.
+ *
+ * The event bindings supported are:
+ *
+ * `tjsdoc:system:api:semver:baseline:save` - {@link APISemverCheck#saveBaseline}
+ *
+ * `tjsdoc:system:api:semver:check` - {@link APISemverCheck#check}
+ *
+ * When TJSDocConfig `apiSemverBaseline` is defined the check automatically runs on completion. If `apiSemverFail` is
+ * true and the target project version does not match the computed bump the run fails with a non-zero exit code. The
+ * version bump must equal the required bump unless `apiSemverAllowOverBump` is true in which case a larger bump also
+ * matches. A patch bump always matches when no bump is required as patch releases may contain non-API fixes.
+ */
+export default class APISemverCheck
+{
+   /**
+    * Compares the given DocDB against a baseline DocDB and returns a report of API changes and the required version
+    * bump.
+    *
+    * @param {boolean}        [allowOverBump=false] - If true a version bump larger than the required bump matches;
+    *                                               IE a major bump when only a minor bump is required.
+    *
+    * @param {DocDB|string}   baseline - A baseline DocDB or file path to a DocDB snapshot.
+    *
+    * @param {string}         [baselineVersion] - The baseline version; defaults to the `version` entry stored in the
+    *                                             baseline DocDB metadata.
+    *
+    * @param {DocDB}          [docDB=this._mainDocDB] - The current DocDB.
+    *
+    * @param {boolean}        [fail=false] - If true and the version does not match the required bump the run fails
+    *                                        with a non-zero exit code.
+    *
+    * @param {boolean}        [silent=false] - When false the report is logged.
+    *
+    * @param {string}         [version] - The current version; defaults to the target project `package.json` version.
+    *
+    * @returns {APISemverReport}
+    */
+   check({ allowOverBump = false, baseline = void 0, baselineVersion = void 0, docDB = this._mainDocDB, fail = false,
+    silent = false, version = void 0 } = {})
+   {
+      if (typeof baseline === 'string')
+      {
+         baseline = this._eventbus.triggerSync('tjsdoc:system:docdb:load', { filePath: baseline });
+      }
+
+      if (typeof baseline !== 'object' || baseline === null) { throw new TypeError(`'baseline' is not a 'DocDB'.`); }
+      if (typeof docDB !== 'object' || docDB === null) { throw new TypeError(`'docDB' is not a 'DocDB'.`); }
+
+      if (typeof baselineVersion !== 'string')
+      {
+         const metadata = baseline.getMetadata();
+
+         baselineVersion = metadata && typeof metadata.version === 'string' ? metadata.version : void 0;
+      }
+
+      if (typeof version !== 'string' && this._packageObj) { version = this._packageObj.version; }
+
+      const changes = s_CLASSIFY_CHANGES(s_GET_API_DOCS(docDB), s_GET_API_DOCS(baseline));
+
+      const bump = changes.reduce((level, change) =>
+       s_BUMP_RANK[change.level] > s_BUMP_RANK[level] ? change.level : level, 'none');
+
+      const report = { baselineVersion, version, bump, requiredBump: bump, actualBump: void 0, match: void 0,
+       changes };
+
+      const baselineSemver = s_PARSE_VERSION(baselineVersion);
+      const currentSemver = s_PARSE_VERSION(version);
+
+      if (baselineSemver && currentSemver)
+      {
+         // Before 1.0.0 breaking changes only require a minor bump and features a patch bump.
+         if (baselineSemver.major === 0) { report.requiredBump = s_BUMP_LEVELS[Math.max(s_BUMP_RANK[bump] - 1, 0)]; }
+
+         report.actualBump = currentSemver.major !== baselineSemver.major ? 'major' :
+          currentSemver.minor !== baselineSemver.minor ? 'minor' :
+           currentSemver.patch !== baselineSemver.patch ? 'patch' : 'none';
+
+         // A patch release without API changes is always allowed for non-API fixes.
+         report.match = allowOverBump ? s_BUMP_RANK[report.actualBump] >= s_BUMP_RANK[report.requiredBump] :
+          report.actualBump === report.requiredBump ||
+           (report.requiredBump === 'none' && report.actualBump === 'patch');
+      }
+
+      if (!silent) { this._logReport(report); }
+
+      if (fail && report.match === false)
+      {
+         this._eventbus.trigger('log:error', `tjsdoc-api-semver-check - version '${version}' does not match the `
+          + `required '${report.requiredBump}' bump from baseline version '${baselineVersion}'.`);
+
+         process.exitCode = 1;
+      }
+
+      return report;
+   }
+
+   /**
+    * Logs an API semver report.
+    *
+    * @param {APISemverReport}   report - The report to log.
+    *
+    * @private
+    */
+   _logReport(report)
+   {
+      const color = report.match === false ? '[31m' : '[32m';
+
+      this._eventbus.trigger('log:info:raw', '================================================');
+
+      for (const level of ['major', 'minor', 'patch'])
+      {
+         for (const change of report.changes.filter((entry) => entry.level === level))
+         {
+            this._eventbus.trigger('log:info:raw', `${level}: ${DocDBDiff.getDocKey(change)} - ${change.reason}`);
+         }
+      }
+
+      if (report.changes.length > 0) { this._eventbus.trigger('log:info:raw', ''); }
+
+      this._eventbus.trigger('log:info:raw', `${color}API semver check: required bump '${report.requiredBump}'${
+       typeof report.actualBump === 'string' ? ` / actual bump '${report.actualBump}' (${report.baselineVersion} -> ${
+        report.version})` : ''}[0m`);
+
+      this._eventbus.trigger('log:info:raw', '================================================');
+   }
+
+   /**
+    * Wires up APISemverCheck on the plugin eventbus.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    */
+   onPluginLoad(ev)
+   {
+      /**
+       * Stores the plugin eventbus proxy.
+       * @type {EventProxy}
+       */
+      this._eventbus = ev.eventbus;
+
+      this._eventbus.on('tjsdoc:system:api:semver:baseline:save', this.saveBaseline, this);
+      this._eventbus.on('tjsdoc:system:api:semver:check', this.check, this);
+   }
+
+   /**
+    * Runs the API semver check against TJSDocConfig `apiSemverBaseline` when defined.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    */
+   onRuntimeCompleteAsync(ev)
+   {
+      const mainConfig = ev.data.mainConfig;
+
+      if (typeof mainConfig.apiSemverBaseline === 'string')
+      {
+         this.check({ allowOverBump: mainConfig.apiSemverAllowOverBump, baseline: mainConfig.apiSemverBaseline,
+          fail: mainConfig.apiSemverFail });
+      }
+   }
+
+   /**
+    * Stores the main DocDB and target project `package.json` object.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    */
+   onRuntimePreGenerateAsync(ev)
+   {
+      /**
+       * The main DocDB.
+       * @type {DocDB}
+       * @private
+       */
+      this._mainDocDB = ev.data.docDB;
+
+      /**
+       * The target project `package.json` object.
+       * @type {object}
+       * @private
+       */
+      this._packageObj = ev.data.packageObj;
+   }
+
+   /**
+    * Saves a DocDB snapshot as an API semver baseline storing the version in the snapshot metadata.
+    *
+    * @param {string}   filePath - The file path to save the baseline snapshot.
+    *
+    * @param {DocDB}    [docDB=this._mainDocDB] - The DocDB to save.
+    *
+    * @param {string}   [version] - The baseline version; defaults to the target project `package.json` version.
+    *
+    * @returns {string} The resolved file path of the saved baseline.
+    */
+   saveBaseline({ filePath = void 0, docDB = this._mainDocDB, version = void 0 } = {})
+   {
+      if (typeof docDB !== 'object' || docDB === null) { throw new TypeError(`'docDB' is not a 'DocDB'.`); }
+
+      if (typeof version !== 'string' && this._packageObj) { version = this._packageObj.version; }
+
+      return docDB.save({ filePath, metadata: Object.assign({}, docDB.getMetadata(), { version }) });
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Defines the DocObject kinds which are part of the API surface.
+ * @type {string[]}
+ */
+const s_API_KIND =
+[
+   'ClassMember',
+   'ClassMethod',
+   'ClassProperty',
+   'ModuleAssignment',
+   'ModuleClass',
+   'ModuleFunction',
+   'ModuleVariable',
+   'VirtualTypedef'
+];
+
+/**
+ * Defines the access levels ranked from widest to narrowest.
+ * @type {object<string, number>}
+ */
+const s_ACCESS_RANK = { 'public': 2, 'protected': 1, 'private': 0 };
+
+/**
+ * Defines the bump levels in ascending order.
+ * @type {string[]}
+ */
+const s_BUMP_LEVELS = ['none', 'patch', 'minor', 'major'];
+
+/**
+ * Defines the rank of each bump level.
+ * @type {object<string, number>}
+ */
+const s_BUMP_RANK = { none: 0, patch: 1, minor: 2, major: 3 };
+
+/**
+ * Classifies the changes between current and baseline API docs.
+ *
+ * @param {Map<string, DocObject>}  current - Current API docs keyed by {@link DocDBDiff.getDocKey}.
+ *
+ * @param {Map<string, DocObject>}  baseline - Baseline API docs keyed by {@link DocDBDiff.getDocKey}.
+ *
+ * @returns {Array<{level: string, reason: string, longname: string, kind: string, filePath: string,
+ *  qualifier: string}>}
+ */
+function s_CLASSIFY_CHANGES(current, baseline)
+{
+   const changes = [];
+
+   const diff = DocDBDiff.diffDocs(Array.from(current.values()), Array.from(baseline.values()),
+    { fields: ['access', 'export', 'kind', 'params', 'return', 'static'] });
+
+   const addChange = (level, reason, entry) => changes.push({ level, reason, longname: entry.longname,
+    kind: entry.kind, filePath: entry.filePath, qualifier: entry.qualifier });
+
+   for (const entry of diff.removed)
+   {
+      if (s_IS_API(baseline.get(DocDBDiff.getDocKey(entry)), baseline)) { addChange('major', 'removed', entry); }
+   }
+
+   for (const entry of diff.added)
+   {
+      if (s_IS_API(current.get(DocDBDiff.getDocKey(entry)), current)) { addChange('minor', 'added', entry); }
+   }
+
+   for (const entry of diff.changed)
+   {
+      const wasAPI = s_IS_API(baseline.get(DocDBDiff.getDocKey(entry)), baseline);
+      const isAPI = s_IS_API(current.get(DocDBDiff.getDocKey(entry)), current);
+
+      if (!wasAPI)
+      {
+         if (isAPI) { addChange('minor', 'added to API', entry); }
+         continue;
+      }
+
+      for (const change of entry.changes)
+      {
+         switch (change.field)
+         {
+            case 'access':
+               if ((s_ACCESS_RANK[change.after] || 0) < (s_ACCESS_RANK[change.before] || 0))
+               {
+                  addChange('major', `access narrowed from '${change.before}' to '${change.after}'`, entry);
+               }
+               else
+               {
+                  addChange('minor', `access widened from '${change.before}' to '${change.after}'`, entry);
+               }
+               break;
+
+            case 'export':
+               if (change.after === false) { addChange('major', 'export removed', entry); }
+               break;
+
+            case 'kind':
+               addChange('major', `kind changed from '${change.before}' to '${change.after}'`, entry);
+               break;
+
+            case 'params':
+               addChange(...s_CLASSIFY_PARAMS(change.before || [], change.after || []), entry);
+               break;
+
+            case 'return':
+               addChange('major', 'return type changed', entry);
+               break;
+
+            case 'static':
+               addChange('major', 'static modifier changed', entry);
+               break;
+         }
+      }
+   }
+
+   return changes;
+}
+
+/**
+ * Classifies param changes.
+ *
+ * @param {object[]} before - Baseline params.
+ *
+ * @param {object[]} after - Current params.
+ *
+ * @returns {string[]} Level and reason.
+ */
+function s_CLASSIFY_PARAMS(before, after)
+{
+   const isRequired = (param) => !param.optional && typeof param.defaultValue === 'undefined' &&
+    !String(param.name).includes('.');
+
+   const requiredBefore = before.filter(isRequired).map((param) => param.name);
+   const requiredAfter = after.filter(isRequired).map((param) => param.name);
+
+   for (let cntr = 0; cntr < requiredBefore.length; cntr++)
+   {
+      if (requiredAfter[cntr] !== requiredBefore[cntr]) { return ['major', 'required params removed or reordered']; }
+   }
+
+   if (requiredAfter.length > requiredBefore.length) { return ['major', 'required params added']; }
+
+   const namesBefore = before.map((param) => param.name);
+   const namesAfter = after.map((param) => param.name);
+
+   if (namesBefore.some((name) => !namesAfter.includes(name))) { return ['major', 'params removed']; }
+
+   if (namesAfter.length > namesBefore.length) { return ['minor', 'optional params added']; }
+
+   return ['patch', 'params changed'];
+}
+
+/**
+ * Returns all API kind docs of a DocDB keyed by {@link DocDBDiff.getDocKey} so that getters and setters sharing a
+ * longname are retained separately.
+ *
+ * @param {DocDB} docDB - A DocDB.
+ *
+ * @returns {Map<string, DocObject>}
+ */
+function s_GET_API_DOCS(docDB)
+{
+   const docs = new Map();
+
+   for (const doc of docDB.find({ kind: s_API_KIND }))
+   {
+      const key = DocDBDiff.getDocKey(doc);
+
+      if (!doc.builtinVirtual && !docs.has(key)) { docs.set(key, doc); }
+   }
+
+   return docs;
+}
+
+/**
+ * Determines if a doc is part of the API surface; it must be public or protected, not ignored and exported or a
+ * member of an exported class.
+ *
+ * @param {DocObject}               doc - A DocObject.
+ *
+ * @param {Map<string, DocObject>}  docs - All API docs keyed by {@link DocDBDiff.getDocKey}.
+ *
+ * @returns {boolean}
+ */
+function s_IS_API(doc, docs)
+{
+   if (!doc || doc.ignore || (s_ACCESS_RANK[doc.access || 'public'] || 0) === 0 || doc.export === false)
+   {
+      return false;
+   }
+
+   if (typeof doc.memberof === 'string' && docs.has(doc.memberof)) { return s_IS_API(docs.get(doc.memberof), docs); }
+
+   return true;
+}
+
+/**
+ * Parses a semver version string ignoring any prerelease / build data.
+ *
+ * @param {string}   version - A version string.
+ *
+ * @returns {{major: number, minor: number, patch: number}|undefined}
+ */
+function s_PARSE_VERSION(version)
+{
+   if (typeof version !== 'string') { return void 0; }
+
+   const match = version.trim().match(/^v?(\d+)\.(\d+)\.(\d+)/);
+
+   return match ? { major: Number(match[1]), minor: Number(match[2]), patch: Number(match[3]) } : void 0;
+}
@@ -0,0 +1,91 @@
+/**
+ * Provides an error thrown when generation, regeneration or publishing is cancelled by an AbortSignal. Any object with
+ * a boolean `aborted` property and optional `reason` may be used as a signal; IE an `AbortController` signal.
+ */
+export class AbortError extends Error
+{
+   /**
+    * Instantiate AbortError.
+    *
+    * @param {string}   [message='The operation was aborted.'] - The error message.
+    * @param {*}        [reason] - The reason of the aborted signal.
+    */
+   constructor(message = 'The operation was aborted.', reason = void 0)
+   {
+      super(message);
+
+      /**
+       * The error name.
+       * @type {string}
+       */
+      this.name = 'AbortError';
+
+      /**
+       * The error code matching Node.
+       * @type {string}
+       */
+      this.code = 'ABORT_ERR';
+
+      /**
+       * The reason of the aborted signal.
+       * @type {*}
+       */
+      this.reason = reason;
+   }
+
+   /**
+    * Returns whether the given error is an AbortError including those created by Node or another realm.
+    *
+    * @param {*}  error - The error to test.
+    *
+    * @returns {boolean}
+    */
+   static isAbortError(error)
+   {
+      return error instanceof AbortError || (typeof error === 'object' && error !== null &&
+       (error.name === 'AbortError' || error.code === 'ABORT_ERR'));
+   }
+
+   /**
+    * Throws an AbortError if the given signal is aborted.
+    *
+    * @param {AbortSignal}   [signal] - An optional signal; nothing occurs when undefined.
+    *
+    * @param {string}        [message] - An optional error message.
+    */
+   static throwIfAborted(signal, message = void 0)
+   {
+      if (signal === void 0 || signal === null) { return; }
+
+      if (typeof signal !== 'object' || typeof signal.aborted !== 'boolean')
+      {
+         throw new TypeError(`'signal' is not an 'AbortSignal'.`);
+      }
+
+      if (signal.aborted) { throw new AbortError(message, signal.reason); }
+   }
+}
+
+/**
+ * When module loaded as a plugin add event bindings to create an AbortError and check a signal.
+ *
+ * @param {PluginEvent} ev - The plugin event.
+ */
+export function onPluginLoad(ev)
+{
+   /**
+    * Provides an event binding to create an AbortError.
+    */
+   ev.eventbus.on('tjsdoc:system:error:abort:create', ({ message = void 0, reason = void 0 } = {}) =>
+   {
+      if (message !== void 0 && typeof message !== 'string') { throw new TypeError(`'message' is not a 'string'`); }
+
+      return new AbortError(message, reason);
+   });
+
+   /**
+    * Provides an event binding to throw an AbortError if a signal is aborted.
+    */
+   ev.eventbus.on('tjsdoc:system:error:abort:throw:if:aborted', ({ signal = void 0, message = void 0 } = {}) =>
+    AbortError.throwIfAborted(signal, message));
+}
@@ -0,0 +1,342 @@
+import fs         from 'fs';
+import path       from 'path';
+
+import FileUtil   from './FileUtil.js';
+
+/**
+ * Records source documentation coverage to a baseline file and compares later runs against it reporting the total and
+ * per file deltas, newly undocumented doc objects and files which regressed. Undocumented doc objects are matched by
+ * `longname` so that moved lines do not count as new. A file regresses when its coverage is lower than the baseline
+ * or when it was added since the baseline and contains undocumented doc objects. Baseline files are JSON and relative
+ * paths are resolved from the current working directory.
+ *
+ * TJSDocConfig `docCoverageBaseline` is either a baseline file path or an object with the following entries:
+ *
+ * `filePath` - The baseline file path.
+ *
+ * `noRegression` - If true the run fails with a non-zero exit code when total or any file coverage is lower than the
+ * baseline; default: false.
+ *
+ * `update` - If true the baseline is saved after comparison when coverage has not regressed or when no baseline exists
+ * yet; default: false.
+ *
+ * The event bindings supported are:
+ *
+ * `tjsdoc:system:doc:coverage:baseline:compare` - {@link DocCoverageBaseline#compare}
+ *
+ * `tjsdoc:system:doc:coverage:baseline:save` - {@link DocCoverageBaseline#save}
+ */
+export default class DocCoverageBaseline
+{
+   /**
+    * Compares the source coverage of the given DocDB against a baseline.
+    *
+    * @param {object|string}  baseline - A baseline object or file path to a baseline saved by
+    *                                    {@link DocCoverageBaseline#save}.
+    *
+    * @param {DocDB}          [docDB=this._mainDocDB] - The DocDB to compare.
+    *
+    * @param {boolean}        [noRegression=false] - If true and coverage regressed the run fails with a non-zero exit
+    *                                                code.
+    *
+    * @param {boolean}        [silent=false] - When false the comparison is logged.
+    *
+    * @returns {{before: number, after: number, delta: number, files: object[], regressed: boolean, regressedFiles: string[]}}
+    *          Percentages range from 0 to 100; `files` lists added, removed and changed files with `before`, `after`,
+    *          `delta`, `newUndocumented` entries with `longname` and `lineNumber` and their `newUndocumentedLines`.
+    */
+   compare({ baseline = void 0, docDB = this._mainDocDB, noRegression = false, silent = false } = {})
+   {
+      if (typeof baseline === 'string') { baseline = JSON.parse(fs.readFileSync(path.resolve(baseline), 'utf8')); }
+
+      if (typeof baseline !== 'object' || baseline === null) { throw new TypeError(`'baseline' is not an 'object'.`); }
+      if (typeof docDB !== 'object' || docDB === null) { throw new TypeError(`'docDB' is not a 'DocDB'.`); }
+
+      if (baseline.version !== s_BASELINE_VERSION)
+      {
+         throw new Error(`Coverage baseline version '${baseline.version}' is not supported; expected '${
+          s_BASELINE_VERSION}'.`);
+      }
+
+      const before = baseline.coverage;
+      const after = s_CREATE_COVERAGE(docDB);
+
+      const filePaths = Array.from(new Set(Object.keys(before.files).concat(Object.keys(after.files)))).sort(
+       (a, b) => a.localeCompare(b));
+
+      const files = [];
+
+      for (const filePath of filePaths)
+      {
+         const beforeFile = before.files[filePath];
+         const afterFile = after.files[filePath];
+
+         const newUndocumented = afterFile ? s_GET_NEW_UNDOCUMENTED(beforeFile ? beforeFile.undocumented : [],
+          afterFile.undocumented) : [];
+
+         const fileComparison = {
+            filePath,
+            status: !beforeFile ? 'added' : !afterFile ? 'removed' : 'changed',
+            before: beforeFile ? beforeFile.percent : void 0,
+            after: afterFile ? afterFile.percent : void 0,
+            delta: beforeFile && afterFile ? s_ROUND(afterFile.percent - beforeFile.percent) : void 0,
+            newUndocumented,
+            newUndocumentedLines: newUndocumented.map((entry) => entry.lineNumber)
+         };
+
+         // Skip unchanged files.
+         if (fileComparison.status === 'changed' && fileComparison.delta === 0 && newUndocumented.length === 0)
+         {
+            continue;
+         }
+
+         files.push(fileComparison);
+      }
+
+      const regressedFiles = files.filter((file) => file.delta < 0 ||
+       (file.status === 'added' && file.newUndocumented.length > 0)).map((file) => file.filePath);
+
+      const delta = s_ROUND(after.percent - before.percent);
+
+      const comparison = {
+         before: before.percent,
+         after: after.percent,
+         delta,
+         files,
+         regressed: delta < 0 || regressedFiles.length > 0,
+         regressedFiles
+      };
+
+      if (!silent) { this._logComparison(comparison); }
+
+      if (noRegression && comparison.regressed)
+      {
+         this._eventbus.trigger('log:error', 'tjsdoc-doc-coverage-baseline - documentation coverage regressed from '
+          + 'the baseline.');
+
+         process.exitCode = 1;
+      }
+
+      return comparison;
+   }
+
+   /**
+    * Logs a coverage comparison.
+    *
+    * @param {object}   comparison - The comparison to log.
+    *
+    * @private
+    */
+   _logComparison(comparison)
+   {
+      this._eventbus.trigger('log:info:raw', '================================================');
+
+      for (const file of comparison.files)
+      {
+         const color = file.delta < 0 ? '[31m' : file.delta > 0 ? '[32m' : '';
+         const reset = color ? '[0m' : '';
+
+         const change = file.status === 'changed' ?
+          `${file.before}% -> ${file.after}% (${s_FORMAT_DELTA(file.delta)})` :
+           file.status === 'added' ? `added (${file.after}%)` : `removed (${file.before}%)`;
+
+         const newUndocumented = file.newUndocumented.length > 0 ? ` - newly undocumented: ${file.newUndocumented.map(
+          (entry) => `${entry.longname} (line ${entry.lineNumber})`).join(', ')}` : '';
+
+         this._eventbus.trigger('log:info:raw', `${color}${file.filePath}: ${change}${newUndocumented}${reset}`);
+      }
+
+      if (comparison.files.length > 0) { this._eventbus.trigger('log:info:raw', ''); }
+
+      const color = comparison.regressed ? '[31m' : '[32m';
+
+      this._eventbus.trigger('log:info:raw', `${color}Documentation coverage baseline: ${comparison.before}% -> ${
+       comparison.after}% (${s_FORMAT_DELTA(comparison.delta)})${comparison.regressed ? ' - regressed' : ''}[0m`);
+
+      this._eventbus.trigger('log:info:raw', '================================================');
+   }
+
+   /**
+    * Wires up DocCoverageBaseline on the plugin eventbus.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    */
+   onPluginLoad(ev)
+   {
+      /**
+       * Stores the plugin eventbus proxy.
+       * @type {EventProxy}
+       */
+      this._eventbus = ev.eventbus;
+
+      this._eventbus.on('tjsdoc:system:doc:coverage:baseline:compare', this.compare, this);
+      this._eventbus.on('tjsdoc:system:doc:coverage:baseline:save', this.save, this);
+   }
+
+   /**
+    * Compares coverage against TJSDocConfig `docCoverageBaseline` when defined and optionally updates the baseline.
+    */
+   onRuntimeCompleteAsync()
+   {
+      if (typeof this._baselineConfig === 'undefined') { return; }
+
+      const { filePath, noRegression = false, update = false } = typeof this._baselineConfig === 'string' ?
+       { filePath: this._baselineConfig } : this._baselineConfig;
+
+      if (!fs.existsSync(path.resolve(filePath)))
+      {
+         if (update)
+         {
+            this.save({ filePath });
+         }
+         else
+         {
+            this._eventbus.trigger('log:warn', `tjsdoc-doc-coverage-baseline - baseline not found: ${filePath}`);
+         }
+
+         return;
+      }
+
+      const comparison = this.compare({ baseline: filePath, noRegression });
+
+      if (update && !comparison.regressed) { this.save({ filePath }); }
+   }
+
+   /**
+    * Stores the main DocDB and TJSDocConfig `docCoverageBaseline`.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    */
+   onRuntimePreGenerateAsync(ev)
+   {
+      /**
+       * The main DocDB.
+       * @type {DocDB}
+       * @private
+       */
+      this._mainDocDB = ev.data.docDB;
+
+      /**
+       * The baseline config from TJSDocConfig `docCoverageBaseline`.
+       * @type {string|{filePath: string, noRegression: boolean, update: boolean}}
+       * @private
+       */
+      this._baselineConfig = ev.data.mainConfig.docCoverageBaseline;
+   }
+
+   /**
+    * Saves the source coverage of the given DocDB as a baseline.
+    *
+    * @param {string}   filePath - The file path to save the baseline; relative paths are resolved from the current
+    *                              working directory.
+    *
+    * @param {DocDB}    [docDB=this._mainDocDB] - The DocDB to save coverage from.
+    *
+    * @returns {string} The resolved file path of the saved baseline.
+    */
+   save({ filePath = void 0, docDB = this._mainDocDB } = {})
+   {
+      if (typeof filePath !== 'string') { throw new TypeError(`'filePath' is not a 'string'.`); }
+      if (typeof docDB !== 'object' || docDB === null) { throw new TypeError(`'docDB' is not a 'DocDB'.`); }
+
+      const resolvedPath = path.resolve(filePath);
+
+      FileUtil.ensureDir(path.dirname(resolvedPath));
+
+      fs.writeFileSync(resolvedPath, JSON.stringify({ version: s_BASELINE_VERSION, coverage: s_CREATE_COVERAGE(docDB) },
+       null, 2));
+
+      return resolvedPath;
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Defines the current coverage baseline format version.
+ * @type {number}
+ */
+const s_BASELINE_VERSION = 2;
+
+/**
+ * Creates the coverage data stored in a baseline with percentages from 0 to 100.
+ *
+ * @param {DocDB}    docDB - The DocDB to retrieve coverage from.
+ *
+ * @returns {{percent: number, actualCount: number, expectedCount: number, files: object<string, {percent: number, actualCount: number, expectedCount: number, undocumented: Array<{longname: string, lineNumber: number}>}>}}
+ */
+function s_CREATE_COVERAGE(docDB)
+{
+   const coverage = docDB.getSourceCoverage({ includeFiles: true });
+
+   const files = {};
+
+   for (const filePath of Object.keys(coverage.files).sort((a, b) => a.localeCompare(b)))
+   {
+      const fileCoverage = coverage.files[filePath];
+
+      files[filePath] = {
+         percent: s_ROUND(100 * fileCoverage.percent),
+         actualCount: fileCoverage.actualCount,
+         expectedCount: fileCoverage.expectedCount,
+         undocumented: fileCoverage.undocumented
+      };
+   }
+
+   return {
+      percent: s_ROUND(100 * coverage.percent),
+      actualCount: coverage.actualCount,
+      expectedCount: coverage.expectedCount,
+      files
+   };
+}
+
+/**
+ * Formats a percentage delta with a sign.
+ *
+ * @param {number}   delta - A percentage delta.
+ *
+ * @returns {string}
+ */
+function s_FORMAT_DELTA(delta)
+{
+   return `${delta > 0 ? '+' : ''}${delta}%`;
+}
+
+/**
+ * Returns the undocumented entries not found in the baseline matched by `longname`. Entries sharing a longname such as
+ * getters / setters are matched by count.
+ *
+ * @param {Array<{longname: string, lineNumber: number}>}  before - Baseline undocumented entries.
+ *
+ * @param {Array<{longname: string, lineNumber: number}>}  after - Current undocumented entries.
+ *
+ * @returns {Array<{longname: string, lineNumber: number}>}
+ */
+function s_GET_NEW_UNDOCUMENTED(before, after)
+{
+   const counts = new Map();
+
+   for (const entry of before) { counts.set(entry.longname, (counts.get(entry.longname) || 0) + 1); }
+
+   return after.filter((entry) =>
+   {
+      const count = counts.get(entry.longname) || 0;
+
+      if (count > 0) { counts.set(entry.longname, count - 1); }
+
+      return count === 0;
+   });
+}
+
+/**
+ * Rounds a percentage to two decimal places.
+ *
+ * @param {number}   value - A percentage.
+ *
+ * @returns {number}
+ */
+function s_ROUND(value)
+{
+   return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,335 @@
+/**
+ * Writes machine readable source documentation coverage reports via `tjsdoc:system:file:write` relative to the output
+ * destination. Reporters are configured by TJSDocConfig `docCoverageReporters` which is an array of reporter types or
+ * objects with a `type` and optional `filePath`; IE:
+ *
+ * ```
+ * "docCoverageReporters": ["json", { "type": "badge", "filePath": "badge.svg" }]
+ * ```
+ *
+ * The reporter types available are:
+ *
+ * `badge` - An SVG badge colored by coverage; default file path: `docCoverage/badge.svg`.
+ *
+ * `cobertura` - Cobertura compatible XML; default file path: `docCoverage/cobertura.xml`.
+ *
+ * `json` - The coverage data from {@link DocDB#getSourceCoverage} including files and the kind / access breakdown;
+ * default file path: `docCoverage/coverage.json`.
+ *
+ * `lcov` - LCOV tracefile listing documented and undocumented lines; default file path: `docCoverage/lcov.info`.
+ *
+ * In the Cobertura and LCOV reports each line with doc objects is a line and a line is hit when all doc objects on the
+ * line are documented. The line counts and overall / per file line rates of the Cobertura report are calculated from
+ * these lines.
+ *
+ * Reports are written after publishing. The event bindings supported are:
+ *
+ * `tjsdoc:system:doc:coverage:report:create` - {@link DocCoverageReporter#createReport}
+ *
+ * `tjsdoc:system:doc:coverage:report:write` - {@link DocCoverageReporter#write}
+ */
+export default class DocCoverageReporter
+{
+   /**
+    * Creates the report data for a reporter type.
+    *
+    * @param {string}         type - The reporter type: `badge`, `cobertura`, `json` or `lcov`.
+    *
+    * @param {DocDBCoverage}  coverage - Source coverage including files from {@link DocDB#getSourceCoverage}.
+    *
+    * @returns {string}
+    */
+   createReport({ type = void 0, coverage = void 0 } = {})
+   {
+      if (typeof coverage !== 'object' || coverage === null) { throw new TypeError(`'coverage' is not an 'object'.`); }
+
+      const createReport = s_REPORTERS[type];
+
+      if (typeof createReport !== 'function')
+      {
+         throw new TypeError(`'type' is not a supported coverage reporter: ${
+          JSON.stringify(Object.keys(s_REPORTERS))}.`);
+      }
+
+      return createReport(coverage);
+   }
+
+   /**
+    * Wires up DocCoverageReporter on the plugin eventbus.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    */
+   onPluginLoad(ev)
+   {
+      /**
+       * Stores the plugin eventbus proxy.
+       * @type {EventProxy}
+       */
+      this._eventbus = ev.eventbus;
+
+      this._eventbus.on('tjsdoc:system:doc:coverage:report:create', this.createReport, this);
+      this._eventbus.on('tjsdoc:system:doc:coverage:report:write', this.write, this);
+   }
+
+   /**
+    * Writes reports for TJSDocConfig `docCoverageReporters` after publishing.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    */
+   onHandlePostPublishAsync(ev)
+   {
+      const reporters = ev.data.mainConfig.docCoverageReporters;
+
+      if (Array.isArray(reporters) && reporters.length > 0)
+      {
+         this.write({ reporters, docDB: ev.data.docDB, silent: ev.data.silent });
+      }
+   }
+
+   /**
+    * Writes coverage reports for the given reporters.
+    *
+    * @param {Array<string|{type: string, filePath: string}>} reporters - Reporter types or objects with a `type` and
+    *                                                                     optional `filePath`.
+    *
+    * @param {DocDB}    docDB - The DocDB to report.
+    *
+    * @param {boolean}  [silent=false] - When false `output: <destPath>` is logged.
+    */
+   write({ reporters = [], docDB = void 0, silent = false } = {})
+   {
+      if (!Array.isArray(reporters)) { throw new TypeError(`'reporters' is not an 'array'.`); }
+      if (typeof docDB !== 'object' || docDB === null) { throw new TypeError(`'docDB' is not a 'DocDB'.`); }
+
+      const coverage = docDB.getSourceCoverage({ includeFiles: true });
+
+      for (const reporter of reporters)
+      {
+         const type = typeof reporter === 'string' ? reporter : reporter.type;
+
+         const filePath = typeof reporter === 'object' && typeof reporter.filePath === 'string' ? reporter.filePath :
+          s_DEFAULT_FILE_PATHS[type];
+
+         this._eventbus.trigger('tjsdoc:system:file:write', {
+            fileData: this.createReport({ type, coverage }),
+            filePath,
+            logPrepend: 'tjsdoc-doc-coverage-reporter - ',
+            silent
+         });
+      }
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Defines the default file paths relative to the output destination for each reporter type.
+ * @type {object<string, string>}
+ */
+const s_DEFAULT_FILE_PATHS =
+{
+   badge: 'docCoverage/badge.svg',
+   cobertura: 'docCoverage/cobertura.xml',
+   json: 'docCoverage/coverage.json',
+   lcov: 'docCoverage/lcov.info'
+};
+
+/**
+ * Escapes XML special characters.
+ *
+ * @param {string}   value - A string to escape.
+ *
+ * @returns {string}
+ */
+function s_ESCAPE_XML(value)
+{
+   return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Returns the sorted lines of a file coverage entry and whether each line is hit; a line is hit when it has no
+ * undocumented doc objects.
+ *
+ * @param {object}   fileCoverage - Coverage data for a file.
+ *
+ * @returns {Array<{lineNumber: number, hit: boolean}>}
+ */
+function s_GET_LINES(fileCoverage)
+{
+   const lines = new Map();
+
+   for (const lineNumber of fileCoverage.documentedLines) { lines.set(lineNumber, true); }
+   for (const lineNumber of fileCoverage.undocumentedLines) { lines.set(lineNumber, false); }
+
+   return Array.from(lines.keys()).filter((lineNumber) => typeof lineNumber === 'number').sort((a, b) => a - b)
+    .map((lineNumber) => ({ lineNumber, hit: lines.get(lineNumber) }));
+}
+
+/**
+ * Returns the file paths of source coverage sorted.
+ *
+ * @param {DocDBCoverage}  coverage - Source coverage including files.
+ *
+ * @returns {string[]}
+ */
+function s_GET_SORTED_FILES(coverage)
+{
+   return Object.keys(coverage.files).sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Returns the Cobertura line rate of hit lines.
+ *
+ * @param {number}   hits - The count of hit lines.
+ *
+ * @param {number}   total - The count of all lines.
+ *
+ * @returns {number}
+ */
+function s_LINE_RATE(hits, total)
+{
+   return total === 0 ? 0 : hits / total;
+}
+
+/**
+ * Creates the report data for each reporter type.
+ * @type {object<string, function(DocDBCoverage): string>}
+ */
+const s_REPORTERS =
+{
+   badge: (coverage) =>
+   {
+      const label = 'documentation';
+
+      // Approximate text widths of the label and value for an 11px Verdana font.
+      const labelWidth = label.length * 7 + 10;
+      const valueWidth = coverage.text.length * 8 + 10;
+      const width = labelWidth + valueWidth;
+
+      return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20">
+  <linearGradient id="b" x2="0" y2="100%">
+    <stop offset="0" stop-color="#bbb" stop-opacity=".1"/>
+    <stop offset="1" stop-opacity=".1"/>
+  </linearGradient>
+  <mask id="a">
+    <rect width="${width}" height="20" rx="3" fill="#fff"/>
+  </mask>
+  <g mask="url(#a)">
+    <path fill="#555" d="M0 0h${labelWidth}v20H0z"/>
+    <path fill="${coverage.htmlColor}" d="M${labelWidth} 0h${valueWidth}v20H${labelWidth}z"/>
+    <path fill="url(#b)" d="M0 0h${width}v20H0z"/>
+  </g>
+  <g fill="#fff" text-anchor="middle" font-family="DejaVu Sans,Verdana,Geneva,sans-serif" font-size="11">
+    <text x="${labelWidth / 2}" y="15" fill="#010101" fill-opacity=".3">${label}</text>
+    <text x="${labelWidth / 2}" y="14">${label}</text>
+    <text x="${labelWidth + (valueWidth / 2)}" y="15" fill="#010101" fill-opacity=".3">${coverage.text}</text>
+    <text x="${labelWidth + (valueWidth / 2)}" y="14">${coverage.text}</text>
+  </g>
+</svg>
+`;
+   },
+
+   cobertura: (coverage) =>
+   {
+      const classes = [];
+
+      let linesCovered = 0;
+      let linesValid = 0;
+
+      for (const filePath of s_GET_SORTED_FILES(coverage))
+      {
+         const fileName = s_ESCAPE_XML(filePath);
+         const lines = s_GET_LINES(coverage.files[filePath]);
+         const hits = lines.filter((line) => line.hit).length;
+
+         linesCovered += hits;
+         linesValid += lines.length;
+
+         classes.push(`        <class name="${fileName}" filename="${fileName}" line-rate="${
+          s_LINE_RATE(hits, lines.length)}" branch-rate="0" complexity="0">`);
+
+         classes.push('          <methods/>');
+         classes.push('          <lines>');
+
+         for (const line of lines)
+         {
+            classes.push(`            <line number="${line.lineNumber}" hits="${line.hit ? 1 : 0}"/>`);
+         }
+
+         classes.push('          </lines>');
+         classes.push('        </class>');
+      }
+
+      const lineRate = s_LINE_RATE(linesCovered, linesValid);
+
+      const output = [
+         '<?xml version="1.0" ?>',
+         '<!DOCTYPE coverage SYSTEM "http://cobertura.sourceforge.net/xml/coverage-04.dtd">',
+         `<coverage line-rate="${lineRate}" branch-rate="0" lines-covered="${linesCovered}" `
+          + `lines-valid="${linesValid}" branches-covered="0" branches-valid="0" complexity="0" `
+          + `version="0" timestamp="${Date.now()}">`,
+         '  <sources>',
+         `    <source>${s_ESCAPE_XML(process.cwd())}</source>`,
+         '  </sources>',
+         '  <packages>',
+         `    <package name="documentation" line-rate="${lineRate}" branch-rate="0" complexity="0">`,
+         '      <classes>',
+         ...classes,
+         '      </classes>',
+         '    </package>',
+         '  </packages>',
+         '</coverage>',
+         ''
+      ];
+
+      return output.join('\n');
+   },
+
+   json: (coverage) =>
+   {
+      // ANSI colors are only relevant for logging.
+      const stripColor = (entries, keys = Object.keys(entries)) =>
+      {
+         const stripped = {};
+
+         for (const key of keys)
+         {
+            stripped[key] = Object.assign({}, entries[key]);
+            delete stripped[key].ansiColor;
+         }
+
+         return stripped;
+      };
+
+      const report = Object.assign({}, coverage, {
+         files: stripColor(coverage.files, s_GET_SORTED_FILES(coverage)),
+         kinds: stripColor(coverage.kinds || {}),
+         access: stripColor(coverage.access || {})
+      });
+
+      delete report.ansiColor;
+
+      return JSON.stringify(report, null, 2);
+   },
+
+   lcov: (coverage) =>
+   {
+      const output = [];
+
+      for (const filePath of s_GET_SORTED_FILES(coverage))
+      {
+         const lines = s_GET_LINES(coverage.files[filePath]);
+
+         output.push('TN:', `SF:${filePath}`);
+
+         for (const line of lines) { output.push(`DA:${line.lineNumber},${line.hit ? 1 : 0}`); }
+
+         output.push(`LF:${lines.length}`, `LH:${lines.filter((line) => line.hit).length}`, 'end_of_record');
+      }
+
+      output.push('');
+
+      return output.join('\n');
+   }
+};
@@ -0,0 +1,122 @@
+/**
+ * Checks source documentation coverage against TJSDocConfig `docCoverageThreshold` after generation. The threshold is
+ * either a global percentage or an object with optional `global`, `file` and `kind` percentages; IE:
+ *
+ * ```
+ * "docCoverageThreshold": { "global": 80, "file": 50, "kind": { "ModuleClass": 100 } }
+ * ```
+ *
+ * Any global, file or kind coverage below its threshold is logged and the run fails with a non-zero exit code allowing
+ * CI to gate on documentation coverage.
+ *
+ * The event bindings supported are:
+ *
+ * `tjsdoc:system:doc:coverage:threshold:check` - {@link DocCoverageThreshold#check}
+ */
+export default class DocCoverageThreshold
+{
+   /**
+    * Checks the source coverage of the given DocDB against a threshold logging any failures.
+    *
+    * @param {number|object}  [threshold=this._threshold] - The coverage threshold(s) to check; defaults to
+    *                                                       TJSDocConfig `docCoverageThreshold`.
+    *
+    * @param {DocDB}          [docDB=this._mainDocDB] - The DocDB to check.
+    *
+    * @param {boolean}        [fail=true] - If true and coverage is below threshold the run fails with a non-zero exit
+    *                                       code.
+    *
+    * @param {boolean}        [silent=false] - When false any failures are logged.
+    *
+    * @returns {{passed: boolean, coverage: DocDBCoverage, failures: Array<{type: string, target: string, percent: number, threshold: number}>}}
+    */
+   check({ threshold = this._threshold, docDB = this._mainDocDB, fail = true, silent = false } = {})
+   {
+      if (typeof docDB !== 'object' || docDB === null) { throw new TypeError(`'docDB' is not a 'DocDB'.`); }
+
+      const result = docDB.checkSourceCoverage({ threshold });
+
+      if (!silent) { this._logResult(result); }
+
+      if (fail && !result.passed)
+      {
+         this._eventbus.trigger('log:error', `tjsdoc-doc-coverage-threshold - documentation coverage is below the `
+          + `configured threshold.`);
+
+         process.exitCode = 1;
+      }
+
+      return result;
+   }
+
+   /**
+    * Logs any coverage threshold failures.
+    *
+    * @param {object}   result - The check result returned by {@link DocDB#checkSourceCoverage}.
+    *
+    * @private
+    */
+   _logResult(result)
+   {
+      if (result.passed) { return; }
+
+      this._eventbus.trigger('log:info:raw', '================================================');
+      this._eventbus.trigger('log:info:raw', `[31mDocumentation coverage below threshold:[0m`);
+      this._eventbus.trigger('log:info:raw', '================================================');
+
+      for (const failure of result.failures)
+      {
+         const target = failure.type === 'global' ? 'global' : `${failure.type} '${failure.target}'`;
+
+         this._eventbus.trigger('log:info:raw', `[31m${target}: ${failure.percent}% < ${failure.threshold}%[0m`);
+      }
+
+      this._eventbus.trigger('log:info:raw', '================================================');
+   }
+
+   /**
+    * Wires up DocCoverageThreshold on the plugin eventbus.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    */
+   onPluginLoad(ev)
+   {
+      /**
+       * Stores the plugin eventbus proxy.
+       * @type {EventProxy}
+       */
+      this._eventbus = ev.eventbus;
+
+      this._eventbus.on('tjsdoc:system:doc:coverage:threshold:check', this.check, this);
+   }
+
+   /**
+    * Checks documentation coverage against TJSDocConfig `docCoverageThreshold` when defined.
+    */
+   onRuntimeCompleteAsync()
+   {
+      if (typeof this._threshold !== 'undefined') { this.check(); }
+   }
+
+   /**
+    * Stores the main DocDB and TJSDocConfig `docCoverageThreshold`.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    */
+   onRuntimePreGenerateAsync(ev)
+   {
+      /**
+       * The main DocDB.
+       * @type {DocDB}
+       * @private
+       */
+      this._mainDocDB = ev.data.docDB;
+
+      /**
+       * The coverage threshold(s) from TJSDocConfig `docCoverageThreshold`.
+       * @type {number|object}
+       * @private
+       */
+      this._threshold = ev.data.mainConfig.docCoverageThreshold;
+   }
+}
@@ -0,0 +1,195 @@
+import crypto     from 'crypto';
+import fs         from 'fs';
+import path       from 'path';
+
+import FileUtil   from './FileUtil.js';
+
+/**
+ * Provides an on-disk cache of generated DocObjects for each file keyed by file content hash, parser identity and
+ * config hash. Each file path has a single cache entry stored as JSON in the cache directory which is replaced when
+ * regenerated. An entry is invalidated and treated as a miss when any of the following change:
+ *
+ * - The file content.
+ *
+ * - The parser identity; the loaded runtime plugins and their versions, the DocObject schema version and the cache
+ * format version.
+ *
+ * - The config hash; any change to the target project TJSDocConfig entries affecting generation or other data
+ * affecting generation such as the package name and main file path.
+ *
+ * - The generation type; source or test.
+ *
+ * Hits and misses are counted for logging.
+ */
+export default class DocDataCache
+{
+   /**
+    * Instantiates DocDataCache.
+    *
+    * @param {string}   directory - The cache directory.
+    *
+    * @param {string}   parserIdentity - Identifies the parser and doc generation runtime.
+    *
+    * @param {string}   configHash - A hash of the target project TJSDocConfig entries affecting generation.
+    */
+   constructor({ directory = void 0, parserIdentity = void 0, configHash = void 0 } = {})
+   {
+      if (typeof directory !== 'string') { throw new TypeError(`'directory' is not a 'string'.`); }
+      if (typeof parserIdentity !== 'string') { throw new TypeError(`'parserIdentity' is not a 'string'.`); }
+      if (typeof configHash !== 'string') { throw new TypeError(`'configHash' is not a 'string'.`); }
+
+      /**
+       * The cache directory.
+       * @type {string}
+       * @private
+       */
+      this._directory = directory;
+
+      /**
+       * The hash of the parser identity.
+       * @type {string}
+       * @private
+       */
+      this._parserHash = DocDataCache.hash(parserIdentity);
+
+      /**
+       * A hash of the target project TJSDocConfig.
+       * @type {string}
+       * @private
+       */
+      this._configHash = configHash;
+
+      /**
+       * Tracks cache hits and misses.
+       * @type {{hits: number, misses: number}}
+       * @private
+       */
+      this._stats = { hits: 0, misses: 0 };
+   }
+
+   /**
+    * Returns a SHA-256 hex digest of the given data.
+    *
+    * @param {string}   data - The data to hash.
+    *
+    * @returns {string}
+    */
+   static hash(data)
+   {
+      return crypto.createHash('sha256').update(data).digest('hex');
+   }
+
+   /**
+    * Deletes all cache entries and resets hit / miss counts.
+    */
+   clear()
+   {
+      if (fs.existsSync(this._directory))
+      {
+         for (const fileName of fs.readdirSync(this._directory))
+         {
+            if (fileName.endsWith('.json')) { fs.unlinkSync(path.join(this._directory, fileName)); }
+         }
+      }
+
+      this._stats = { hits: 0, misses: 0 };
+   }
+
+   /**
+    * Returns the cached DocObjects for a file when the cache entry is valid for the given content otherwise undefined
+    * counting a hit or miss.
+    *
+    * @param {string}   filePath - The relative file path.
+    *
+    * @param {string}   content - The current file content.
+    *
+    * @param {string}   type - The generation type; `source` or `test`.
+    *
+    * @returns {DocObject[]|undefined}
+    */
+   get(filePath, content, type)
+   {
+      const entryPath = this._getEntryPath(filePath);
+
+      let entry;
+
+      try
+      {
+         entry = fs.existsSync(entryPath) ? JSON.parse(fs.readFileSync(entryPath, 'utf8')) : void 0;
+      }
+      catch (err)
+      {
+         // A corrupt entry is a miss and is replaced when regenerated.
+         entry = void 0;
+      }
+
+      if (entry && entry.version === s_CACHE_VERSION && entry.filePath === filePath && entry.type === type &&
+       entry.contentHash === DocDataCache.hash(content) && entry.parserHash === this._parserHash &&
+        entry.configHash === this._configHash && Array.isArray(entry.docs))
+      {
+         this._stats.hits++;
+         return entry.docs;
+      }
+
+      this._stats.misses++;
+      return void 0;
+   }
+
+   /**
+    * Returns the cache hit and miss counts.
+    *
+    * @returns {{hits: number, misses: number}}
+    */
+   getStats()
+   {
+      return Object.assign({}, this._stats);
+   }
+
+   /**
+    * Returns the entry file path for a relative file path.
+    *
+    * @param {string}   filePath - The relative file path.
+    *
+    * @returns {string}
+    * @private
+    */
+   _getEntryPath(filePath)
+   {
+      return path.join(this._directory, `${DocDataCache.hash(filePath)}.json`);
+   }
+
+   /**
+    * Stores the DocObjects generated for a file replacing any existing entry. Internal record fields added by TaffyDB
+    * are not stored.
+    *
+    * @param {string}      filePath - The relative file path.
+    *
+    * @param {string}      content - The file content the DocObjects were generated from.
+    *
+    * @param {string}      type - The generation type; `source` or `test`.
+    *
+    * @param {DocObject[]} docs - The generated DocObjects.
+    */
+   set(filePath, content, type, docs)
+   {
+      FileUtil.ensureDir(this._directory);
+
+      fs.writeFileSync(this._getEntryPath(filePath), JSON.stringify({
+         version: s_CACHE_VERSION,
+         filePath,
+         type,
+         contentHash: DocDataCache.hash(content),
+         parserHash: this._parserHash,
+         configHash: this._configHash,
+         docs
+      }, (key, value) => key === '___id' || key === '___s' ? void 0 : value));
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Defines the cache entry format version.
+ * @type {number}
+ */
+const s_CACHE_VERSION = 1;
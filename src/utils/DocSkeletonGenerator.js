@@ -0,0 +1,388 @@
+import fs   from 'fs';
+import path from 'path';
+
+/**
+ * Generates suggested doc comment skeletons for undocumented identifiers counted by source coverage. Each skeleton has
+ * a description placeholder, `@param` tags named from the code parameters of methods and functions and a `@returns`
+ * placeholder; identifiers which are not callable receive a `@type` placeholder instead. Skeletons are output as a
+ * unified diff patch applicable with `git apply` or `patch -p1` or as a JSON list.
+ *
+ * Since AST node data is required to retrieve code parameters they are collected in `onHandleDocObject` which is
+ * invoked in `DocDB->insertStaticDoc` before any AST node is removed; only when the DocDB `mode` is `generate`.
+ *
+ * TJSDocConfig `docSkeleton` is either a boolean or an object with the following optional entries:
+ *
+ * `format` - `diff` or `json`; default: `diff`.
+ *
+ * `filePath` - The file path relative to the output destination; default: `docSkeleton.patch` or `docSkeleton.json`.
+ *
+ * The event bindings supported are:
+ *
+ * `tjsdoc:system:doc:skeleton:create` - {@link DocSkeletonGenerator#create}
+ *
+ * `tjsdoc:system:doc:skeleton:write` - {@link DocSkeletonGenerator#write}
+ *
+ * If TJSDocConfig `docSkeleton` is not defined this plugin is not enabled.
+ */
+export default class DocSkeletonGenerator
+{
+   /**
+    * Instantiates DocSkeletonGenerator
+    */
+   constructor()
+   {
+      /**
+       * Stores the code parameter names of undocumented methods and functions by longname.
+       * @type {Map<string, string[]>}
+       * @private
+       */
+      this._params = new Map();
+   }
+
+   /**
+    * Creates doc comment skeletons for the undocumented identifiers of the given DocDB.
+    *
+    * @param {DocDB}    [docDB=this._mainDocDB] - The DocDB to create skeletons for.
+    *
+    * @param {string}   [format='diff'] - `diff` for a unified diff patch or `json` for a JSON list.
+    *
+    * @returns {string}
+    */
+   create({ docDB = this._mainDocDB, format = 'diff' } = {})
+   {
+      if (typeof docDB !== 'object' || docDB === null) { throw new TypeError(`'docDB' is not a 'DocDB'.`); }
+
+      const skeletons = this._createSkeletons(docDB);
+
+      switch (format)
+      {
+         case 'diff':
+            return s_CREATE_DIFF(skeletons, this._dirPath);
+
+         case 'json':
+            return JSON.stringify(skeletons.map((skeleton) => ({
+               filePath: skeleton.filePath,
+               lineNumber: skeleton.lineNumber,
+               kind: skeleton.kind,
+               longname: skeleton.longname,
+               params: skeleton.params,
+               skeleton: skeleton.lines.join('\n')
+            })), null, 2);
+
+         default:
+            throw new TypeError(`'format' is not 'diff' or 'json'.`);
+      }
+   }
+
+   /**
+    * Returns skeleton data for each undocumented identifier counted by source coverage sorted by file and line.
+    *
+    * @param {DocDB}    docDB - The DocDB to create skeletons for.
+    *
+    * @returns {Array<{filePath: string, lineNumber: number, kind: string, longname: string, params: string[], lines: string[]}>}
+    * @private
+    */
+   _createSkeletons(docDB)
+   {
+      const access = this._mainConfig && this._mainConfig.docCoverageAccess;
+      const kind = this._mainConfig && this._mainConfig.docCoverageKinds;
+
+      const docs = docDB.find({
+         kind: Array.isArray(kind) ? kind : s_DEFAULT_KINDS,
+         undocument: true
+      }).filter((doc) =>
+      {
+         // Doc objects without an explicit access level are public.
+         const docAccess = typeof doc.access === 'string' ? doc.access : 'public';
+
+         return typeof doc.filePath === 'string' && typeof doc.lineNumber === 'number' &&
+          (!Array.isArray(access) || access.includes(docAccess));
+      });
+
+      docs.sort((a, b) => a.filePath.localeCompare(b.filePath) || a.lineNumber - b.lineNumber);
+
+      return docs.map((doc) =>
+      {
+         const params = this._params.get(doc.longname) || [];
+
+         return {
+            filePath: doc.filePath,
+            lineNumber: doc.lineNumber,
+            kind: doc.kind,
+            longname: doc.longname,
+            params,
+            lines: s_CREATE_SKELETON(doc, params)
+         };
+      });
+   }
+
+   /**
+    * Collects the code parameter names of undocumented methods and functions before the AST node is removed.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    */
+   onHandleDocObject(ev)
+   {
+      const doc = ev.data.docObject;
+      const mode = ev.data.mode;
+
+      if (!mode || mode !== 'generate' || !doc.undocument || !doc.node ||
+       (doc.kind !== 'ClassMethod' && doc.kind !== 'ModuleFunction'))
+      {
+         return;
+      }
+
+      const params = this._eventbus.triggerSync('tjsdoc:system:ast:method:params:from:node:get', doc.node);
+
+      // Destructured parameters have no name.
+      this._params.set(doc.longname, (params || []).map((name, index) => name === '*' ? `param${index}` : name));
+   }
+
+   /**
+    * Writes skeletons for TJSDocConfig `docSkeleton` after publishing.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    */
+   onHandlePostPublishAsync(ev)
+   {
+      const config = ev.data.mainConfig.docSkeleton;
+
+      if (config === true) { this.write({ docDB: ev.data.docDB, silent: ev.data.silent }); }
+
+      if (typeof config === 'object' && config !== null)
+      {
+         this.write({ docDB: ev.data.docDB, format: config.format, filePath: config.filePath, silent: ev.data.silent });
+      }
+   }
+
+   /**
+    * Wires up DocSkeletonGenerator on the plugin eventbus.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    */
+   onPluginLoad(ev)
+   {
+      /**
+       * Stores the plugin eventbus proxy.
+       * @type {EventProxy}
+       */
+      this._eventbus = ev.eventbus;
+
+      this._eventbus.on('tjsdoc:system:doc:skeleton:create', this.create, this);
+      this._eventbus.on('tjsdoc:system:doc:skeleton:write', this.write, this);
+   }
+
+   /**
+    * Stores the main DocDB and TJSDocConfig.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    */
+   onRuntimePreGenerateAsync(ev)
+   {
+      /**
+       * The main DocDB.
+       * @type {DocDB}
+       * @private
+       */
+      this._mainDocDB = ev.data.docDB;
+
+      /**
+       * The target project TJSDoc config.
+       * @type {TJSDocConfig}
+       * @private
+       */
+      this._mainConfig = ev.data.mainConfig;
+
+      /**
+       * The target project root path which source file paths are relative to.
+       * @type {string}
+       * @private
+       */
+      this._dirPath = ev.data.mainConfig._dirPath;
+
+      this._params.clear();
+   }
+
+   /**
+    * Writes doc comment skeletons via `tjsdoc:system:file:write`.
+    *
+    * @param {DocDB}    [docDB=this._mainDocDB] - The DocDB to create skeletons for.
+    *
+    * @param {string}   [format='diff'] - `diff` for a unified diff patch or `json` for a JSON list.
+    *
+    * @param {string}   [filePath] - The file path relative to the output destination; default: `docSkeleton.patch`
+    *                                or `docSkeleton.json`.
+    *
+    * @param {boolean}  [silent=false] - When false `output: <destPath>` is logged.
+    */
+   write({ docDB = this._mainDocDB, format = 'diff', filePath = void 0, silent = false } = {})
+   {
+      this._eventbus.trigger('tjsdoc:system:file:write', {
+         fileData: this.create({ docDB, format }),
+         filePath: typeof filePath === 'string' ? filePath : s_DEFAULT_FILE_PATHS[format],
+         logPrepend: 'tjsdoc-doc-skeleton-generator - ',
+         silent
+      });
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Defines the number of unchanged lines surrounding each insertion in a diff hunk.
+ * @type {number}
+ */
+const s_DIFF_CONTEXT = 3;
+
+/**
+ * Defines the default file paths relative to the output destination for each format.
+ * @type {object<string, string>}
+ */
+const s_DEFAULT_FILE_PATHS =
+{
+   diff: 'docSkeleton.patch',
+   json: 'docSkeleton.json'
+};
+
+/**
+ * Defines the doc object kinds counted by source coverage.
+ * @type {string[]}
+ */
+const s_DEFAULT_KINDS =
+[
+   'ClassMember',
+   'ClassMethod',
+   'ClassProperty',
+   'ModuleAssignment',
+   'ModuleClass',
+   'ModuleFunction',
+   'ModuleVariable'
+];
+
+/**
+ * Creates a unified diff inserting skeletons before the line of each undocumented identifier. Only the first skeleton
+ * for a given line is inserted.
+ *
+ * @param {Array<object>}  skeletons - Skeleton data sorted by file and line.
+ *
+ * @param {string}         [dirPath] - The path source file paths are relative to.
+ *
+ * @returns {string}
+ */
+function s_CREATE_DIFF(skeletons, dirPath = process.cwd())
+{
+   const output = [];
+
+   const filePaths = Array.from(new Set(skeletons.map((skeleton) => skeleton.filePath)));
+
+   for (const filePath of filePaths)
+   {
+      const absFilePath = path.resolve(dirPath, filePath);
+
+      if (!fs.existsSync(absFilePath)) { continue; }
+
+      const content = fs.readFileSync(absFilePath, 'utf8');
+      const endsWithNewline = content.endsWith('\n');
+
+      const lines = content.split('\n');
+
+      if (endsWithNewline) { lines.pop(); }
+
+      // Map of line number to inserted lines indented to match the target line.
+      const insertions = new Map();
+
+      for (const skeleton of skeletons)
+      {
+         if (skeleton.filePath !== filePath || insertions.has(skeleton.lineNumber) ||
+          skeleton.lineNumber < 1 || skeleton.lineNumber > lines.length)
+         {
+            continue;
+         }
+
+         const indent = (/^\s*/).exec(lines[skeleton.lineNumber - 1])[0];
+
+         insertions.set(skeleton.lineNumber, skeleton.lines.map((line) => `${indent}${line}`));
+      }
+
+      if (insertions.size === 0) { continue; }
+
+      output.push(`--- a/${filePath}`, `+++ b/${filePath}`);
+
+      // Group insertions into hunks when their context overlaps.
+      const lineNumbers = Array.from(insertions.keys());
+      const groups = [];
+
+      for (const lineNumber of lineNumbers)
+      {
+         const group = groups[groups.length - 1];
+
+         if (group && lineNumber - group[group.length - 1] <= s_DIFF_CONTEXT * 2) { group.push(lineNumber); }
+         else { groups.push([lineNumber]); }
+      }
+
+      let offset = 0;
+
+      for (const group of groups)
+      {
+         const oldStart = Math.max(1, group[0] - s_DIFF_CONTEXT);
+         const oldEnd = Math.min(lines.length, group[group.length - 1] + s_DIFF_CONTEXT - 1);
+
+         const hunk = [];
+         let added = 0;
+
+         for (let lineNumber = oldStart; lineNumber <= oldEnd; lineNumber++)
+         {
+            if (insertions.has(lineNumber))
+            {
+               for (const line of insertions.get(lineNumber)) { hunk.push(`+${line}`); }
+
+               added += insertions.get(lineNumber).length;
+            }
+
+            hunk.push(` ${lines[lineNumber - 1]}`);
+         }
+
+         if (!endsWithNewline && oldEnd === lines.length) { hunk.push('\\ No newline at end of file'); }
+
+         const oldCount = oldEnd - oldStart + 1;
+
+         output.push(`@@ -${oldStart},${oldCount} +${oldStart + offset},${oldCount + added} @@`, ...hunk);
+
+         offset += added;
+      }
+   }
+
+   return output.length > 0 ? `${output.join('\n')}\n` : '';
+}
+
+/**
+ * Creates the doc comment skeleton lines for a DocObject.
+ *
+ * @param {DocObject}   doc - An undocumented DocObject.
+ *
+ * @param {string[]}    params - Code parameter names.
+ *
+ * @returns {string[]}
+ */
+function s_CREATE_SKELETON(doc, params)
+{
+   const lines = ['/**', ` * TODO: describe ${doc.name}.`];
+
+   const callable = doc.kind === 'ModuleFunction' || (doc.kind === 'ClassMethod' && doc.qualifier !== 'get' &&
+    doc.qualifier !== 'set');
+
+   if (callable)
+   {
+      for (const name of params) { lines.push(' *', ` * @param {*} ${name} - TODO`); }
+
+      if (doc.qualifier !== 'constructor') { lines.push(' *', ' * @returns {*} TODO'); }
+   }
+   else if (doc.kind !== 'ModuleClass')
+   {
+      lines.push(' *', ' * @type {*}');
+   }
+
+   lines.push(' */');
+
+   return lines;
+}
@@ -0,0 +1,129 @@
+/**
+ * Logs DocDB statistics after generation and writes them as JSON via `tjsdoc:system:file:write` relative to the output
+ * destination after publishing. Statistics include counts by kind, file and access level, builtin virtual versus real,
+ * undocumented and unexported counts along with approximate memory size; see {@link DocDB#getStats}.
+ *
+ * TJSDocConfig `docStats` is either a boolean or an object with the following optional entries:
+ *
+ * `filePath` - The JSON file path relative to the output destination; default: `docStats.json`.
+ *
+ * `log` - If true statistics are logged; default: true.
+ *
+ * The event bindings supported are:
+ *
+ * `tjsdoc:system:doc:stats:write` - {@link DocStatsReporter#write}
+ */
+export default class DocStatsReporter
+{
+   /**
+    * Wires up DocStatsReporter on the plugin eventbus.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    */
+   onPluginLoad(ev)
+   {
+      /**
+       * Stores the plugin eventbus proxy.
+       * @type {EventProxy}
+       */
+      this._eventbus = ev.eventbus;
+
+      this._eventbus.on('tjsdoc:system:doc:stats:write', this.write, this);
+   }
+
+   /**
+    * Writes statistics for TJSDocConfig `docStats` after publishing.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    */
+   onHandlePostPublishAsync(ev)
+   {
+      const options = s_GET_OPTIONS(ev.data.mainConfig.docStats);
+
+      if (options) { this.write({ filePath: options.filePath, docDB: ev.data.docDB, silent: ev.data.silent }); }
+   }
+
+   /**
+    * Logs statistics for TJSDocConfig `docStats` after generation.
+    */
+   onRuntimeCompleteAsync()
+   {
+      const options = s_GET_OPTIONS(this._statsConfig);
+
+      if (options && options.log && this._mainDocDB) { this._mainDocDB.logStats({ eventbus: this._eventbus }); }
+   }
+
+   /**
+    * Stores the main DocDB and TJSDocConfig `docStats`.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    */
+   onRuntimePreGenerateAsync(ev)
+   {
+      /**
+       * The main DocDB.
+       * @type {DocDB}
+       * @private
+       */
+      this._mainDocDB = ev.data.docDB;
+
+      /**
+       * The stats config from TJSDocConfig `docStats`.
+       * @type {boolean|{filePath: string, log: boolean}}
+       * @private
+       */
+      this._statsConfig = ev.data.mainConfig.docStats;
+   }
+
+   /**
+    * Writes the statistics of the given DocDB as JSON.
+    *
+    * @param {string}   [filePath='docStats.json'] - The file path relative to the output destination.
+    *
+    * @param {DocDB}    [docDB=this._mainDocDB] - The DocDB to write statistics for.
+    *
+    * @param {boolean}  [silent=false] - When false `output: <destPath>` is logged.
+    */
+   write({ filePath = s_DEFAULT_FILE_PATH, docDB = this._mainDocDB, silent = false } = {})
+   {
+      if (typeof filePath !== 'string') { throw new TypeError(`'filePath' is not a 'string'.`); }
+      if (typeof docDB !== 'object' || docDB === null) { throw new TypeError(`'docDB' is not a 'DocDB'.`); }
+
+      this._eventbus.trigger('tjsdoc:system:file:write', {
+         fileData: JSON.stringify(docDB.getStats(), null, 2),
+         filePath,
+         logPrepend: 'tjsdoc-doc-stats-reporter - ',
+         silent
+      });
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Defines the default file path relative to the output destination.
+ * @type {string}
+ */
+const s_DEFAULT_FILE_PATH = 'docStats.json';
+
+/**
+ * Returns the options for TJSDocConfig `docStats` with defaults applied or undefined when not enabled.
+ *
+ * @param {boolean|object} config - TJSDocConfig `docStats`.
+ *
+ * @returns {{filePath: string, log: boolean}|undefined}
+ */
+function s_GET_OPTIONS(config)
+{
+   if (config === true) { return { filePath: s_DEFAULT_FILE_PATH, log: true }; }
+
+   if (typeof config === 'object' && config !== null)
+   {
+      return {
+         filePath: typeof config.filePath === 'string' ? config.filePath : s_DEFAULT_FILE_PATH,
+         log: typeof config.log === 'boolean' ? config.log : true
+      };
+   }
+
+   return void 0;
+}
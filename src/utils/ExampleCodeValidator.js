@@ -0,0 +1,210 @@
+import fs   from 'fs';
+import path from 'path';
+
+/**
+ * Validates example code by parsing it with `tjsdoc:system:parser:code:source:parse`. The `@example` blocks of each
+ * DocObject are parsed in `onHandleDocObject` and the fenced `js` code blocks of the TJSDocConfig `index` README before
+ * generation. Examples which fail to parse are added to {@link InvalidCodeLogger} with a message naming the owning
+ * identifier or README and the line of the example in its file.
+ *
+ * Since the doc comment of the AST node is required to determine the line of each `@example` block this must occur in
+ * `onHandleDocObject` before any AST node is removed. Like {@link LintDocLogger} validation only occurs when the DocDB
+ * mode is `generate`.
+ *
+ * If TJSDocConfig `validateExamples` is not true this plugin is not enabled.
+ */
+export default class ExampleCodeValidator
+{
+   /**
+    * Parses the `@example` blocks of a DocObject adding any which fail to parse to the invalid code log.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    */
+   onHandleDocObject(ev)
+   {
+      const doc = ev.data.docObject;
+      const mode = ev.data.mode;
+
+      if (!mode || mode !== 'generate' || !Array.isArray(doc.examples)) { return; }
+
+      const commentLines = s_GET_DOC_COMMENT_LINES(doc.node);
+
+      let searchIndex = 0;
+
+      doc.examples.forEach((example, index) =>
+      {
+         if (typeof example !== 'string') { return; }
+
+         const code = example.replace(s_CAPTION_REGEX, '');
+
+         let lineNumber;
+
+         if (commentLines)
+         {
+            // Find the `@example` tag then the first line of code after it.
+            const tagIndex = commentLines.findIndex((line, lineIndex) => lineIndex >= searchIndex &&
+             line.text.includes('@example'));
+
+            if (tagIndex >= 0)
+            {
+               const firstLine = code.split('\n').find((line) => line.trim() !== '');
+
+               const codeIndex = typeof firstLine === 'string' ? commentLines.findIndex((line, lineIndex) =>
+                lineIndex > tagIndex && line.text.includes(firstLine.trim())) : -1;
+
+               lineNumber = commentLines[codeIndex >= 0 ? codeIndex : tagIndex].lineNumber;
+
+               searchIndex = tagIndex + 1;
+            }
+         }
+
+         const location = typeof lineNumber === 'number' ? `line ${lineNumber}` :
+          `the doc comment of line ${doc.lineNumber}`;
+
+         this._parse(code, doc.filePath,
+          `@example ${index + 1} of ${doc.longname} starting at ${location} could not be parsed.`);
+      });
+   }
+
+   /**
+    * Wires up ExampleCodeValidator on the plugin eventbus.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    */
+   onPluginLoad(ev)
+   {
+      /**
+       * Stores the plugin eventbus proxy.
+       * @type {EventProxy}
+       */
+      this._eventbus = ev.eventbus;
+   }
+
+   /**
+    * Parses the fenced `js` code blocks of the TJSDocConfig `index` README.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    */
+   onRuntimePreGenerateAsync(ev)
+   {
+      const mainConfig = ev.data.mainConfig;
+
+      if (!mainConfig.validateExamples || typeof mainConfig.index !== 'string') { return; }
+
+      let markdown;
+
+      try
+      {
+         markdown = fs.readFileSync(path.resolve(mainConfig._dirPath, mainConfig.index), 'utf8');
+      }
+      catch (err)
+      {
+         // A missing README is not an invalid example.
+         return;
+      }
+
+      for (const block of s_GET_FENCED_CODE_BLOCKS(markdown))
+      {
+         this._parse(block.code, mainConfig.index,
+          `fenced js code block starting at line ${block.lineNumber} could not be parsed.`);
+      }
+   }
+
+   /**
+    * Parses example code adding it to the invalid code log when it fails to parse.
+    *
+    * @param {string}   code - The example code.
+    *
+    * @param {string}   filePath - The file path of the example.
+    *
+    * @param {string}   message - The message to log with any parser error.
+    *
+    * @private
+    */
+   _parse(code, filePath, message)
+   {
+      try
+      {
+         this._eventbus.triggerSync('tjsdoc:system:parser:code:source:parse', code);
+      }
+      catch (parserError)
+      {
+         const data = { code, message, parserError };
+
+         if (typeof filePath === 'string') { data.filePath = filePath; }
+
+         this._eventbus.trigger('tjsdoc:system:invalid:code:add', data);
+      }
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Matches a leading `<caption>` of an `@example` block.
+ * @type {RegExp}
+ */
+const s_CAPTION_REGEX = /^\s*<caption>[\s\S]*?<\/caption>[^\S\n]*\n?/;
+
+/**
+ * Matches the opening line of a fenced `js` code block.
+ * @type {RegExp}
+ */
+const s_FENCE_OPEN_REGEX = /^\s*```\s*(js|javascript|jsx)\s*$/i;
+
+/**
+ * Returns the lines of the doc comment of an AST node with their line numbers or undefined when the node has no doc
+ * comment with location data.
+ *
+ * @param {ASTNode}  node - An AST node.
+ *
+ * @returns {Array<{lineNumber: number, text: string}>|undefined}
+ */
+function s_GET_DOC_COMMENT_LINES(node)
+{
+   if (!node || !Array.isArray(node.leadingComments)) { return void 0; }
+
+   const comment = node.leadingComments.filter((entry) => entry.type === 'CommentBlock' &&
+    entry.value.startsWith('*')).pop();
+
+   if (!comment || !comment.loc) { return void 0; }
+
+   return comment.value.split('\n').map((text, index) => ({ lineNumber: comment.loc.start.line + index, text }));
+}
+
+/**
+ * Returns the fenced `js` code blocks of markdown with the line number of the first line of code.
+ *
+ * @param {string}   markdown - The markdown to parse.
+ *
+ * @returns {Array<{code: string, lineNumber: number}>}
+ */
+function s_GET_FENCED_CODE_BLOCKS(markdown)
+{
+   const blocks = [];
+   const lines = markdown.split(/\r?\n/);
+
+   let block;
+
+   lines.forEach((line, index) =>
+   {
+      if (block)
+      {
+         if ((/^\s*```\s*$/).test(line))
+         {
+            blocks.push({ code: block.lines.join('\n'), lineNumber: block.lineNumber });
+            block = void 0;
+         }
+         else
+         {
+            block.lines.push(line);
+         }
+      }
+      else if (s_FENCE_OPEN_REGEX.test(line))
+      {
+         block = { lines: [], lineNumber: index + 2 };
+      }
+   });
+
+   return blocks;
+}
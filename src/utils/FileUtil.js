@@ -1,8 +1,27 @@
+import fs   from 'fs';
+import path from 'path';
+
 /**
  * Adds custom event bindings for overridden file utility methods from `typhonjs-file-util`.
  */
 export default class FileUtil
 {
+   /**
+    * Creates the given directory and any missing parent directories.
+    *
+    * @param {string}   dirPath - The directory path to create.
+    */
+   static ensureDir(dirPath)
+   {
+      const resolvedPath = path.resolve(dirPath);
+
+      if (fs.existsSync(resolvedPath)) { return; }
+
+      FileUtil.ensureDir(path.dirname(resolvedPath));
+
+      fs.mkdirSync(resolvedPath);
+   }
+
    /**
     * Store the TJSDocConfig object and other relevant data for generating doc data.
     *
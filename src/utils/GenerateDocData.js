@@ -1,8 +1,66 @@
-import path       from 'path';
-import Resolver   from 'typhonjs-path-resolver';
+import fs               from 'fs';
+import path             from 'path';
+import Resolver         from 'typhonjs-path-resolver';
+
+import { AbortError }   from './AbortError.js';
+import DocDataCache     from './DocDataCache.js';
+import GenerateProfiler from './GenerateProfiler.js';
+import GlobUtil         from './GlobUtil.js';
+import PathMatcher      from './PathMatcher.js';
+
+import DocObjectSchema  from '../doc/DocObjectSchema.js';
 
 /**
  * Provides event bindings to generate DocObject and AST data for in memory code and files for main and tests.
+ *
+ * Source files and glob patterns may also be generated in batch by {@link GenerateDocData#generateSourceDocDataBatch}
+ * which triggers `tjsdoc:system:generate:progress` for each file and returns a summary of parsed, cached, skipped and
+ * failed files with timings. Batch generation fans out parsing and traversal to a pool of worker threads when
+ * `runtimeOptions.generateWorkers` of the target project TJSDocConfig is the pool size. Each worker loads the runtime
+ * plugins of the main thread except those added as instances which are expected to be loaded by their parent plugin.
+ * The generated DocObjects are inserted into the target DocDB on the main thread in the order of the given file paths,
+ * so `onHandleDocObject` is only invoked on the main thread and `__docId__` values are assigned in the same order as
+ * sequential generation. When running from source rather than `dist` each worker is bootstrapped with `babel-register`.
+ * When worker threads are not available in the current Node version or `babel-register` is not available when running
+ * from source files are generated sequentially.
+ *
+ * Source and test files are matched against TJSDocConfig `includes` / `excludes` and `test.includes` / `test.excludes`
+ * which may contain RegExp source strings or glob patterns prefixed with `glob:`; see {@link PathMatcher}. Triggering
+ * `tjsdoc:system:generate:explain` ({@link GenerateDocData#explain}) returns which entry included or excluded a file.
+ *
+ * In memory code may be generated with a virtual file ID; IE an editor buffer. The DocObjects of virtual code have the
+ * file path `virtual:<virtualID>` and the code is retained so that triggering `tjsdoc:system:generate:source:doc:data`
+ * with a virtual file path generates it again. This allows virtual code to be regenerated and merged like real files
+ * including as a dependent file; see {@link RegenerateDocData}.
+ *
+ * The event bindings for virtual code are:
+ *
+ * `tjsdoc:system:generate:virtual:code:remove` - {@link GenerateDocData#removeVirtualCode}
+ *
+ * `tjsdoc:system:generate:virtual:file:path:get` - {@link GenerateDocData#getVirtualFilePath}
+ *
+ * When TJSDocConfig `cacheDirectory` is defined the DocObjects generated for each source and test file are cached on
+ * disk keyed by file content hash, parser identity and config hash; see {@link DocDataCache}. The config hash only
+ * includes TJSDocConfig entries which affect generation with paths relative to the target project root path, so that
+ * changing publishing options such as `destination` or moving the project keeps the cache. It also includes the target
+ * project package name and main file path as they determine import paths. Unchanged files are loaded from the cache
+ * instead of being parsed. DocObjects are cached as generated with AST node data before any plugin processes them, so
+ * cached DocObjects are processed by `onHandleDocObject` on insertion like generated DocObjects including plugins which
+ * require `doc.node` such as {@link DocSkeletonGenerator}. DocObjects are not cached when a `docFilter` is provided.
+ * Cache hits and misses are logged for each file and in summary on completion.
+ *
+ * The event bindings for the cache are:
+ *
+ * `tjsdoc:system:generate:cache:clear` - Deletes all cache entries.
+ *
+ * `tjsdoc:system:generate:cache:stats:get` - Returns `{ hits, misses }` or undefined when the cache is not enabled.
+ *
+ * When TJSDocConfig `profile` or `debug` is enabled the parse and traverse time of each file generated on the main
+ * thread is recorded by {@link GenerateProfiler}.
+ *
+ * Changes to the main DocDB are batched from `onRuntimePreGenerateAsync` until `onRuntimeCompleteAsync`, so initial
+ * generation emits a single `tjsdoc:data:docdb:changed` notification; see {@link DocDB#beginChangeBatch}. Each batch
+ * generated by {@link GenerateDocData#generateSourceDocDataBatch} is likewise notified as a single change.
  */
 export default class GenerateDocData
 {
@@ -13,15 +71,28 @@ export default class GenerateDocData
     */
    onPluginLoad(ev)
    {
+      /**
+       * Stores the in memory code generated with a virtual file ID by virtual file path.
+       * @type {Map<string, string|object>}
+       * @private
+       */
+      this._virtualCode = new Map();
+
       /**
        * Stores the plugin eventbus proxy.
        * @type {EventProxy}
        */
       this._eventbus = ev.eventbus;
 
+      this._eventbus.on('tjsdoc:system:generate:cache:clear', () => { if (this._cache) { this._cache.clear(); } });
+      this._eventbus.on('tjsdoc:system:generate:cache:stats:get', () => this._cache ? this._cache.getStats() : void 0);
       this._eventbus.on('tjsdoc:system:generate:code:doc:data', this.generateCodeDocData, this);
+      this._eventbus.on('tjsdoc:system:generate:explain', this.explain, this);
       this._eventbus.on('tjsdoc:system:generate:source:doc:data', this.generateSourceDocData, this);
+      this._eventbus.on('tjsdoc:system:generate:source:doc:data:batch', this.generateSourceDocDataBatch, this);
       this._eventbus.on('tjsdoc:system:generate:test:doc:data', this.generateTestDocData, this);
+      this._eventbus.on('tjsdoc:system:generate:virtual:code:remove', this.removeVirtualCode, this);
+      this._eventbus.on('tjsdoc:system:generate:virtual:file:path:get', this.getVirtualFilePath, this);
 
       this._eventbus.on('tjsdoc:system:path:resolver:create',
        (filePath, rootPath = this._rootPath, packageName = this._packageName, mainFilePath = this._mainFilePath) =>
@@ -61,6 +132,12 @@ export default class GenerateDocData
        */
       this._rootPath = ev.data.mainConfig._dirPath;
 
+      /**
+       * The target project package.json object.
+       * @type {object}
+       */
+      this._packageObj = ev.data.packageObj;
+
       /**
        * The target project NPM package name.
        * @type {string}
@@ -78,6 +155,116 @@ export default class GenerateDocData
        * @type {Resolver}
        */
       this._pathResolver = new Resolver(this._rootPath, '', this._packageName, this._mainFilePath);
+
+      const testConfig = ev.data.mainConfig.test || {};
+
+      /**
+       * Matches source file paths against TJSDocConfig `includes` / `excludes`.
+       * @type {PathMatcher}
+       */
+      this._sourceMatcher = s_CREATE_PATH_MATCHER(ev.data.mainConfig, 'includes', 'excludes');
+
+      /**
+       * Matches test file paths against TJSDocConfig `test.includes` / `test.excludes`.
+       * @type {PathMatcher}
+       */
+      this._testMatcher = s_CREATE_PATH_MATCHER(testConfig, 'test.includes', 'test.excludes');
+
+      this._virtualCode.clear();
+
+      const runtimeOptions = ev.data.mainConfig.runtimeOptions || {};
+
+      /**
+       * The worker thread pool size for batch source generation; 0 generates sequentially.
+       * @type {number}
+       */
+      this._workerPoolSize = typeof runtimeOptions.generateWorkers === 'number' ? runtimeOptions.generateWorkers : 0;
+
+      this._endMainChangeBatch();
+
+      /**
+       * The main DocDB with a change batch open from pre-generation until runtime completion.
+       * @type {DocDB|undefined}
+       * @private
+       */
+      this._mainDocDB = typeof ev.data.docDB === 'object' && ev.data.docDB !== null ? ev.data.docDB : void 0;
+
+      // Notify all doc data generated for the main DocDB as a single change.
+      if (this._mainDocDB) { this._mainDocDB.beginChangeBatch(); }
+
+      /**
+       * When true the parse and traverse phases of each file are recorded by {@link GenerateProfiler}.
+       * @type {boolean}
+       */
+      this._profile = GenerateProfiler.isEnabled(ev.data.mainConfig);
+
+      /**
+       * The on-disk doc data cache when TJSDocConfig `cacheDirectory` is defined.
+       * @type {DocDataCache|undefined}
+       */
+      this._cache = typeof ev.data.mainConfig.cacheDirectory === 'string' ? new DocDataCache({
+         directory: path.resolve(this._rootPath, ev.data.mainConfig.cacheDirectory),
+         parserIdentity: this._getParserIdentity(),
+         configHash: s_CONFIG_HASH(ev.data.mainConfig, this._packageName, this._mainFilePath)
+      }) : void 0;
+   }
+
+   /**
+    * Ends the change batch of the main DocDB and logs a summary of cache hits and misses when the cache is enabled.
+    */
+   onRuntimeCompleteAsync()
+   {
+      this._endMainChangeBatch();
+
+      if (this._cache)
+      {
+         const stats = this._cache.getStats();
+
+         this._eventbus.trigger('log:info:raw', `tjsdoc-docdb-generate - cache hits: ${stats.hits}, misses: ${
+          stats.misses}`);
+      }
+   }
+
+   /**
+    * Ends any change batch of the main DocDB opened in `onRuntimePreGenerateAsync`.
+    *
+    * @private
+    */
+   _endMainChangeBatch()
+   {
+      if (this._mainDocDB)
+      {
+         this._mainDocDB.endChangeBatch();
+         this._mainDocDB = void 0;
+      }
+   }
+
+   /**
+    * Explains whether a source or test file is included by the TJSDocConfig includes / excludes entries naming the
+    * entries which included or excluded it; see {@link PathMatcher#explain}. Virtual file paths are always included.
+    *
+    * @param {string}   filePath - The file path to explain (it may be relative).
+    *
+    * @param {string}   [type='source'] - `source` or `test`.
+    *
+    * @returns {{filePath: string, relativeFilePath: string, type: string, included: boolean, reason: string}}
+    */
+   explain({ filePath = void 0, type = 'source' } = {})
+   {
+      if (typeof filePath !== 'string') { throw new TypeError(`'filePath' is not a 'string'.`); }
+      if (type !== 'source' && type !== 'test') { throw new TypeError(`'type' is not 'source' or 'test'.`); }
+
+      if (filePath.startsWith(s_VIRTUAL_PREFIX))
+      {
+         return { filePath, relativeFilePath: filePath, type, included: true,
+          reason: 'virtual code is not matched by includes / excludes' };
+      }
+
+      const relativeFilePath = path.relative(this._mainConfig._dirPath, path.resolve(this._rootPath, filePath));
+
+      const matcher = type === 'source' ? this._sourceMatcher : this._testMatcher;
+
+      return Object.assign({ filePath, relativeFilePath, type }, matcher.explain(relativeFilePath));
    }
 
    /**
@@ -85,6 +272,9 @@ export default class GenerateDocData
     *
     * @param {string}         code - Source code to parse.
     *
+    * @param {string}         [virtualID] - An optional virtual file ID; the DocObjects generated have the file path
+    *                                       `virtual:<virtualID>` and the code is retained for regeneration.
+    *
     * @param {DocDB}          [docDB] - The target DocDB instance; or one will be created.
     *
     * @param {TyphonEvents}   [eventbus] - An eventbus instance to set for any created DocDB instance.
@@ -94,10 +284,13 @@ export default class GenerateDocData
     *
     * @param {function}       [docFilter] - An optional function invoked with the static doc before inserting into the
     *                                       given DocDB.
+    *
+    * @param {AbortSignal}    [signal] - An optional signal; an {@link AbortError} is thrown if aborted before
+    *                                    generation.
     * @returns {*}
     */
-   generateCodeDocData({ code = void 0, docDB = void 0, eventbus = void 0, handleError = 'throw',
-    docFilter = void 0 } = {})
+   generateCodeDocData({ code = void 0, virtualID = void 0, docDB = void 0, eventbus = void 0, handleError = 'throw',
+    docFilter = void 0, signal = void 0 } = {})
    {
       if (typeof code !== 'string' && typeof code !== 'object')
       {
@@ -106,11 +299,22 @@ export default class GenerateDocData
 
       if (typeof handleError !== 'string') { throw new TypeError(`'handleError' is not a 'string'.`); }
 
+      AbortError.throwIfAborted(signal);
+
       // When creating a new DocDB when one is not provided optionally also attach an eventbus.
       docDB = docDB ? docDB : this._eventbus.triggerSync('tjsdoc:system:docdb:create', { eventbus });
 
       if (typeof docDB !== 'object') { throw new TypeError(`'docDB' is not an 'object'.`); }
 
+      if (virtualID !== void 0)
+      {
+         const filePath = this.getVirtualFilePath(virtualID);
+
+         code = Object.assign({}, typeof code === 'string' ? { code } : code, { filePath });
+
+         this._virtualCode.set(filePath, code);
+      }
+
       this._resetAndTraverse(this._docGenerator, docDB, handleError, void 0, code, docFilter);
 
       return docDB;
@@ -119,7 +323,7 @@ export default class GenerateDocData
    /**
     * Generates doc data from a source file path and supporting data.
     *
-    * @param {string}         filePath - Doc data is generated from this file path.
+    * @param {string}         filePath - Doc data is generated from this file path or virtual file path.
     *
     * @param {DocDB}          [docDB] - The target DocDB instance; or one will be created.
     *
@@ -133,50 +337,92 @@ export default class GenerateDocData
     *
     * @param {boolean}        [silent=false] - If true a log statement is not emitted.
     *
+    * @param {AbortSignal}    [signal] - An optional signal; an {@link AbortError} is thrown if aborted before
+    *                                    generation.
+    *
     * @returns {*}
     */
    generateSourceDocData({ filePath = void 0, docDB = void 0, eventbus = void 0, handleError = 'throw',
-    docFilter = void 0, silent = false } = {})
+    docFilter = void 0, silent = false, signal = void 0 } = {})
    {
       if (typeof filePath !== 'string') { throw new TypeError(`'filePath' is not a 'string'.`); }
       if (typeof handleError !== 'string') { throw new TypeError(`'handleError' is not a 'string'.`); }
 
+      AbortError.throwIfAborted(signal);
+
       docDB = docDB ? docDB : this._eventbus.triggerSync('tjsdoc:system:docdb:create', { eventbus });
 
       if (typeof docDB !== 'object') { throw new TypeError(`'docDB' is not an 'object'.`); }
 
-      const relativeFilePath = path.relative(this._mainConfig._dirPath, filePath);
+      // Virtual code is generated from the code retained by `generateCodeDocData`.
+      if (filePath.startsWith(s_VIRTUAL_PREFIX))
+      {
+         const code = this._virtualCode.get(filePath);
 
-      let match = false;
+         if (!code) { throw new Error(`tjsdoc-docdb-generate - no virtual code for: ${filePath}`); }
 
-      // Match filePath against any includes / excludes RegExp instance.
-      for (const reg of this._mainConfig._includes)
-      {
-         if (relativeFilePath.match(reg))
-         {
-            match = true;
-            break;
-         }
+         if (!silent) { this._eventbus.trigger('log:info:raw', `tjsdoc-docdb-generate - parse: ${filePath}`); }
+
+         this._resetAndTraverse(this._docGenerator, docDB, handleError, void 0, code, docFilter);
+
+         return docDB;
       }
 
-      if (!match) { return void 0; }
+      const relativeFilePath = path.relative(this._mainConfig._dirPath, filePath);
 
-      for (const reg of this._mainConfig._excludes)
+      // Match filePath against the includes / excludes entries.
+      if (!this._sourceMatcher.match(relativeFilePath))
       {
-         if (relativeFilePath.match(reg)) { return void 0; }
+         return void 0;
       }
 
-      if (!silent) { this._eventbus.trigger('log:info:raw', `tjsdoc-docdb-generate - parse: ${filePath}`); }
-
-      this._resetAndTraverse(this._docGenerator, docDB, handleError, filePath, void 0, docFilter);
+      this._generateFile('source', this._docGenerator, docDB, handleError, filePath, docFilter, silent);
 
       return docDB;
    }
 
    /**
-    * Generates doc data from a file path and supporting data.
+    * Generates doc data from several source file paths or glob patterns. Relative file paths are resolved and glob
+    * patterns are expanded relative to the target project root path; see {@link GlobUtil}. When the worker pool size is
+    * greater than 0 and worker threads are available files are parsed and traversed by a pool of worker threads then
+    * inserted into the target DocDB in the order of the given file paths as each is completed. Otherwise each file is
+    * generated sequentially.
     *
-    * @param {string}         filePath - Doc data is generated from this file path.
+    * After each file is processed `tjsdoc:system:generate:progress` is triggered with the following data:
+    *
+    * `index` - The zero based index of the file.
+    *
+    * `total` - The total number of files after glob expansion.
+    *
+    * `filePath` - The file path.
+    *
+    * `status` - `parsed`, `cached` when loaded from the cache, `skipped` when not matched by includes / excludes or
+    * `failed` when a parser error or an error generating a file in a worker thread is logged.
+    *
+    * `time` - The processing time in milliseconds.
+    *
+    * Log statements for each file may be disabled with `silent` when displaying progress.
+    *
+    * The returned summary contains the following entries:
+    *
+    * `docDB` - The target DocDB.
+    *
+    * `total` - The total number of files after glob expansion.
+    *
+    * `parsed`, `cached`, `skipped` - Arrays of the file paths with each status.
+    *
+    * `failed` - An array of `{ filePath, error }` for each file with a parser error or, when generated in a worker
+    * thread, any other error generating the file.
+    *
+    * `timings` - `{ total, files }` where `total` is the elapsed time in milliseconds and `files` is an object hash of
+    * file path to processing time in milliseconds.
+    *
+    * When a `signal` is given the batch is cancelled when it is aborted. The signal is checked before each file and any
+    * worker threads are terminated once it is aborted. The doc data of a cancelled batch is inserted in a DocDB
+    * transaction which is rolled back leaving the DocDB unchanged before an {@link AbortError} is thrown. When a
+    * transaction is already active for the DocDB rolling back is left to its owner.
+    *
+    * @param {string[]}       filePaths - Doc data is generated from these file paths or glob patterns.
     *
     * @param {DocDB}          [docDB] - The target DocDB instance; or one will be created.
     *
@@ -185,131 +431,1027 @@ export default class GenerateDocData
     * @param {string}         [handleError='throw'] - Determines how to handle errors. Options are `log` and `throw`
     *                                                 with the default being to throw any errors encountered.
     *
-    * @param {function}       [docFilter] - An optional function invoked with the static doc before inserting into the
+    * @param {function}       [docFilter] - An optional function invoked with each DocObject before inserting into the
     *                                       given DocDB.
     *
-    * @param {boolean}        [silent=false] - If true a log statement is not emitted.
+    * @param {boolean}        [silent=false] - If true log statements are not emitted.
     *
-    * @returns {*}
+    * @param {number}         [poolSize] - The worker thread pool size; defaults to `runtimeOptions.generateWorkers`.
+    *
+    * @param {AbortSignal}    [signal] - An optional signal to cancel the batch.
+    *
+    * @returns {Promise<object>} The batch summary.
     */
-   generateTestDocData({ filePath = void 0, docDB = void 0, eventbus = void 0, handleError = 'throw',
-    docFilter = void 0, silent = false } = {})
+   async generateSourceDocDataBatch({ filePaths = void 0, docDB = void 0, eventbus = void 0, handleError = 'throw',
+    docFilter = void 0, silent = false, poolSize = this._workerPoolSize, signal = void 0 } = {})
    {
-      if (typeof filePath !== 'string') { throw new TypeError(`'filePath' is not a 'string'.`); }
+      if (!Array.isArray(filePaths)) { throw new TypeError(`'filePaths' is not an 'array'.`); }
       if (typeof handleError !== 'string') { throw new TypeError(`'handleError' is not a 'string'.`); }
+      if (!Number.isInteger(poolSize) || poolSize < 0)
+      {
+         throw new TypeError(`'poolSize' is not a positive 'integer'.`);
+      }
+
+      AbortError.throwIfAborted(signal);
+
+      const startTime = Date.now();
 
       docDB = docDB ? docDB : this._eventbus.triggerSync('tjsdoc:system:docdb:create', { eventbus });
 
       if (typeof docDB !== 'object') { throw new TypeError(`'docDB' is not an 'object'.`); }
 
-      const relativeFilePath = path.relative(this._mainConfig._dirPath, filePath);
+      const expandedFilePaths = this._expandFilePaths(filePaths);
+
+      const summary = {
+         docDB,
+         total: expandedFilePaths.length,
+         parsed: [],
+         cached: [],
+         skipped: [],
+         failed: [],
+         timings: { total: 0, files: {} }
+      };
+
+      const report = (index, filePath, { status, parserError, error }, time) =>
+      {
+         if (status === 'failed') { summary.failed.push({ filePath, error: parserError || error }); }
+         else { summary[status].push(filePath); }
+
+         summary.timings.files[filePath] = time;
+
+         this._eventbus.trigger('tjsdoc:system:generate:progress',
+          { index, total: summary.total, filePath, status, time });
+      };
+
+      if (poolSize > 0 && !s_WORKER)
+      {
+         this._eventbus.trigger('log:warn', 'tjsdoc-docdb-generate - worker threads are not available; generating '
+          + 'sequentially.');
+      }
+      else if (poolSize > 0 && s_BABEL_REGISTER_PATH === null)
+      {
+         this._eventbus.trigger('log:warn', `tjsdoc-docdb-generate - worker threads require 'babel-register' when `
+          + 'running from source; generating sequentially.');
+      }
+
+      // A cancelled batch is rolled back unless the caller already owns a transaction.
+      const transaction = signal !== void 0 && signal !== null && !docDB.isTransactionActive();
+
+      if (transaction) { docDB.beginTransaction(); }
+
+      // Notify all doc data inserted for the batch as a single change.
+      docDB.beginChangeBatch();
+
+      try
+      {
+         if (poolSize === 0 || !s_WORKER || s_BABEL_REGISTER_PATH === null || expandedFilePaths.length < 2)
+         {
+            expandedFilePaths.forEach((filePath, index) =>
+            {
+               AbortError.throwIfAborted(signal);
+
+               const fileStartTime = Date.now();
 
-      let match = false;
+               const relativeFilePath = path.relative(this._mainConfig._dirPath, filePath);
+
+               const result = this._sourceMatcher.match(relativeFilePath) ? this._generateFile('source',
+                this._docGenerator, docDB, handleError, filePath, docFilter, silent) : { status: 'skipped' };
+
+               report(index, filePath, result, Date.now() - fileStartTime);
+            });
+         }
+         else
+         {
+            await this._generateWorkerBatch(expandedFilePaths, docDB, handleError, docFilter, silent, poolSize,
+             report, signal);
+         }
 
-      for (const reg of this._mainConfig.test._includes)
+         if (transaction) { docDB.commitTransaction(); }
+      }
+      catch (err)
       {
-         if (relativeFilePath.match(reg))
+         if (transaction)
+         {
+            if (AbortError.isAbortError(err)) { docDB.rollbackTransaction(); }
+            else { docDB.commitTransaction(); }
+         }
+
+         if (AbortError.isAbortError(err) && !silent)
          {
-            match = true;
-            break;
+            this._eventbus.trigger('log:info:raw', `tjsdoc-docdb-generate - batch: cancelled after ${
+             Object.keys(summary.timings.files).length} of ${summary.total} files`);
          }
+
+         throw err;
+      }
+      finally
+      {
+         docDB.endChangeBatch();
       }
 
-      if (!match) { return void 0; }
+      summary.timings.total = Date.now() - startTime;
 
-      for (const reg of this._mainConfig.test._excludes)
+      if (!silent)
       {
-         if (relativeFilePath.match(reg)) { return void 0; }
+         this._eventbus.trigger('log:info:raw', `tjsdoc-docdb-generate - batch: ${summary.parsed.length} parsed, ${
+          summary.cached.length} cached, ${summary.skipped.length} skipped, ${summary.failed.length} failed (${
+           summary.timings.total}ms)`);
       }
 
-      if (!silent) { this._eventbus.trigger('log:info:raw', `tjsdoc-docdb-generate - parse: ${filePath}`); }
+      return summary;
+   }
 
-      this._resetAndTraverse(this._testDocGenerator, docDB, handleError, filePath, void 0, docFilter);
+   /**
+    * Resolves file paths and expands any glob patterns relative to the target project root path removing duplicate
+    * file paths.
+    *
+    * @param {string[]} filePaths - File paths or glob patterns.
+    *
+    * @returns {string[]}
+    * @private
+    */
+   _expandFilePaths(filePaths)
+   {
+      const expanded = new Set();
 
-      return docDB;
+      for (const filePath of filePaths)
+      {
+         if (typeof filePath !== 'string') { throw new TypeError(`'filePaths' entry is not a 'string'.`); }
+
+         if (GlobUtil.isGlob(filePath))
+         {
+            for (const globFilePath of GlobUtil.expand(filePath, this._rootPath)) { expanded.add(globFilePath); }
+         }
+         else
+         {
+            expanded.add(path.resolve(this._rootPath, filePath));
+         }
+      }
+
+      return Array.from(expanded);
    }
 
    /**
-    * Resets the given static doc generator and traverses the AST for doc object / DocDB insertion.
+    * Generates doc data for the given source file paths with a pool of worker threads. Files not matched by includes /
+    * excludes are skipped and files with valid cache entries are loaded from the cache. Each file is inserted into the
+    * target DocDB and reported once all preceding files are inserted so that `__docId__` values are assigned in the
+    * same order as sequential generation.
     *
-    * @param {DocGenerator|TestDocGenerator} docGenerator - Target doc generator to reset.
+    * @param {string[]}    filePaths - The source file paths.
     *
-    * @param {DocDB}                         docDB - Target DocDB.
+    * @param {DocDB}       docDB - Target DocDB.
     *
-    * @param {string}                        handleError - 'log' or 'throw' determines how any errors are handled.
+    * @param {string}      handleError - 'log' or 'throw' determines how any errors are handled.
     *
-    * @param {string|undefined}              filePath - Target file path.
+    * @param {function}    [docFilter] - An optional function invoked with each DocObject before inserting into the
+    *                                    given DocDB.
     *
-    * @param {string}                        [code] - Target in memory code.
+    * @param {boolean}     silent - If true log statements are not emitted.
     *
-    * @param {function}                      [docFilter] - An optional function invoked with the static doc before
-    *                                                      inserting into the given DocDB.
+    * @param {number}      poolSize - The maximum worker thread pool size.
+    *
+    * @param {function}    report - Invoked with the index, file path, result and time of each processed file.
+    *
+    * @param {AbortSignal} [signal] - An optional signal checked before each file is inserted.
     *
-    * @returns {*}
     * @private
     */
-   _resetAndTraverse(docGenerator, docDB, handleError, filePath, code, docFilter)
+   async _generateWorkerBatch(filePaths, docDB, handleError, docFilter, silent, poolSize, report, signal)
    {
-      let ast;
-      let actualCode;
+      // DocObjects generated with a doc filter are not cached.
+      const cache = typeof docFilter !== 'function' ? this._cache : void 0;
 
-      if (code)
+      const entries = filePaths.map((filePath) =>
       {
-         filePath = 'unknown';
+         const relativeFilePath = path.relative(this._mainConfig._dirPath, filePath);
 
-         let message;
+         if (!this._sourceMatcher.match(relativeFilePath)) { return { filePath, skipped: true }; }
 
-         if (typeof code === 'string') { actualCode = code; }
+         const content = cache ? s_READ_FILE(filePath) : void 0;
 
-         // A code instance can be an object with an optional message to be displayed with any error.
-         if (typeof code === 'object')
+         const docs = typeof content === 'string' ? cache.get(relativeFilePath, content, 'source') : void 0;
+
+         return { filePath, relativeFilePath, content, docs };
+      });
+
+      const misses = entries.filter((entry) => !entry.skipped && !entry.docs);
+
+      let nextIndex = 0;
+
+      // Inserts and reports all completed entries which follow the last inserted entry.
+      const insertCompleted = () =>
+      {
+         for (; nextIndex < entries.length; nextIndex++)
          {
-            if (typeof code.code === 'string') { actualCode = code.code; }
-            if (typeof code.message === 'string') { message = code.message; }
-            if (typeof code.filePath === 'string') { filePath = code.filePath; }
+            const entry = entries[nextIndex];
+
+            if (!entry.skipped && !entry.docs && !entry.result) { break; }
+
+            AbortError.throwIfAborted(signal);
+
+            const insertStartTime = Date.now();
+
+            const result = this._insertBatchEntry(entry, docDB, handleError, docFilter, silent, cache);
+
+            report(nextIndex, entry.filePath, result,
+             Date.now() - insertStartTime + (entry.result ? entry.result.time : 0));
          }
+      };
 
-         try
+      insertCompleted();
+
+      if (misses.length === 0) { return; }
+
+      // The cache is not used by workers as they do not filter DocObjects.
+      await s_RUN_WORKER_POOL(Math.min(poolSize, misses.length), misses.map((entry) => entry.filePath), {
+         mainConfig: Object.assign(s_CLONEABLE(this._mainConfig), { cacheDirectory: void 0 }),
+         packageObj: s_CLONEABLE(this._packageObj),
+         plugins: this._getWorkerPlugins()
+      }, (index, result) =>
+      {
+         misses[index].result = result;
+
+         insertCompleted();
+      }, signal);
+   }
+
+   /**
+    * Inserts a batch entry generated by a worker or loaded from the cache into the target DocDB caching any DocObjects
+    * generated by a worker.
+    *
+    * @param {object}      entry - The batch entry.
+    *
+    * @param {DocDB}       docDB - Target DocDB.
+    *
+    * @param {string}      handleError - 'log' or 'throw' determines how any errors are handled.
+    *
+    * @param {function}    [docFilter] - An optional function invoked with each DocObject before inserting into the
+    *                                    given DocDB.
+    *
+    * @param {boolean}     silent - If true log statements are not emitted.
+    *
+    * @param {DocDataCache} [cache] - The cache when enabled.
+    *
+    * @returns {{status: string, parserError: Error, error: Error}} The status is `skipped`, `cached`, `parsed` or
+    *                                                               `failed` when a parser error or worker error is
+    *                                                               logged.
+    * @private
+    */
+   _insertBatchEntry(entry, docDB, handleError, docFilter, silent, cache)
+   {
+      if (entry.skipped) { return { status: 'skipped' }; }
+
+      if (entry.docs)
+      {
+         if (!silent)
          {
-            ast = this._eventbus.triggerSync('tjsdoc:system:parser:code:source:parse', actualCode);
+            this._eventbus.trigger('log:info:raw', `tjsdoc-docdb-generate - cache hit: ${entry.filePath}`);
          }
-         catch (parserError)
-         {
-            switch (handleError)
-            {
-               case 'log':
-                  this._eventbus.trigger('tjsdoc:system:invalid:code:add',
-                   { code: actualCode, filePath, message, parserError });
-                  return void 0;
 
-               case 'throw':
-                  throw parserError;
-            }
-         }
+         this._insertDocObjects(docDB, entry.docs);
+
+         return { status: 'cached' };
       }
-      else
+
+      const result = entry.result;
+
+      if (!silent) { this._logParse(result.filePath); }
+
+      if (result.parserError)
       {
-         try
+         const parserError = s_DESERIALIZE_ERROR(result.parserError);
+
+         switch (handleError)
          {
-            ast = this._eventbus.triggerSync('tjsdoc:system:parser:code:file:parse', filePath);
+            case 'log':
+               this._eventbus.trigger('tjsdoc:system:invalid:code:add', { filePath: result.filePath, parserError });
+               return { status: 'failed', parserError };
+
+            case 'throw':
+               throw parserError;
          }
-         catch (parserError)
+      }
+
+      // Any other error generating the file in a worker is handled for the file alone.
+      if (result.error)
+      {
+         const error = s_DESERIALIZE_ERROR(result.error);
+
+         switch (handleError)
          {
-            switch (handleError)
-            {
-               case 'log':
-                  this._eventbus.trigger('tjsdoc:system:invalid:code:add', { filePath, parserError });
-                  return;
+            case 'log':
+               this._eventbus.trigger('tjsdoc:system:invalid:code:add', { filePath: result.filePath,
+                fatalError: error });
+               return { status: 'failed', error };
 
-               case 'throw':
-                  throw parserError;
-            }
+            case 'throw':
+               throw error;
          }
       }
 
-      this._pathResolver.setPathData(this._rootPath, filePath, this._packageName, this._mainFilePath);
+      // DocObjects are copied for the cache before insertion as plugins may modify them.
+      const cacheDocs = cache && typeof entry.content === 'string' ?
+       result.docs.map((docObject) => s_CLONE_CACHE_DOC(docObject)) : void 0;
 
-      docGenerator.resetAndTraverse({ ast, docDB, pathResolver: this._pathResolver, eventbus: this._eventbus,
-       handleError, docFilter, code: actualCode });
+      this._insertDocObjects(docDB, result.docs, docFilter);
+
+      if (cacheDocs) { cache.set(entry.relativeFilePath, entry.content, 'source', cacheDocs); }
+
+      return { status: 'parsed' };
    }
+
+   /**
+    * Generates doc data for a source or test file loading DocObjects from the cache when enabled and valid.
+    *
+    * @param {string}                        type - The generation type; `source` or `test`.
+    *
+    * @param {DocGenerator|TestDocGenerator} docGenerator - Target doc generator.
+    *
+    * @param {DocDB}                         docDB - Target DocDB.
+    *
+    * @param {string}                        handleError - 'log' or 'throw' determines how any errors are handled.
+    *
+    * @param {string}                        filePath - Target file path.
+    *
+    * @param {function}                      [docFilter] - An optional function invoked with the static doc before
+    *                                                      inserting into the given DocDB.
+    *
+    * @param {boolean}                       silent - If true a log statement is not emitted.
+    *
+    * @returns {{status: string, parserError: Error}} The status is `cached`, `parsed` or `failed` when a parser error
+    *                                                 is logged.
+    * @private
+    */
+   _generateFile(type, docGenerator, docDB, handleError, filePath, docFilter, silent)
+   {
+      // DocObjects generated with a doc filter are not cached.
+      const cache = typeof docFilter !== 'function' ? this._cache : void 0;
+
+      const relativeFilePath = path.relative(this._mainConfig._dirPath, filePath);
+
+      const content = cache ? s_READ_FILE(filePath) : void 0;
+
+      if (typeof content === 'string')
+      {
+         const cachedDocs = cache.get(relativeFilePath, content, type);
+
+         if (cachedDocs)
+         {
+            if (!silent) { this._eventbus.trigger('log:info:raw', `tjsdoc-docdb-generate - cache hit: ${filePath}`); }
+
+            this._insertDocObjects(docDB, cachedDocs);
+
+            return { status: 'cached' };
+         }
+      }
+
+      if (!silent) { this._logParse(filePath); }
+
+      if (typeof content !== 'string')
+      {
+         const parserError = this._resetAndTraverse(docGenerator, docDB, handleError, filePath, void 0, docFilter);
+
+         return { status: parserError ? 'failed' : 'parsed', parserError };
+      }
+
+      // Collect copies of the generated DocObjects before insertion as plugins may modify them.
+      const docs = [];
+
+      const parserError = this._resetAndTraverse(docGenerator, docDB, handleError, filePath, void 0, (docObject) =>
+      {
+         docs.push(s_CLONE_CACHE_DOC(docObject));
+         return true;
+      });
+
+      // Files with parser errors are not cached so that errors are reported on every run.
+      if (parserError) { return { status: 'failed', parserError }; }
+
+      cache.set(relativeFilePath, content, type, docs);
+
+      return { status: 'parsed' };
+   }
+
+   /**
+    * Returns the parser identity for the cache; the loaded runtime plugins and their versions along with the DocObject
+    * schema version.
+    *
+    * @returns {string}
+    * @private
+    */
+   _getParserIdentity()
+   {
+      const pluginData = this._eventbus.triggerSync('plugins:get:all:plugin:data') || [];
+
+      const plugins = pluginData.map((data) => `${data.plugin.name}:${data.plugin.target}:${
+       s_GET_MODULE_VERSION(data.plugin.target)}`);
+
+      return JSON.stringify({ plugins, schemaVersion: DocObjectSchema.version });
+   }
+
+   /**
+    * Returns the virtual file path for a virtual file ID.
+    *
+    * @param {string}   virtualID - A virtual file ID.
+    *
+    * @returns {string}
+    */
+   getVirtualFilePath(virtualID)
+   {
+      if (typeof virtualID !== 'string' || virtualID === '')
+      {
+         throw new TypeError(`'virtualID' is not a non-empty 'string'.`);
+      }
+
+      return `${s_VIRTUAL_PREFIX}${virtualID}`;
+   }
+
+   /**
+    * Inserts DocObjects generated by a worker or loaded from the cache into the target DocDB. Doc IDs are mapped to new
+    * doc IDs of the target DocDB in ascending order.
+    *
+    * @param {DocDB}       docDB - Target DocDB.
+    *
+    * @param {DocObject[]} docs - The DocObjects to insert.
+    *
+    * @param {function}    [docFilter] - An optional function invoked with each DocObject before inserting into the
+    *                                    given DocDB.
+    *
+    * @private
+    */
+   _insertDocObjects(docDB, docs, docFilter = void 0)
+   {
+      const docIDs = new Map(docs.map((doc) => doc.__docId__).filter((id) => typeof id === 'number')
+       .sort((a, b) => a - b).map((id) => [id, docDB.getCurrentIDAndIncrement()]));
+
+      // Notify all doc data inserted for the file as a single change.
+      docDB.beginChangeBatch();
+
+      try
+      {
+         for (const docObject of docs)
+         {
+            if (docIDs.has(docObject.__docId__)) { docObject.__docId__ = docIDs.get(docObject.__docId__); }
+
+            docDB.insertDocObject(docObject, docFilter);
+         }
+      }
+      finally
+      {
+         docDB.endChangeBatch();
+      }
+   }
+
+   /**
+    * Logs that a file is parsed noting a cache miss when the cache is enabled.
+    *
+    * @param {string}   filePath - The parsed file path.
+    *
+    * @private
+    */
+   _logParse(filePath)
+   {
+      this._eventbus.trigger('log:info:raw', `tjsdoc-docdb-generate - parse${this._cache ? ' (cache miss)' : ''}: ${
+       filePath}`);
+   }
+
+   /**
+    * Generates doc data from a file path and supporting data.
+    *
+    * @param {string}         filePath - Doc data is generated from this file path.
+    *
+    * @param {DocDB}          [docDB] - The target DocDB instance; or one will be created.
+    *
+    * @param {TyphonEvents}   [eventbus] - An eventbus instance to set for any created DocDB instance.
+    *
+    * @param {string}         [handleError='throw'] - Determines how to handle errors. Options are `log` and `throw`
+    *                                                 with the default being to throw any errors encountered.
+    *
+    * @param {function}       [docFilter] - An optional function invoked with the static doc before inserting into the
+    *                                       given DocDB.
+    *
+    * @param {boolean}        [silent=false] - If true a log statement is not emitted.
+    *
+    * @param {AbortSignal}    [signal] - An optional signal; an {@link AbortError} is thrown if aborted before
+    *                                    generation.
+    *
+    * @returns {*}
+    */
+   generateTestDocData({ filePath = void 0, docDB = void 0, eventbus = void 0, handleError = 'throw',
+    docFilter = void 0, silent = false, signal = void 0 } = {})
+   {
+      if (typeof filePath !== 'string') { throw new TypeError(`'filePath' is not a 'string'.`); }
+      if (typeof handleError !== 'string') { throw new TypeError(`'handleError' is not a 'string'.`); }
+
+      AbortError.throwIfAborted(signal);
+
+      docDB = docDB ? docDB : this._eventbus.triggerSync('tjsdoc:system:docdb:create', { eventbus });
+
+      if (typeof docDB !== 'object') { throw new TypeError(`'docDB' is not an 'object'.`); }
+
+      const relativeFilePath = path.relative(this._mainConfig._dirPath, filePath);
+
+      if (!this._testMatcher.match(relativeFilePath))
+      {
+         return void 0;
+      }
+
+      this._generateFile('test', this._testDocGenerator, docDB, handleError, filePath, docFilter, silent);
+
+      return docDB;
+   }
+
+   /**
+    * Returns the configs of the plugins loaded on the main thread to load in each worker. Plugins added as instances
+    * are skipped as they can not be transferred to a worker.
+    *
+    * @returns {Array<{name: string, target: string, options: object}>}
+    * @private
+    */
+   _getWorkerPlugins()
+   {
+      const pluginData = this._eventbus.triggerSync('plugins:get:all:plugin:data') || [];
+
+      return pluginData.filter((data) => data.plugin.type !== 'instance' && typeof data.plugin.target === 'string')
+       .map((data) => ({ name: data.plugin.name, target: data.plugin.target,
+        options: s_CLONEABLE(data.plugin.options) }));
+   }
+
+   /**
+    * Removes the retained code of a virtual file ID. The DocObjects of the virtual code are not removed from any DocDB;
+    * see {@link RegenerateDocData#removeCodeDocData}.
+    *
+    * @param {string}   virtualID - A virtual file ID.
+    *
+    * @returns {boolean} True if code was retained for the virtual file ID.
+    */
+   removeVirtualCode(virtualID)
+   {
+      return this._virtualCode.delete(this.getVirtualFilePath(virtualID));
+   }
+
+   /**
+    * Records the time of a generation phase with {@link GenerateProfiler} when profiling is enabled. Files are recorded
+    * by the file path relative to the root path which matches the `filePath` of their DocObjects.
+    *
+    * @param {string}   filePath - The file path or code file path to record.
+    *
+    * @param {string}   phase - The generation phase; `parse` or `traverse`.
+    *
+    * @param {number}   startTime - The start time of the phase from `s_NOW`.
+    *
+    * @private
+    */
+   _recordProfile(filePath, phase, startTime)
+   {
+      if (this._profile)
+      {
+         this._eventbus.trigger('tjsdoc:system:profile:record', { filePath, phase, time: s_NOW() - startTime });
+      }
+   }
+
+   /**
+    * Resets the given static doc generator and traverses the AST for doc object / DocDB insertion.
+    *
+    * @param {DocGenerator|TestDocGenerator} docGenerator - Target doc generator to reset.
+    *
+    * @param {DocDB}                         docDB - Target DocDB.
+    *
+    * @param {string}                        handleError - 'log' or 'throw' determines how any errors are handled.
+    *
+    * @param {string|undefined}              filePath - Target file path.
+    *
+    * @param {string}                        [code] - Target in memory code.
+    *
+    * @param {function}                      [docFilter] - An optional function invoked with the static doc before
+    *                                                      inserting into the given DocDB.
+    *
+    * @returns {Error|undefined} Any parser error logged when `handleError` is `log`.
+    * @private
+    */
+   _resetAndTraverse(docGenerator, docDB, handleError, filePath, code, docFilter)
+   {
+      let ast;
+      let actualCode;
+
+      if (code)
+      {
+         filePath = 'unknown';
+
+         let message;
+
+         if (typeof code === 'string') { actualCode = code; }
+
+         // A code instance can be an object with an optional message to be displayed with any error.
+         if (typeof code === 'object')
+         {
+            if (typeof code.code === 'string') { actualCode = code.code; }
+            if (typeof code.message === 'string') { message = code.message; }
+            if (typeof code.filePath === 'string') { filePath = code.filePath; }
+         }
+
+         try
+         {
+            const startTime = s_NOW();
+
+            ast = this._eventbus.triggerSync('tjsdoc:system:parser:code:source:parse', actualCode);
+
+            this._recordProfile(filePath, 'parse', startTime);
+         }
+         catch (parserError)
+         {
+            switch (handleError)
+            {
+               case 'log':
+                  this._eventbus.trigger('tjsdoc:system:invalid:code:add',
+                   { code: actualCode, filePath, message, parserError });
+                  return parserError;
+
+               case 'throw':
+                  throw parserError;
+            }
+         }
+      }
+      else
+      {
+         try
+         {
+            const startTime = s_NOW();
+
+            ast = this._eventbus.triggerSync('tjsdoc:system:parser:code:file:parse', filePath);
+
+            this._recordProfile(path.relative(this._rootPath, filePath), 'parse', startTime);
+         }
+         catch (parserError)
+         {
+            switch (handleError)
+            {
+               case 'log':
+                  this._eventbus.trigger('tjsdoc:system:invalid:code:add', { filePath, parserError });
+                  return parserError;
+
+               case 'throw':
+                  throw parserError;
+            }
+         }
+      }
+
+      this._pathResolver.setPathData(this._rootPath, filePath, this._packageName, this._mainFilePath);
+
+      // Notify all doc data inserted for the file as a single change.
+      docDB.beginChangeBatch();
+
+      const startTime = s_NOW();
+
+      try
+      {
+         docGenerator.resetAndTraverse({ ast, docDB, pathResolver: this._pathResolver, eventbus: this._eventbus,
+          handleError, docFilter, code: actualCode });
+      }
+      finally
+      {
+         docDB.endChangeBatch();
+
+         this._recordProfile(code ? filePath : path.relative(this._rootPath, filePath), 'traverse', startTime);
+      }
+
+      return void 0;
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * The resolved path of `babel-register` to bootstrap workers when running from source; undefined when running from
+ * `dist` and null when running from source and `babel-register` is not installed.
+ * @type {string|null|undefined}
+ */
+const s_BABEL_REGISTER_PATH = (() =>
+{
+   if (path.basename(path.resolve(__dirname, '..')) !== 'src') { return void 0; }
+
+   try
+   {
+      return require.resolve('babel-register');
+   }
+   catch (err)
+   {
+      return null;
+   }
+})();
+
+/**
+ * The worker thread Worker class or undefined when worker threads are not available in the current Node version.
+ * @type {Worker|undefined}
+ */
+const s_WORKER = (() =>
+{
+   try
+   {
+      return require('worker_threads').Worker;
+   }
+   catch (err)
+   {
+      return void 0;
+   }
+})();
+
+/**
+ * Returns a deep copy of a generated DocObject to cache before it is inserted and processed by plugins. File content
+ * and the AST are never retained on insertion so they are not cached. AST node data is cached as plugins may require it
+ * in `onHandleDocObject`; it is removed on insertion unless TJSDocConfig `outputASTData` is true.
+ *
+ * @param {DocObject}   docObject - A generated DocObject.
+ *
+ * @returns {DocObject}
+ */
+function s_CLONE_CACHE_DOC(docObject)
+{
+   const copy = Object.assign({}, docObject);
+
+   if (copy.content) { copy.content = ''; }
+
+   delete copy.ast;
+
+   return JSON.parse(JSON.stringify(copy));
+}
+
+/**
+ * Returns the cache config hash of the TJSDocConfig entries which affect generation and the target project package
+ * name and main file path. Absolute paths are made relative to the target project root path.
+ *
+ * @param {TJSDocConfig}   mainConfig - The target project TJSDocConfig.
+ *
+ * @param {string}         [packageName] - The target project NPM package name.
+ *
+ * @param {string}         [mainFilePath] - The target project NPM main file path.
+ *
+ * @returns {string}
+ */
+function s_CONFIG_HASH(mainConfig, packageName, mainFilePath)
+{
+   const config = {};
+
+   for (const key of Object.keys(mainConfig))
+   {
+      // Derived entries such as `_dirPath` and `_includes` are excluded.
+      if (!key.startsWith('_') && !s_CONFIG_HASH_EXCLUDES.includes(key)) { config[key] = mainConfig[key]; }
+   }
+
+   return DocDataCache.hash(JSON.stringify({ mainConfig: config, packageName, mainFilePath }, (key, value) =>
+   {
+      if (value instanceof RegExp) { return value.toString(); }
+
+      return typeof value === 'string' && path.isAbsolute(value) ? path.relative(mainConfig._dirPath, value) : value;
+   }));
+}
+
+/**
+ * The TJSDocConfig entries which do not affect generation and are excluded from the cache config hash.
+ * @type {string[]}
+ */
+const s_CONFIG_HASH_EXCLUDES = [
+   'apiSemverAllowOverBump', 'apiSemverBaseline', 'apiSemverFail', 'cacheDirectory', 'compactData', 'compressData',
+   'compressFormat', 'compressOutput', 'copyPackage', 'debug', 'destination', 'docCoverage', 'docCoverageAccess',
+   'docCoverageBaseline', 'docCoverageFiles', 'docCoverageKinds', 'docCoverageReporters', 'docCoverageThreshold',
+   'docStats', 'emptyDestination', 'fullStackTrace', 'index', 'logLevel', 'outputDocData', 'profile', 'publisher',
+   'publisherOptions', 'runtimeOptions', 'separateDataArchives', 'watch'
+];
+
+/**
+ * Creates a path matcher for the includes / excludes entries of a TJSDocConfig or test config. The original entries
+ * are used when available as they may contain glob patterns otherwise the RegExp instances `_includes` / `_excludes`.
+ *
+ * @param {object}   config - A TJSDocConfig or test config.
+ *
+ * @param {string}   includesKey - The config key of the include entries.
+ *
+ * @param {string}   excludesKey - The config key of the exclude entries.
+ *
+ * @returns {PathMatcher}
+ */
+function s_CREATE_PATH_MATCHER(config, includesKey, excludesKey)
+{
+   const select = (entries, regexes) => Array.isArray(entries) ? entries : Array.isArray(regexes) ? regexes : [];
+
+   return new PathMatcher({
+      includes: select(config.includes, config._includes),
+      excludes: select(config.excludes, config._excludes),
+      includesKey,
+      excludesKey
+   });
+}
+
+/**
+ * Defines the file path prefix for in memory code generated with a virtual file ID.
+ * @type {string}
+ */
+const s_VIRTUAL_PREFIX = 'virtual:';
+
+/**
+ * The worker thread entry point.
+ * @type {string}
+ */
+const s_WORKER_PATH = path.resolve(__dirname, 'GenerateDocDataWorker.js');
+
+/**
+ * Returns a copy of the given value which can be posted to a worker thread; functions are removed.
+ *
+ * @param {*}  value - The value to copy.
+ *
+ * @returns {*}
+ */
+function s_CLONEABLE(value)
+{
+   if (Array.isArray(value)) { return value.filter((entry) => typeof entry !== 'function').map(s_CLONEABLE); }
+
+   if (typeof value !== 'object' || value === null || value instanceof RegExp) { return value; }
+
+   const copy = {};
+
+   for (const key of Object.keys(value))
+   {
+      if (typeof value[key] !== 'function') { copy[key] = s_CLONEABLE(value[key]); }
+   }
+
+   return copy;
+}
+
+/**
+ * Creates a worker thread for the worker entry point bootstrapping `babel-register` first when running from source.
+ *
+ * @param {object}   workerData - The data posted to the worker; see {@link GenerateDocDataWorker}.
+ *
+ * @returns {Worker}
+ */
+function s_CREATE_WORKER(workerData)
+{
+   const Worker = s_WORKER;
+
+   if (typeof s_BABEL_REGISTER_PATH !== 'string') { return new Worker(s_WORKER_PATH, { workerData }); }
+
+   return new Worker(`require(${JSON.stringify(s_BABEL_REGISTER_PATH)});\nrequire(${JSON.stringify(s_WORKER_PATH)});`,
+    { eval: true, workerData });
+}
+
+/**
+ * Recreates an error serialized by a worker.
+ *
+ * @param {object}   serialized - The serialized error.
+ *
+ * @returns {Error}
+ */
+function s_DESERIALIZE_ERROR(serialized)
+{
+   const error = serialized.name === 'SyntaxError' ? new SyntaxError(serialized.message) :
+    new Error(serialized.message);
+
+   return Object.assign(error, serialized);
+}
+
+/**
+ * Returns the version of an installed module or an empty string when the target is not an installed module.
+ *
+ * @param {string}   target - A plugin target.
+ *
+ * @returns {string}
+ */
+function s_GET_MODULE_VERSION(target)
+{
+   try
+   {
+      return typeof target === 'string' ? require(`${target}/package.json`).version : '';
+   }
+   catch (err)
+   {
+      return '';
+   }
+}
+
+/**
+ * Returns a high resolution timestamp in milliseconds for profiling.
+ *
+ * @returns {number}
+ */
+function s_NOW()
+{
+   const [seconds, nanoseconds] = process.hrtime();
+
+   return (seconds * 1e3) + (nanoseconds / 1e6);
+}
+
+/**
+ * Reads a file returning undefined when it can not be read; parsing reports any error.
+ *
+ * @param {string}   filePath - The file path to read.
+ *
+ * @returns {string|undefined}
+ */
+function s_READ_FILE(filePath)
+{
+   try
+   {
+      return fs.readFileSync(filePath, 'utf8');
+   }
+   catch (err)
+   {
+      return void 0;
+   }
+}
+
+/**
+ * Runs a pool of worker threads generating doc data for the given file paths. Each worker processes one file at a time
+ * and receives the next file path when done. An error generating a file is passed to `onResult` for the file while an
+ * error initializing a worker, error thrown by `onResult` or aborting the optional signal terminates the pool.
+ *
+ * @param {number}   poolSize - The number of worker threads.
+ *
+ * @param {string[]} filePaths - The file paths to generate.
+ *
+ * @param {object}   workerData - The data posted to each worker; see {@link GenerateDocDataWorker}.
+ *
+ * @param {function} onResult - Invoked with the file path index and `{ filePath, docs, parserError, error, time }` as
+ *                              each file is completed.
+ *
+ * @param {AbortSignal} [signal] - An optional signal; when aborted the pool is rejected with an {@link AbortError}.
+ *
+ * @returns {Promise} Resolved when all files are completed.
+ */
+function s_RUN_WORKER_POOL(poolSize, filePaths, workerData, onResult, signal = void 0)
+{
+   return new Promise((resolve, reject) =>
+   {
+      const workers = [];
+
+      let completed = 0;
+      let done = false;
+      let nextIndex = 0;
+
+      // Only signals which dispatch an `abort` event terminate the pool immediately; others are checked by `onResult`.
+      const listenAbort = signal && typeof signal.addEventListener === 'function';
+
+      const onAbort = () => finish(new AbortError(void 0, signal.reason));
+
+      const finish = (error) =>
+      {
+         if (done) { return; }
+
+         done = true;
+
+         if (listenAbort) { signal.removeEventListener('abort', onAbort); }
+
+         for (const worker of workers) { worker.terminate(); }
+
+         if (error) { reject(error); }
+         else { resolve(); }
+      };
+
+      if (listenAbort) { signal.addEventListener('abort', onAbort); }
+
+      const postNext = (worker) =>
+      {
+         if (nextIndex < filePaths.length)
+         {
+            worker.postMessage({ index: nextIndex, filePath: filePaths[nextIndex] });
+            nextIndex++;
+         }
+      };
+
+      for (let cntr = 0; cntr < poolSize; cntr++)
+      {
+         const worker = s_CREATE_WORKER(workerData);
+
+         workers.push(worker);
+
+         worker.on('message', (message) =>
+         {
+            // Only initialization errors do not have a file path index.
+            if (message.error && typeof message.index !== 'number')
+            {
+               return finish(s_DESERIALIZE_ERROR(message.error));
+            }
+
+            if (message.ready) { return postNext(worker); }
+
+            try
+            {
+               onResult(message.index, message);
+            }
+            catch (err)
+            {
+               return finish(err);
+            }
+
+            if (++completed === filePaths.length) { return finish(); }
+
+            postNext(worker);
+         });
+
+         worker.on('error', finish);
+
+         worker.on('exit', (code) =>
+         {
+            if (!done) { finish(new Error(`tjsdoc-docdb-generate - worker exited with code: ${code}`)); }
+         });
+      }
+   });
 }
@@ -0,0 +1,130 @@
+import TyphonEvents      from 'backbone-esnext-events';
+import PluginManager     from 'typhonjs-plugin-manager';
+import { parentPort,
+         workerData }    from 'worker_threads';
+
+import { DocDB }         from '../doc/DocDB.js';
+
+/**
+ * Provides the worker thread entry point for {@link GenerateDocData#generateSourceDocDataBatch}. Each worker loads the
+ * runtime plugins of the main thread into its own plugin manager then parses and traverses the source files posted to
+ * it returning the generated DocObjects. The main thread inserts the DocObjects into the main DocDB so that
+ * `onHandleDocObject` is only invoked on the main thread.
+ *
+ * `workerData` contains the following entries:
+ *
+ * `mainConfig` - The target project TJSDocConfig.
+ *
+ * `packageObj` - The target project package.json object.
+ *
+ * `plugins` - The plugin configs to load.
+ *
+ * Each task posted is `{ index, filePath }` and the worker responds with `{ index, filePath, docs, time }` where `time`
+ * is the generation time in milliseconds, any parser error is included as `parserError` and other errors as `error`.
+ */
+
+/**
+ * A DocDB which does not filter DocObjects on insertion so that the main thread receives DocObjects as generated
+ * including AST data.
+ */
+class WorkerDocDB extends DocDB
+{
+   /**
+    * Returns the DocObject unmodified.
+    *
+    * @param {DocObject}   doc - A DocObject.
+    *
+    * @returns {DocObject}
+    */
+   filterDoc(doc)
+   {
+      return doc;
+   }
+}
+
+const eventbus = new TyphonEvents();
+
+new PluginManager({ eventbus });
+
+s_INITIALIZE().catch((err) => parentPort.postMessage({ error: s_SERIALIZE_ERROR(err) }));
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Generates doc data for a posted task responding with the generated DocObjects in insertion order.
+ *
+ * @param {{index: number, filePath: string}}   task - The task to process.
+ */
+function s_HANDLE_TASK({ index, filePath })
+{
+   const docDB = new WorkerDocDB();
+
+   const startTime = Date.now();
+
+   let parserError;
+
+   const onInvalidCode = (data) => { parserError = data.parserError; };
+
+   eventbus.on('tjsdoc:system:invalid:code:add', onInvalidCode);
+
+   try
+   {
+      eventbus.triggerSync('tjsdoc:system:generate:source:doc:data', { filePath, docDB, handleError: 'log',
+       silent: true });
+
+      parentPort.postMessage({
+         index,
+         filePath,
+         docs: docDB.getSnapshot().docData,
+         parserError: parserError ? s_SERIALIZE_ERROR(parserError) : void 0,
+         time: Date.now() - startTime
+      });
+   }
+   catch (err)
+   {
+      parentPort.postMessage({ index, filePath, error: s_SERIALIZE_ERROR(err), time: Date.now() - startTime });
+   }
+   finally
+   {
+      eventbus.off('tjsdoc:system:invalid:code:add', onInvalidCode);
+   }
+}
+
+/**
+ * Loads the runtime plugins, invokes `onRuntimePreGenerateAsync` with the target project config then signals that the
+ * worker is ready for tasks.
+ */
+async function s_INITIALIZE()
+{
+   const { mainConfig, packageObj, plugins } = workerData;
+
+   await eventbus.triggerAsync('plugins:async:add:all', plugins);
+
+   await eventbus.triggerAsync('plugins:async:invoke:event', 'onRuntimePreGenerateAsync', void 0,
+    { docDB: new WorkerDocDB(), mainConfig, packageObj });
+
+   parentPort.on('message', s_HANDLE_TASK);
+
+   parentPort.postMessage({ ready: true });
+}
+
+/**
+ * Serializes an error for posting to the main thread retaining any own properties such as parser line and column.
+ *
+ * @param {Error}    error - The error to serialize.
+ *
+ * @returns {object}
+ */
+function s_SERIALIZE_ERROR(error)
+{
+   const serialized = { name: error.name, message: error.message, stack: error.stack };
+
+   for (const key of Object.keys(error))
+   {
+      const value = error[key];
+
+      if (value === null || ['boolean', 'number', 'string'].includes(typeof value)) { serialized[key] = value; }
+   }
+
+   return serialized;
+}
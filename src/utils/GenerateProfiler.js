@@ -0,0 +1,392 @@
+/**
+ * Profiles doc data generation per file. {@link GenerateDocData} records the parse and traverse phases of each file and
+ * {@link DocDB#insertDocObject} records the time of each plugin handling `onHandleDocObject` and the storage insert
+ * phase for each DocObject. Traverse time excludes plugin and insert time. Files generated by worker threads only
+ * record plugin and insert time as parsing and traversal occurs in the worker.
+ *
+ * After generation the slowest files are logged as a table along with the total time of each plugin. After publishing
+ * the full report is written as JSON via `tjsdoc:system:file:write` relative to the output destination.
+ *
+ * TJSDocConfig `profile` is either a boolean or an object with the following optional entries:
+ *
+ * `filePath` - The JSON file path relative to the output destination; default: `profile.json`.
+ *
+ * `log` - If true the slowest files and plugin times are logged; default: true.
+ *
+ * `top` - The number of slowest files to log; default: 10.
+ *
+ * Profiling is also enabled with default options when TJSDocConfig `debug` is true.
+ *
+ * The event bindings supported are:
+ *
+ * `tjsdoc:system:profile:log` - {@link GenerateProfiler#logReport}
+ *
+ * `tjsdoc:system:profile:record` - {@link GenerateProfiler#record}
+ *
+ * `tjsdoc:system:profile:report:get` - {@link GenerateProfiler#getReport}
+ *
+ * `tjsdoc:system:profile:reset` - {@link GenerateProfiler#reset}
+ *
+ * `tjsdoc:system:profile:write` - {@link GenerateProfiler#write}
+ *
+ * If neither TJSDocConfig `profile` or `debug` is enabled this plugin is not enabled.
+ */
+export default class GenerateProfiler
+{
+   /**
+    * Instantiates GenerateProfiler
+    */
+   constructor()
+   {
+      /**
+       * Stores the recorded phase times by file path.
+       * @type {Map<string, {docs: number, parse: number, traverse: number, plugins: object, insert: number}>}
+       * @private
+       */
+      this._files = new Map();
+   }
+
+   /**
+    * Returns whether profiling is enabled by a TJSDocConfig.
+    *
+    * @param {TJSDocConfig}   config - A TJSDocConfig.
+    *
+    * @returns {boolean}
+    */
+   static isEnabled(config)
+   {
+      return typeof s_GET_OPTIONS(config) === 'object';
+   }
+
+   /**
+    * Returns the profiling report. Each file entry has the time in milliseconds of each phase and the total; file
+    * entries are sorted by total time descending.
+    *
+    * @returns {{totals: object, plugins: object<string, number>, files: Array<object>}}
+    */
+   getReport()
+   {
+      const totals = { files: this._files.size, docs: 0, parse: 0, traverse: 0, plugins: 0, insert: 0, total: 0 };
+      const plugins = {};
+      const files = [];
+
+      for (const [filePath, entry] of this._files)
+      {
+         let pluginTotal = 0;
+
+         for (const name of Object.keys(entry.plugins))
+         {
+            pluginTotal += entry.plugins[name];
+            plugins[name] = (plugins[name] || 0) + entry.plugins[name];
+         }
+
+         // Traversal time includes plugin and insert time of each DocObject inserted during traversal.
+         const traverse = Math.max(0, entry.traverse - pluginTotal - entry.insert);
+
+         const file = {
+            filePath,
+            docs: entry.docs,
+            parse: s_ROUND(entry.parse),
+            traverse: s_ROUND(traverse),
+            plugins: s_ROUND_VALUES(entry.plugins),
+            insert: s_ROUND(entry.insert),
+            total: s_ROUND(entry.parse + traverse + pluginTotal + entry.insert)
+         };
+
+         totals.docs += entry.docs;
+         totals.parse += entry.parse;
+         totals.traverse += traverse;
+         totals.plugins += pluginTotal;
+         totals.insert += entry.insert;
+
+         files.push(file);
+      }
+
+      totals.total = totals.parse + totals.traverse + totals.plugins + totals.insert;
+
+      files.sort((a, b) => b.total - a.total || a.filePath.localeCompare(b.filePath));
+
+      const sortedPlugins = {};
+
+      for (const name of Object.keys(plugins).sort((a, b) => plugins[b] - plugins[a]))
+      {
+         sortedPlugins[name] = s_ROUND(plugins[name]);
+      }
+
+      return { totals: s_ROUND_VALUES(totals), plugins: sortedPlugins, files };
+   }
+
+   /**
+    * Logs the slowest files as a table followed by the total time of each plugin.
+    *
+    * @param {number}   [top=10] - The number of slowest files to log.
+    */
+   logReport({ top = s_DEFAULT_TOP } = {})
+   {
+      if (!Number.isInteger(top) || top < 1) { throw new TypeError(`'top' is not a positive 'integer'.`); }
+
+      const report = this.getReport();
+
+      if (report.files.length === 0) { return; }
+
+      const totals = report.totals;
+
+      this._eventbus.trigger('log:info:raw', `tjsdoc-generate-profiler - ${totals.files} files, ${totals.docs} docs: ${
+       s_FORMAT_TIME(totals.total)} (parse: ${s_FORMAT_TIME(totals.parse)}, traverse: ${
+        s_FORMAT_TIME(totals.traverse)}, plugins: ${s_FORMAT_TIME(totals.plugins)}, insert: ${
+         s_FORMAT_TIME(totals.insert)})`);
+
+      this._eventbus.trigger('log:info:raw', `tjsdoc-generate-profiler - slowest files (top ${
+       Math.min(top, report.files.length)} of ${report.files.length}):`);
+
+      this._eventbus.trigger('log:info:raw', s_FORMAT_ROW(['total', 'parse', 'traverse', 'plugins', 'insert', 'docs',
+       'file']));
+
+      for (const file of report.files.slice(0, top))
+      {
+         const pluginTotal = Object.keys(file.plugins).reduce((sum, name) => sum + file.plugins[name], 0);
+
+         this._eventbus.trigger('log:info:raw', s_FORMAT_ROW([s_FORMAT_TIME(file.total), s_FORMAT_TIME(file.parse),
+          s_FORMAT_TIME(file.traverse), s_FORMAT_TIME(pluginTotal), s_FORMAT_TIME(file.insert), `${file.docs}`,
+           file.filePath]));
+      }
+
+      const pluginNames = Object.keys(report.plugins);
+
+      if (pluginNames.length > 0)
+      {
+         this._eventbus.trigger('log:info:raw', 'tjsdoc-generate-profiler - onHandleDocObject time by plugin:');
+
+         for (const name of pluginNames)
+         {
+            this._eventbus.trigger('log:info:raw', `   ${s_FORMAT_TIME(report.plugins[name]).padStart(10)}  ${name}`);
+         }
+      }
+   }
+
+   /**
+    * Writes the report for TJSDocConfig `profile` after publishing.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    */
+   onHandlePostPublishAsync(ev)
+   {
+      const options = s_GET_OPTIONS(ev.data.mainConfig);
+
+      if (options) { this.write({ filePath: options.filePath, silent: ev.data.silent }); }
+   }
+
+   /**
+    * Wires up GenerateProfiler on the plugin eventbus.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    */
+   onPluginLoad(ev)
+   {
+      /**
+       * Stores the plugin eventbus proxy.
+       * @type {EventProxy}
+       */
+      this._eventbus = ev.eventbus;
+
+      this._eventbus.on('tjsdoc:system:profile:log', this.logReport, this);
+      this._eventbus.on('tjsdoc:system:profile:record', this.record, this);
+      this._eventbus.on('tjsdoc:system:profile:report:get', this.getReport, this);
+      this._eventbus.on('tjsdoc:system:profile:reset', this.reset, this);
+      this._eventbus.on('tjsdoc:system:profile:write', this.write, this);
+   }
+
+   /**
+    * Logs the report for TJSDocConfig `profile` after generation.
+    */
+   onRuntimeCompleteAsync()
+   {
+      if (this._options && this._options.log) { this.logReport({ top: this._options.top }); }
+   }
+
+   /**
+    * Resets any recorded times and stores the profile options of the TJSDocConfig.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    */
+   onRuntimePreGenerateAsync(ev)
+   {
+      /**
+       * The profile options from TJSDocConfig `profile` and `debug`.
+       * @type {{filePath: string, log: boolean, top: number}|undefined}
+       * @private
+       */
+      this._options = s_GET_OPTIONS(ev.data.mainConfig);
+
+      this.reset();
+   }
+
+   /**
+    * Records the time of a generation phase for a file.
+    *
+    * @param {string}   filePath - The file path of the generated doc data.
+    *
+    * @param {string}   phase - `parse`, `traverse`, `plugin` or `insert`.
+    *
+    * @param {number}   time - The phase time in milliseconds.
+    *
+    * @param {string}   [plugin] - The plugin name for the `plugin` phase.
+    */
+   record({ filePath = void 0, phase = void 0, time = void 0, plugin = void 0 } = {})
+   {
+      if (typeof filePath !== 'string') { throw new TypeError(`'filePath' is not a 'string'.`); }
+      if (typeof time !== 'number') { throw new TypeError(`'time' is not a 'number'.`); }
+
+      let entry = this._files.get(filePath);
+
+      if (!entry)
+      {
+         entry = { docs: 0, parse: 0, traverse: 0, plugins: {}, insert: 0 };
+         this._files.set(filePath, entry);
+      }
+
+      switch (phase)
+      {
+         case 'parse':
+         case 'traverse':
+            entry[phase] += time;
+            break;
+
+         case 'insert':
+            entry.docs++;
+            entry.insert += time;
+            break;
+
+         case 'plugin':
+            if (typeof plugin !== 'string') { throw new TypeError(`'plugin' is not a 'string'.`); }
+
+            entry.plugins[plugin] = (entry.plugins[plugin] || 0) + time;
+            break;
+
+         default:
+            throw new TypeError(`'phase' is not 'parse', 'traverse', 'plugin' or 'insert'.`);
+      }
+   }
+
+   /**
+    * Deletes all recorded times.
+    */
+   reset()
+   {
+      this._files.clear();
+   }
+
+   /**
+    * Writes the report as JSON.
+    *
+    * @param {string}   [filePath='profile.json'] - The file path relative to the output destination.
+    *
+    * @param {boolean}  [silent=false] - When false `output: <destPath>` is logged.
+    */
+   write({ filePath = s_DEFAULT_FILE_PATH, silent = false } = {})
+   {
+      if (typeof filePath !== 'string') { throw new TypeError(`'filePath' is not a 'string'.`); }
+
+      this._eventbus.trigger('tjsdoc:system:file:write', {
+         fileData: JSON.stringify(this.getReport(), null, 2),
+         filePath,
+         logPrepend: 'tjsdoc-generate-profiler - ',
+         silent
+      });
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Defines the default file path relative to the output destination.
+ * @type {string}
+ */
+const s_DEFAULT_FILE_PATH = 'profile.json';
+
+/**
+ * Defines the default number of slowest files to log.
+ * @type {number}
+ */
+const s_DEFAULT_TOP = 10;
+
+/**
+ * Formats a table row of the slowest files with right aligned times.
+ *
+ * @param {string[]} columns - The total, parse, traverse, plugins, insert, docs and file columns.
+ *
+ * @returns {string}
+ */
+function s_FORMAT_ROW(columns)
+{
+   return `${columns.slice(0, -1).map((column) => column.padStart(10)).join('')}  ${columns[columns.length - 1]}`;
+}
+
+/**
+ * Formats a time in milliseconds.
+ *
+ * @param {number}   time - A time in milliseconds.
+ *
+ * @returns {string}
+ */
+function s_FORMAT_TIME(time)
+{
+   return `${time.toFixed(1)}ms`;
+}
+
+/**
+ * Returns the profile options for TJSDocConfig `profile` and `debug` with defaults applied or undefined when not
+ * enabled.
+ *
+ * @param {TJSDocConfig}   config - A TJSDocConfig.
+ *
+ * @returns {{filePath: string, log: boolean, top: number}|undefined}
+ */
+function s_GET_OPTIONS(config)
+{
+   const profile = config.profile;
+
+   if (typeof profile === 'object' && profile !== null)
+   {
+      return {
+         filePath: typeof profile.filePath === 'string' ? profile.filePath : s_DEFAULT_FILE_PATH,
+         log: typeof profile.log === 'boolean' ? profile.log : true,
+         top: Number.isInteger(profile.top) ? profile.top : s_DEFAULT_TOP
+      };
+   }
+
+   if (profile === true || (profile !== false && config.debug === true))
+   {
+      return { filePath: s_DEFAULT_FILE_PATH, log: true, top: s_DEFAULT_TOP };
+   }
+
+   return void 0;
+}
+
+/**
+ * Rounds a time in milliseconds to microseconds.
+ *
+ * @param {number}   time - A time in milliseconds.
+ *
+ * @returns {number}
+ */
+function s_ROUND(time)
+{
+   return Math.round(time * 1000) / 1000;
+}
+
+/**
+ * Returns a copy of an object hash of numbers rounded to microseconds.
+ *
+ * @param {object<string, number>}  values - An object hash of numbers.
+ *
+ * @returns {object<string, number>}
+ */
+function s_ROUND_VALUES(values)
+{
+   const rounded = {};
+
+   for (const key of Object.keys(values)) { rounded[key] = s_ROUND(values[key]); }
+
+   return rounded;
+}
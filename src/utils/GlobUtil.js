@@ -0,0 +1,251 @@
+import fs   from 'fs';
+import path from 'path';
+
+/**
+ * Provides glob pattern matching and expansion of file paths relative to a root path. Patterns always use `/` as the
+ * path separator. The supported syntax is:
+ *
+ * `*` - Matches any characters except `/`.
+ *
+ * `**` - As a complete path segment matches zero or more directories.
+ *
+ * `?` - Matches any single character except `/`.
+ *
+ * `[abc]`, `[a-z]`, `[!abc]` - Matches a single character of a character class or with `!` or `^` not in the class.
+ *
+ * `{a,b}` - Matches any of the comma separated alternatives.
+ *
+ * Wildcards do not match the leading `.` of a file or directory name; IE `src/*.js` does not match `src/.eslintrc.js`.
+ */
+export default class GlobUtil
+{
+   /**
+    * Returns the absolute file paths sorted in ascending order which match the given glob pattern. A relative pattern
+    * is matched against file paths relative to `rootPath`. Only the directory formed by the leading pattern segments
+    * without glob characters is walked.
+    *
+    * @param {string}   pattern - A glob pattern.
+    *
+    * @param {string}   [rootPath=process.cwd()] - The path relative patterns are resolved against.
+    *
+    * @returns {string[]}
+    */
+   static expand(pattern, rootPath = process.cwd())
+   {
+      if (typeof pattern !== 'string') { throw new TypeError(`'pattern' is not a 'string'.`); }
+      if (typeof rootPath !== 'string') { throw new TypeError(`'rootPath' is not a 'string'.`); }
+
+      let normalized = s_NORMALIZE(pattern);
+
+      // Absolute patterns are matched relative to the file system root.
+      if (path.isAbsolute(normalized))
+      {
+         rootPath = path.parse(normalized).root;
+         normalized = normalized.slice(rootPath.length);
+      }
+
+      const regex = GlobUtil.toRegExp(normalized);
+      const segments = normalized.split('/');
+
+      const baseSegments = [];
+
+      for (const segment of segments.slice(0, -1))
+      {
+         if (GlobUtil.isGlob(segment)) { break; }
+
+         baseSegments.push(segment);
+      }
+
+      // Directories starting with `.` are only walked when the pattern explicitly names one.
+      const walkDotDirs = segments.some((segment) => segment.startsWith('.') && segment !== '.' && segment !== '..');
+
+      const filePaths = [];
+
+      s_WALK(path.resolve(rootPath, ...baseSegments), walkDotDirs, (filePath) =>
+      {
+         if (regex.test(path.relative(rootPath, filePath).split(path.sep).join('/'))) { filePaths.push(filePath); }
+      });
+
+      return filePaths.sort();
+   }
+
+   /**
+    * Returns whether the given string contains glob characters.
+    *
+    * @param {string}   pattern - A file path or glob pattern.
+    *
+    * @returns {boolean}
+    */
+   static isGlob(pattern)
+   {
+      return typeof pattern === 'string' && (/[*?[\]{}]/).test(pattern);
+   }
+
+   /**
+    * Converts a glob pattern to an anchored RegExp which matches `/` separated file paths.
+    *
+    * @param {string}   pattern - A glob pattern.
+    *
+    * @returns {RegExp}
+    */
+   static toRegExp(pattern)
+   {
+      if (typeof pattern !== 'string') { throw new TypeError(`'pattern' is not a 'string'.`); }
+
+      const glob = s_NORMALIZE(pattern);
+
+      let source = '';
+      let groupDepth = 0;
+
+      for (let cntr = 0; cntr < glob.length; cntr++)
+      {
+         const char = glob[cntr];
+         const segmentStart = cntr === 0 || glob[cntr - 1] === '/';
+
+         switch (char)
+         {
+            case '*':
+               if (glob[cntr + 1] === '*' && segmentStart && (cntr + 2 === glob.length || glob[cntr + 2] === '/'))
+               {
+                  if (cntr + 2 === glob.length)
+                  {
+                     source += '(?:(?!\\.)[^/]*(?:/(?!\\.)[^/]*)*)?';
+                     cntr += 1;
+                  }
+                  else
+                  {
+                     source += '(?:(?!\\.)[^/]*/)*';
+                     cntr += 2;
+                  }
+               }
+               else
+               {
+                  source += `${segmentStart ? '(?!\\.)' : ''}[^/]*`;
+
+                  while (glob[cntr + 1] === '*') { cntr++; }
+               }
+               break;
+
+            case '?':
+               source += `${segmentStart ? '(?!\\.)' : ''}[^/]`;
+               break;
+
+            case '[':
+            {
+               const end = glob.indexOf(']', cntr + 2);
+
+               if (end < 0)
+               {
+                  source += '\\[';
+                  break;
+               }
+
+               let charClass = glob.slice(cntr + 1, end).replace(/\\/g, '\\\\');
+
+               if (charClass.startsWith('!')) { charClass = `^${charClass.slice(1)}`; }
+
+               source += `[${charClass}]`;
+               cntr = end;
+               break;
+            }
+
+            case '{':
+               groupDepth++;
+               source += '(?:';
+               break;
+
+            case '}':
+               if (groupDepth > 0)
+               {
+                  groupDepth--;
+                  source += ')';
+               }
+               else
+               {
+                  source += '\\}';
+               }
+               break;
+
+            case ',':
+               source += groupDepth > 0 ? '|' : ',';
+               break;
+
+            default:
+               source += char.replace(/[\\^$.|+()[\]{}]/, '\\$&');
+               break;
+         }
+      }
+
+      // Close any unterminated alternatives.
+      source += ')'.repeat(groupDepth);
+
+      return new RegExp(`^${source}$`);
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Normalizes a glob pattern to `/` separators without a leading `./`.
+ *
+ * @param {string}   pattern - A glob pattern.
+ *
+ * @returns {string}
+ */
+function s_NORMALIZE(pattern)
+{
+   let normalized = path.sep === '\\' ? pattern.replace(/\\/g, '/') : pattern;
+
+   while (normalized.startsWith('./')) { normalized = normalized.slice(2); }
+
+   return normalized;
+}
+
+/**
+ * Recursively walks a directory invoking the callback with each file path.
+ *
+ * @param {string}   dirPath - The directory to walk.
+ *
+ * @param {boolean}  walkDotDirs - If true directories starting with `.` are walked.
+ *
+ * @param {function} callback - Invoked with each absolute file path.
+ */
+function s_WALK(dirPath, walkDotDirs, callback)
+{
+   let fileNames;
+
+   try
+   {
+      fileNames = fs.readdirSync(dirPath);
+   }
+   catch (err)
+   {
+      // Missing or unreadable directories have no matches.
+      return;
+   }
+
+   for (const fileName of fileNames.sort())
+   {
+      const filePath = path.join(dirPath, fileName);
+
+      let stat;
+
+      try
+      {
+         stat = fs.statSync(filePath);
+      }
+      catch (err)
+      {
+         continue;
+      }
+
+      if (stat.isDirectory())
+      {
+         if (walkDotDirs || !fileName.startsWith('.')) { s_WALK(filePath, walkDotDirs, callback); }
+      }
+      else if (stat.isFile())
+      {
+         callback(filePath);
+      }
+   }
+}
@@ -0,0 +1,137 @@
+/**
+ * Logs DocObjects which do not conform to {@link DocObjectSchema}. When TJSDocConfig `validateDocObjects` is true
+ * DocDB validates DocObjects on insertion and reports violations with `tjsdoc:system:invalid:doc:add`. Violations
+ * introduced while plugins handle a DocObject in `onHandleDocObject` are reported with the name of the first plugin
+ * after which they appear.
+ *
+ * The event bindings supported are:
+ *
+ * `tjsdoc:system:invalid:doc:add` - {@link InvalidDocLogger#addInvalidDoc}
+ *
+ * `tjsdoc:system:invalid:doc:get` - {@link InvalidDocLogger#getInvalidDocs}
+ *
+ * `tjsdoc:system:invalid:doc:log` - {@link InvalidDocLogger#logInvalidDocs}
+ *
+ * `tjsdoc:system:invalid:doc:reset` - {@link InvalidDocLogger#resetLog}
+ *
+ * If TJSDocConfig `validateDocObjects` is not true this plugin is not enabled.
+ */
+export default class InvalidDocLogger
+{
+   /**
+    * Instantiates InvalidDocLogger
+    */
+   constructor()
+   {
+      /**
+       * Stores invalid doc entries.
+       * @type {Array}
+       * @private
+       */
+      this._invalidDocs = [];
+   }
+
+   /**
+    * Adds an invalid doc entry.
+    *
+    * @param {object}   data - The invalid doc data.
+    *
+    * @property {string}   [kind] - The DocObject kind.
+    *
+    * @property {string}   [longname] - The DocObject longname.
+    *
+    * @property {string}   [filePath] - The DocObject file path.
+    *
+    * @property {number}   [lineNumber] - The DocObject line number.
+    *
+    * @property {string[]} [plugins] - The names of any plugins which introduced the violations.
+    *
+    * @property {Array<{field: string, message: string}>} violations - The schema violations.
+    */
+   addInvalidDoc(data = {})
+   {
+      if (typeof data !== 'object') { throw new TypeError(`'data' is not an 'object'.`); }
+      if (!Array.isArray(data.violations)) { throw new TypeError(`'data.violations' is not an 'array'.`); }
+
+      this._invalidDocs.push(Object.assign({ plugins: [] }, data));
+   }
+
+   /**
+    * Returns a copy of the invalid doc entries.
+    *
+    * @returns {Array<object>}
+    */
+   getInvalidDocs()
+   {
+      return this._invalidDocs.slice();
+   }
+
+   /**
+    * Logs all invalid doc entries and any plugins which introduced the violations.
+    *
+    * @param {boolean}  [reset=true] - If true the stored invalid doc entries are deleted after logging.
+    */
+   logInvalidDocs(reset = true)
+   {
+      if (this._invalidDocs.length > 0)
+      {
+         this._eventbus.trigger('log:warn:raw', '\n================================================');
+         this._eventbus.trigger('log:warn:raw', `[33mInvalidDocLogger warnings:[0m`);
+         this._eventbus.trigger('log:warn:raw', '================================================');
+
+         for (const entry of this._invalidDocs)
+         {
+            const location = typeof entry.filePath === 'string' ?
+             ` (${entry.filePath}${typeof entry.lineNumber === 'number' ? `:${entry.lineNumber}` : ''})` : '';
+
+            const source = entry.plugins.length > 0 ? `introduced by plugins: ${entry.plugins.join(', ')}` :
+             'generated';
+
+            this._eventbus.trigger('log:warn:raw',
+             `[33m${entry.kind} ${entry.longname}${location} - ${source}[0m`);
+
+            for (const violation of entry.violations)
+            {
+               this._eventbus.trigger('log:warn:raw', `[32m  ${violation.message}[0m`);
+            }
+         }
+      }
+
+      if (reset) { this._invalidDocs.length = 0; }
+   }
+
+   /**
+    * During the TJSDoc `onComplete` callback log any invalid docs.
+    */
+   onRuntimeCompleteAsync()
+   {
+      this.logInvalidDocs();
+   }
+
+   /**
+    * Wires up InvalidDocLogger on the plugin eventbus.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    */
+   onPluginLoad(ev)
+   {
+      /**
+       * Stores the plugin eventbus proxy.
+       * @type {EventProxy}
+       */
+      this._eventbus = ev.eventbus;
+
+      this._eventbus.on('tjsdoc:system:invalid:doc:add', this.addInvalidDoc, this);
+      this._eventbus.on('tjsdoc:system:invalid:doc:get', this.getInvalidDocs, this);
+      this._eventbus.on('tjsdoc:system:invalid:doc:log', this.logInvalidDocs, this);
+      this._eventbus.on('tjsdoc:system:invalid:doc:reset', this.resetLog, this);
+   }
+
+   /**
+    * Clears any logged invalid docs.
+    */
+   resetLog()
+   {
+      this._invalidDocs.length = 0;
+   }
+}
@@ -0,0 +1,216 @@
+import path     from 'path';
+
+import GlobUtil from './GlobUtil.js';
+
+/**
+ * Matches relative file paths against the include and exclude entries of a TJSDocConfig; IE `includes` / `excludes`
+ * or `test.includes` / `test.excludes`. Each entry is either a RegExp, a RegExp source string or a glob pattern string
+ * prefixed with `glob:`; see {@link GlobUtil}. A glob pattern may be negated by `!` after the prefix; IE
+ * `glob:!src/vendor/*.js`.
+ *
+ * A file path is included when it matches at least one include entry and no negated include entry. It is then excluded
+ * when it matches at least one exclude entry and no negated exclude entry. A negated exclude entry therefore includes
+ * files that an exclude entry would otherwise exclude.
+ *
+ * {@link PathMatcher#explain} returns the entries which included or excluded a file path.
+ */
+export default class PathMatcher
+{
+   /**
+    * Instantiates PathMatcher.
+    *
+    * @param {Array<string|RegExp>} [includes=[]] - The include entries.
+    *
+    * @param {Array<string|RegExp>} [excludes=[]] - The exclude entries.
+    *
+    * @param {string}               [includesKey='includes'] - The config key of the include entries for explanations.
+    *
+    * @param {string}               [excludesKey='excludes'] - The config key of the exclude entries for explanations.
+    */
+   constructor({ includes = [], excludes = [], includesKey = 'includes', excludesKey = 'excludes' } = {})
+   {
+      if (!Array.isArray(includes)) { throw new TypeError(`'includes' is not an 'array'.`); }
+      if (!Array.isArray(excludes)) { throw new TypeError(`'excludes' is not an 'array'.`); }
+
+      /**
+       * The include rules.
+       * @type {Array<{entry: string, glob: boolean, negated: boolean, regex: RegExp}>}
+       * @private
+       */
+      this._includes = includes.map(s_CREATE_RULE);
+
+      /**
+       * The exclude rules.
+       * @type {Array<{entry: string, glob: boolean, negated: boolean, regex: RegExp}>}
+       * @private
+       */
+      this._excludes = excludes.map(s_CREATE_RULE);
+
+      /**
+       * The config key of the include entries.
+       * @type {string}
+       * @private
+       */
+      this._includesKey = includesKey;
+
+      /**
+       * The config key of the exclude entries.
+       * @type {string}
+       * @private
+       */
+      this._excludesKey = excludesKey;
+   }
+
+   /**
+    * Compiles TJSDocConfig include / exclude entries to RegExp instances; IE for the `_includes` / `_excludes` entries
+    * of a TJSDocConfig. Glob patterns are compiled by {@link GlobUtil#toRegExp}. Negated glob patterns can not be
+    * represented in a list of RegExp instances matched independently, so they are omitted and only applied by
+    * PathMatcher.
+    *
+    * @param {Array<string|RegExp>} entries - The include / exclude entries.
+    *
+    * @returns {RegExp[]}
+    */
+   static compile(entries)
+   {
+      if (!Array.isArray(entries)) { throw new TypeError(`'entries' is not an 'array'.`); }
+
+      return entries.map(s_CREATE_RULE).filter((rule) => !rule.negated).map((rule) => rule.regex);
+   }
+
+   /**
+    * Returns whether a TJSDocConfig include / exclude entry is a valid RegExp, RegExp source string or glob pattern.
+    *
+    * @param {string|RegExp}  entry - An include / exclude entry.
+    *
+    * @returns {boolean}
+    */
+   static isValidEntry(entry)
+   {
+      try
+      {
+         s_CREATE_RULE(entry);
+         return true;
+      }
+      catch (err)
+      {
+         return false;
+      }
+   }
+
+   /**
+    * Explains whether a relative file path is included. The result contains the following entries:
+    *
+    * `included` - Whether the file path is included.
+    *
+    * `reason` - A readable reason naming the entries which included or excluded the file path.
+    *
+    * `include`, `includeNegation`, `exclude`, `excludeNegation` - The first entry of each type which matches the file
+    * path or undefined.
+    *
+    * @param {string}   relativeFilePath - The relative file path to match.
+    *
+    * @returns {object}
+    */
+   explain(relativeFilePath)
+   {
+      if (typeof relativeFilePath !== 'string') { throw new TypeError(`'relativeFilePath' is not a 'string'.`); }
+
+      const include = s_FIND_RULE(this._includes, relativeFilePath, false);
+      const includeNegation = s_FIND_RULE(this._includes, relativeFilePath, true);
+      const exclude = s_FIND_RULE(this._excludes, relativeFilePath, false);
+      const excludeNegation = s_FIND_RULE(this._excludes, relativeFilePath, true);
+
+      const result = { included: false, reason: '', include, includeNegation, exclude, excludeNegation };
+
+      if (!include)
+      {
+         result.reason = `not matched by any '${this._includesKey}' entry`;
+      }
+      else if (includeNegation)
+      {
+         result.reason = `'${this._includesKey}' entry '${include}' is negated by '${includeNegation}'`;
+      }
+      else if (exclude && !excludeNegation)
+      {
+         result.reason = `included by '${this._includesKey}' entry '${include}' then excluded by '${
+          this._excludesKey}' entry '${exclude}'`;
+      }
+      else
+      {
+         result.included = true;
+         result.reason = `included by '${this._includesKey}' entry '${include}'${exclude ? `; '${this._excludesKey}' `
+          + `entry '${exclude}' is negated by '${excludeNegation}'` : ''}`;
+      }
+
+      return result;
+   }
+
+   /**
+    * Returns whether a relative file path is included.
+    *
+    * @param {string}   relativeFilePath - The relative file path to match.
+    *
+    * @returns {boolean}
+    */
+   match(relativeFilePath)
+   {
+      return this.explain(relativeFilePath).included;
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Defines the prefix of glob pattern entries.
+ * @type {string}
+ */
+const s_GLOB_PREFIX = 'glob:';
+
+/**
+ * Creates a match rule for an include / exclude entry.
+ *
+ * @param {string|RegExp}  entry - An include / exclude entry.
+ *
+ * @returns {{entry: string, glob: boolean, negated: boolean, regex: RegExp}}
+ */
+function s_CREATE_RULE(entry)
+{
+   if (entry instanceof RegExp) { return { entry: entry.toString(), glob: false, negated: false, regex: entry }; }
+
+   if (typeof entry !== 'string') { throw new TypeError(`'entry' is not a 'string' or 'RegExp'.`); }
+
+   if (!entry.startsWith(s_GLOB_PREFIX)) { return { entry, glob: false, negated: false, regex: new RegExp(entry) }; }
+
+   let pattern = entry.slice(s_GLOB_PREFIX.length);
+
+   const negated = pattern.startsWith('!');
+
+   if (negated) { pattern = pattern.slice(1); }
+
+   if (pattern === '') { throw new TypeError(`'entry' glob pattern is empty.`); }
+
+   return { entry, glob: true, negated, regex: GlobUtil.toRegExp(pattern) };
+}
+
+/**
+ * Returns the entry of the first rule matching a relative file path.
+ *
+ * @param {object[]}   rules - The rules to match.
+ *
+ * @param {string}     relativeFilePath - The relative file path to match.
+ *
+ * @param {boolean}    negated - Whether to match negated or non-negated rules.
+ *
+ * @returns {string|undefined}
+ */
+function s_FIND_RULE(rules, relativeFilePath, negated)
+{
+   // Glob patterns always match `/` separated paths.
+   const globFilePath = relativeFilePath.split(path.sep).join('/');
+
+   const rule = rules.find((entry) => entry.negated === negated &&
+    (entry.glob ? globFilePath : relativeFilePath).match(entry.regex));
+
+   return rule ? rule.entry : void 0;
+}
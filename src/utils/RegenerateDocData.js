@@ -1,5 +1,11 @@
+import path           from 'path';
+
+import { AbortError } from './AbortError.js';
+
+import DocDBDiff      from '../doc/DocDBDiff.js';
+
 /**
- * Controls regenerating and merging new doc data for source and test files.
+ * Controls regenerating and merging new doc data for source and test files and in memory code with a virtual file ID.
  *
  * By default when regenerating new doc data the following generation options are set: `handleError='throw'` and
  * `silent=false`. This will cause an exception to be thrown on any doc parsing / generating errors and code logging is
@@ -8,16 +14,24 @@
  *
  * The event bindings supported are:
  *
+ * `tjsdoc:system:regenerate:code:doc:data` - {@link RegenerateDocData#regenerateCodeDocData}
+ *
+ * `tjsdoc:system:regenerate:code:doc:data:remove` - {@link RegenerateDocData#removeCodeDocData}
+ *
+ * `tjsdoc:system:regenerate:file:doc:data:remove` - {@link RegenerateDocData#removeFileDocData}
+ *
  * `tjsdoc:system:regenerate:source:doc:data` - {@link RegenerateDocData#regenerateSourceDocData}
  *
- * `tjsdoc:system:regenerate:source:doc:data` - {@link RegenerateDocData#regenerateTestDocData}
+ * `tjsdoc:system:regenerate:test:doc:data` - {@link RegenerateDocData#regenerateTestDocData}
  *
- * Each of these methods / event bindings takes the following object hash (only `filePath` is required):
+ * The source and test methods / event bindings take the following object hash (only `filePath` is required):
  * ```
  * {string}       filePath - Path to a file to regenerate (it may be relative).
  *
  * {boolean}      [dependent=true] - When set to false only the file requested is regenerated; by default any dependent
- *                                   files based on class hierarchy relationship are also regenerated.
+ *                                   files based on class hierarchy relationship are also regenerated. This includes
+ *                                   all files of direct and indirect subclasses and the files of direct super classes.
+ *                                   See {@link DocDB#findDependentFiles}.
  *
  * {DocDB}        [docDB=this._mainDocDB] - Defaults to the main runtime DocDB otherwise provide a target DocDB.
  *
@@ -30,15 +44,33 @@
  * {boolean}      [resolve=true] - By default after regenerating and merging the core doc resolver is triggered to
  *                                 resolve the new docs.
  *
+ * {AbortSignal}  [signal] - An optional signal to cancel regeneration; see {@link AbortError}.
+ *
  * {boolean}      [silent=false] - By default immediate logging will occur for each file processed.
  * ```
  *
- * It currently isn't possible to incrementally regenerate virtual in memory code as the merging process of regenerated
- * doc objects requires a file path.
+ * In memory code is regenerated with `code` and `virtualID` in place of `filePath`. The doc data of virtual code has
+ * the file path `virtual:<virtualID>` and is merged like a real file; the first regeneration of a virtual file ID
+ * simply inserts the doc data. Any dependent real files are regenerated from disk and dependent virtual code from the
+ * code last generated for its virtual file ID; see {@link GenerateDocData}. Virtual code is removed by virtual file ID
+ * with {@link RegenerateDocData#removeCodeDocData}.
+ *
+ * The file dependency graph is keyed by file paths relative to the target project root path, so absolute file paths
+ * are made relative to find dependent files and relative dependent file paths are resolved against the root path to
+ * regenerate them; see {@link DocDB#getFileDependencyGraph}.
  *
  * When regeneration for a file is requested a DocDB will be created for new doc data generated and inserted after
  * removing any doc data with matching file paths with the existing main DocDB.
  *
+ * Unless `silent` is true the identifiers added, removed and changed by regeneration are logged; see
+ * {@link DocDBDiff}.
+ *
+ * Replacing doc data and resolving occurs in a DocDB transaction (see {@link DocDB#beginTransaction}). If regeneration
+ * fails the previous doc data is restored, the failure is logged and the error is rethrown to the caller.
+ *
+ * When a `signal` is given it is checked before each file is generated, before the doc data is replaced and before the
+ * transaction is committed. If it is aborted the previous doc data is likewise restored and an {@link AbortError} is
+ * thrown; cancellation is not logged as a failure.
  */
 export default class RegenerateDocData
 {
@@ -56,18 +88,27 @@ export default class RegenerateDocData
       this._eventbus = ev.eventbus;
 
       // Add event bindings to regenerate source and test files.
+      this._eventbus.on('tjsdoc:system:regenerate:code:doc:data', this.regenerateCodeDocData, this);
+      this._eventbus.on('tjsdoc:system:regenerate:code:doc:data:remove', this.removeCodeDocData, this);
+      this._eventbus.on('tjsdoc:system:regenerate:file:doc:data:remove', this.removeFileDocData, this);
       this._eventbus.on('tjsdoc:system:regenerate:source:doc:data', this.regenerateSourceDocData, this);
       this._eventbus.on('tjsdoc:system:regenerate:test:doc:data', this.regenerateTestDocData, this);
    }
 
    /**
-    * Stores the main DocDB so that eventbus queries are reduced.
+    * Stores the main DocDB so that eventbus queries are reduced and the TJSDocConfig for the target project root path.
     *
     * @param {PluginEvent} ev - The plugin event.
     */
    onRuntimePreGenerateAsync(ev)
    {
       this._mainDocDB = ev.data.docDB;
+
+      /**
+       * @type {TJSDocConfig}
+       * @private
+       */
+      this._mainConfig = ev.data.mainConfig;
    }
 
    /**
@@ -78,6 +119,10 @@ export default class RegenerateDocData
     *
     * @param {string}       filePath - Path to a file to regenerate (it may be relative).
     *
+    * @param {string|object} [code] - In memory code to regenerate when `event` generates code.
+    *
+    * @param {string}       [virtualID] - The virtual file ID of any in memory code.
+    *
     * @param {boolean}      [dependent=true] - When set to false only the file requested is regenerated; by default any
     *                                          dependent files based on class hierarchy relationship are also
     *                                          regenerated.
@@ -95,13 +140,16 @@ export default class RegenerateDocData
     * @param {boolean}      [resolve=true] - By default after regenerating and merging the core doc resolver is
     *                                        triggered to resolve the new docs.
     *
+    * @param {AbortSignal}  [signal] - An optional signal to cancel regeneration.
+    *
     * @param {boolean}      [silent=false] - By default immediate logging will occur for each file processed.
     *
     * @returns {string[]}
     * @private
     */
-   _regenerateDocData(event, { dependent = true, docDB = this._mainDocDB, eventbus = this._eventbus, filePath,
-    handleError = 'throw', docFilter = void 0, resolve = true, silent = false } = {})
+   _regenerateDocData(event, { code = void 0, dependent = true, docDB = this._mainDocDB, eventbus = this._eventbus,
+    filePath, handleError = 'throw', docFilter = void 0, resolve = true, signal = void 0, silent = false,
+     virtualID = void 0 } = {})
    {
       if (typeof filePath !== 'string') { throw new TypeError(`'filePath' is not a 'string'.`); }
       if (typeof handleError !== 'string') { throw new TypeError(`'handleError' is not a 'string'.`); }
@@ -109,41 +157,170 @@ export default class RegenerateDocData
       // Create a DocDB to store regenerated docs and set mode to `regenerate`.
       const regenDocDB = this._eventbus.triggerSync('tjsdoc:system:docdb:create', { eventbus, mode: 'regenerate' });
 
-      const generateOptions = { docDB: regenDocDB, eventbus, filePath, handleError, silent, docFilter };
+      const generateOptions = { code, docDB: regenDocDB, eventbus, filePath, handleError, signal, silent, docFilter,
+       virtualID };
 
-      generateOptions.docDB = this._eventbus.triggerSync(event, generateOptions);
+      const rootPath = this._mainConfig ? this._mainConfig._dirPath : process.cwd();
 
-      if (dependent)
-      {
-         docDB.findDependentFiles(filePath).forEach((path) =>
-         {
-            generateOptions.filePath = path;
+      // The file dependency graph is keyed by relative file paths.
+      const relativeFilePath = path.isAbsolute(filePath) ? path.relative(rootPath, filePath) : filePath;
 
-            this._eventbus.trigger(event, generateOptions);
-         });
-      }
+      let filePaths, previousDocs, regenFilePaths;
 
-      // Remove old doc data for all distinct file paths in docDB and insert all new doc data.
-      const filePaths = docDB.removeAndInsertDB(generateOptions.docDB);
+      let transaction = false;
 
-      // Run core resolver with the constraint of docs matching file paths regenerated.
-      if (resolve)
+      try
       {
-         this._eventbus.trigger('tjsdoc:system:resolver:docdb:resolve', { filePath: filePaths, silent });
+         generateOptions.docDB = this._eventbus.triggerSync(event, generateOptions);
 
-         // Determine new dependent files after resolution.
          if (dependent)
          {
-            filePaths.length = 0;
-            filePaths.push(filePath);
+            // Dependent files of in memory code are source files or other virtual code.
+            const dependentEvent = event === 'tjsdoc:system:generate:code:doc:data' ?
+             'tjsdoc:system:generate:source:doc:data' : event;
+
+            docDB.findDependentFiles(relativeFilePath, [], true).forEach((dependentPath) =>
+            {
+               generateOptions.filePath = dependentPath.startsWith('virtual:') ? dependentPath :
+                path.resolve(rootPath, dependentPath);
+
+               this._eventbus.trigger(dependentEvent, generateOptions);
+            });
+         }
+
+         AbortError.throwIfAborted(signal);
+
+         // Retain the previous doc data for all regenerated file paths to report changes.
+         regenFilePaths = generateOptions.docDB.query().distinct('filePath');
+         previousDocs = docDB.find({ filePath: regenFilePaths });
+
+         // Begin a transaction copying the doc data of regenerated files and the files they depend on which may be
+         // modified by the resolver.
+         docDB.beginTransaction({ filePath: regenFilePaths.concat(
+          docDB.getFileDependencyGraph().getDependencies(regenFilePaths)) });
+
+         transaction = true;
+
+         // Remove old doc data for all distinct file paths in docDB and insert all new doc data.
+         filePaths = docDB.removeAndInsertDB(generateOptions.docDB);
+
+         // Run core resolver with the constraint of docs matching file paths regenerated.
+         if (resolve)
+         {
+            this._eventbus.trigger('tjsdoc:system:resolver:docdb:resolve', { filePath: filePaths, silent });
+
+            // Determine new dependent files after resolution.
+            if (dependent)
+            {
+               filePaths.length = 0;
+               filePaths.push(relativeFilePath);
 
-            docDB.findDependentFiles(filePath, filePaths);
+               docDB.findDependentFiles(relativeFilePath, filePaths, true);
+            }
          }
+
+         AbortError.throwIfAborted(signal);
+
+         docDB.commitTransaction();
       }
+      catch (err)
+      {
+         // Restore the previous doc data so that a failed or cancelled regeneration leaves the DocDB unchanged.
+         if (transaction) { docDB.rollbackTransaction(); }
+
+         if (AbortError.isAbortError(err))
+         {
+            if (!silent)
+            {
+               this._eventbus.trigger('log:info:raw', `tjsdoc-docdb-regenerate - cancelled regenerating '${
+                filePath}'; the previous doc data is retained.`);
+            }
+         }
+         else
+         {
+            this._eventbus.trigger('log:error', `tjsdoc-docdb-regenerate - failed to regenerate '${filePath}'; the `
+             + `previous doc data is retained.`);
+         }
+
+         throw err;
+      }
+
+      if (!silent) { this._logChanges(DocDBDiff.diffDocs(docDB.find({ filePath: regenFilePaths }), previousDocs)); }
 
       return filePaths;
    }
 
+   /**
+    * Logs the identifiers added, removed and changed by regeneration.
+    *
+    * @param {DocDBDiffResult}   diff - The changes between the previous and regenerated doc data.
+    *
+    * @private
+    */
+   _logChanges(diff)
+   {
+      this._eventbus.trigger('log:info:raw', `tjsdoc-docdb-regenerate - changes: ${diff.added.length} added, ${
+       diff.removed.length} removed, ${diff.changed.length} changed`);
+
+      for (const entry of diff.added)
+      {
+         this._eventbus.trigger('log:info:raw', `tjsdoc-docdb-regenerate - added: ${entry.longname}`);
+      }
+
+      for (const entry of diff.removed)
+      {
+         this._eventbus.trigger('log:info:raw', `tjsdoc-docdb-regenerate - removed: ${entry.longname}`);
+      }
+
+      for (const entry of diff.changed)
+      {
+         this._eventbus.trigger('log:info:raw', `tjsdoc-docdb-regenerate - changed: ${entry.longname} (${
+          entry.changes.map((change) => change.field).join(', ')})`);
+      }
+   }
+
+   /**
+    * Generates or regenerates in memory code with a virtual file ID returning any file paths including dependent files
+    * regenerated. The doc data of the virtual code has the file path `virtual:<virtualID>`.
+    *
+    * @param {object}            config - Object hash providing configuration options.
+    *
+    * @property {string|object}  config.code - In memory code to regenerate; see
+    *                                          {@link GenerateDocData#generateCodeDocData}.
+    *
+    * @property {string}         config.virtualID - The virtual file ID of the in memory code.
+    *
+    * @property {boolean}        [config.dependent=true] - When set to false only the virtual code is regenerated; by
+    *                                                      default any dependent files based on class hierarchy
+    *                                                      relationship are also regenerated.
+    *
+    * @property {DocDB}          [config.docDB=this._mainDocDB] - Defaults to the main runtime DocDB otherwise provide
+    *                                                             a target DocDB.
+    *
+    * @property {TyphonEvents}   [config.eventbus=this._eventbus] - Defaults to the plugin eventbus.
+    *
+    * @property {string}         [config.handleError='throw'] - Defaults to the 'throw'; no other setting is currently
+    *                                                           supported.
+    *
+    * @property {function}       [docFilter] - An optional function invoked with the static doc before inserting into
+    *                                          the given DocDB.
+    *
+    * @property {boolean}        [config.resolve=true] - By default after regenerating and merging the core doc resolver
+    *                                                    is triggered to resolve the new docs.
+    *
+    * @property {AbortSignal}    [config.signal] - An optional signal to cancel regeneration.
+    *
+    * @property {boolean}        [config.silent=false] - By default immediate logging will occur for each file processed.
+    *
+    * @returns {string[]} - file paths including any dependencies regenerated.
+    */
+   regenerateCodeDocData(config = {})
+   {
+      const filePath = this._eventbus.triggerSync('tjsdoc:system:generate:virtual:file:path:get', config.virtualID);
+
+      return this._regenerateDocData('tjsdoc:system:generate:code:doc:data', Object.assign({}, config, { filePath }));
+   }
+
    /**
     * Regenerates a source file returning any file paths including dependent files regenerated.
     *
@@ -171,6 +348,8 @@ export default class RegenerateDocData
     * @property {boolean}        [config.resolve=true] - By default after regenerating and merging the core doc resolver
     *                                                    is triggered to resolve the new docs.
     *
+    * @property {AbortSignal}    [config.signal] - An optional signal to cancel regeneration.
+    *
     * @property {boolean}        [config.silent=false] - By default immediate logging will occur for each file processed.
     *
     * @returns {string[]} - file paths including any dependencies regenerated.
@@ -207,6 +386,8 @@ export default class RegenerateDocData
     * @property {boolean}        [config.resolve=true] - By default after regenerating and merging the core doc resolver
     *                                                    is triggered to resolve the new docs.
     *
+    * @property {AbortSignal}    [config.signal] - An optional signal to cancel regeneration.
+    *
     * @property {boolean}        [config.silent=false] - By default immediate logging will occur for each file processed.
     *
     * @returns {string[]} - file paths including any dependencies regenerated.
@@ -215,4 +396,58 @@ export default class RegenerateDocData
    {
       return this._regenerateDocData('tjsdoc:system:generate:test:doc:data', config);
    }
+
+   /**
+    * Removes the doc data and retained code of in memory code with a virtual file ID. Dependent files are not
+    * regenerated.
+    *
+    * @param {string}         virtualID - The virtual file ID of the in memory code.
+    *
+    * @param {DocDB}          [docDB=this._mainDocDB] - Defaults to the main runtime DocDB otherwise provide a target
+    *                                                   DocDB.
+    *
+    * @param {boolean}        [silent=false] - If true the identifiers removed are not logged.
+    *
+    * @returns {number} The number of DocObjects removed.
+    */
+   removeCodeDocData({ virtualID = void 0, docDB = this._mainDocDB, silent = false } = {})
+   {
+      const filePath = this._eventbus.triggerSync('tjsdoc:system:generate:virtual:file:path:get', virtualID);
+
+      const previousDocs = docDB.find({ filePath });
+
+      const count = docDB.remove({ filePath });
+
+      this._eventbus.trigger('tjsdoc:system:generate:virtual:code:remove', virtualID);
+
+      if (!silent) { this._logChanges(DocDBDiff.diffDocs([], previousDocs)); }
+
+      return count;
+   }
+
+   /**
+    * Removes the doc data of a deleted source or test file. Dependent files are not regenerated; retrieve them with
+    * {@link DocDB#findDependentFiles} before removal to regenerate them.
+    *
+    * @param {string}         filePath - The file path of the doc data to remove.
+    *
+    * @param {DocDB}          [docDB=this._mainDocDB] - Defaults to the main runtime DocDB otherwise provide a target
+    *                                                   DocDB.
+    *
+    * @param {boolean}        [silent=false] - If true the identifiers removed are not logged.
+    *
+    * @returns {number} The number of DocObjects removed.
+    */
+   removeFileDocData({ filePath = void 0, docDB = this._mainDocDB, silent = false } = {})
+   {
+      if (typeof filePath !== 'string') { throw new TypeError(`'filePath' is not a 'string'.`); }
+
+      const previousDocs = docDB.find({ filePath });
+
+      const count = docDB.remove({ filePath });
+
+      if (!silent) { this._logChanges(DocDBDiff.diffDocs([], previousDocs)); }
+
+      return count;
+   }
 }
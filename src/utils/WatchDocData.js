@@ -0,0 +1,564 @@
+import path           from 'path';
+
+import { AbortError } from './AbortError.js';
+
+/**
+ * Watches the TJSDocConfig `source` and `test.source` paths regenerating the doc data of changed files and publishing
+ * incrementally; see {@link RegenerateDocData} and {@link PublisherRuntime#publish}. File watching is provided by
+ * `chokidar`.
+ *
+ * Bursts of changes are debounced and the changes of each file are combined; IE a file added then changed is added,
+ * a file removed then added is changed and a file added then removed is ignored. Files not matched by the includes /
+ * excludes entries of the TJSDocConfig are ignored; see {@link GenerateDocData#explain}. Each run processes the changes
+ * in the following order so that publishing always occurs against fully regenerated doc data:
+ *
+ * 1. The doc data of removed files is removed.
+ *
+ * 2. Added and changed files are regenerated including their dependent files and the files dependent on removed files.
+ *
+ * 3. `tjsdoc:system:publisher:publish` is triggered for each file with `incremental: true`, `fileAction` of `add`,
+ * `change` or `unlink`, `filePath` relative to the project root and `fileType` of `source` or `test`. Dependent files
+ * regenerated are published with the `change` action.
+ *
+ * Runs never overlap. When further changes are debounced during a run the in-flight run is cancelled with an abort
+ * signal (see {@link AbortError}) and its changes are combined with the new changes in the next run including the
+ * files dependent on any removed files. Regeneration leaves the DocDB unchanged for any file cancelled part way. A file
+ * which fails to regenerate is logged and not published while the other files of the run continue.
+ *
+ * After each completed run `tjsdoc:system:watch:complete` is triggered with
+ * `{ removed, regenerated, published, failed }` where `failed` is an array of `{ filePath, error }`.
+ *
+ * When a run fails with any other error; IE publishing fails, the error is logged and `tjsdoc:system:watch:error` is
+ * triggered with `{ error, summary }` where `summary` is the partial summary of the files removed, regenerated and
+ * published before the failure. The remaining changes of the run are not retried.
+ *
+ * When TJSDocConfig `watch` is true or an object with optional `debounce`, `publish` and `silent` entries watching
+ * starts after the initial publish.
+ *
+ * The event bindings supported are:
+ *
+ * `tjsdoc:system:watch:is:watching` - {@link WatchDocData#isWatching}
+ *
+ * `tjsdoc:system:watch:start` - {@link WatchDocData#start}
+ *
+ * `tjsdoc:system:watch:stop` - {@link WatchDocData#stop}
+ */
+export default class WatchDocData
+{
+   /**
+    * Instantiates WatchDocData.
+    */
+   constructor()
+   {
+      /**
+       * The debounced file actions by absolute file path.
+       * @type {Map<string, string>}
+       * @private
+       */
+      this._pending = new Map();
+
+      /**
+       * The promise of the active run loop.
+       * @type {Promise|undefined}
+       * @private
+       */
+      this._running = void 0;
+
+      /**
+       * The abort signal of the in-flight run.
+       * @type {{aborted: boolean, reason: *}|undefined}
+       * @private
+       */
+      this._signal = void 0;
+
+      /**
+       * The debounce timer.
+       * @type {*}
+       * @private
+       */
+      this._timer = void 0;
+
+      /**
+       * The chokidar watcher while watching.
+       * @type {FSWatcher|undefined}
+       * @private
+       */
+      this._watcher = void 0;
+   }
+
+   /**
+    * Returns whether files are being watched.
+    *
+    * @returns {boolean}
+    */
+   isWatching()
+   {
+      return this._watcher !== void 0;
+   }
+
+   /**
+    * Starts watching for TJSDocConfig `watch` after the initial full publish.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    */
+   onHandlePostPublishAsync(ev)
+   {
+      if (ev.data.incremental || this._watcher) { return; }
+
+      const watch = ev.data.mainConfig.watch;
+
+      if (watch === true) { this.start(); }
+      else if (typeof watch === 'object' && watch !== null) { this.start(watch); }
+   }
+
+   /**
+    * Wires up WatchDocData on the plugin eventbus.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    */
+   onPluginLoad(ev)
+   {
+      /**
+       * Stores the plugin eventbus proxy.
+       * @type {EventProxy}
+       */
+      this._eventbus = ev.eventbus;
+
+      this._eventbus.on('tjsdoc:system:watch:is:watching', this.isWatching, this);
+      this._eventbus.on('tjsdoc:system:watch:start', this.start, this);
+      this._eventbus.on('tjsdoc:system:watch:stop', this.stop, this);
+   }
+
+   /**
+    * Stores the TJSDocConfig and main DocDB.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    */
+   onRuntimePreGenerateAsync(ev)
+   {
+      /**
+       * @type {TJSDocConfig}
+       * @private
+       */
+      this._mainConfig = ev.data.mainConfig;
+
+      /**
+       * The main DocDB.
+       * @type {DocDB}
+       * @private
+       */
+      this._mainDocDB = ev.data.docDB;
+   }
+
+   /**
+    * Starts watching the TJSDocConfig `source` and `test.source` paths.
+    *
+    * @param {number}   [debounce=100] - The time in milliseconds to wait after the last change before a run.
+    *
+    * @param {boolean}  [publish=true] - If false doc data is regenerated without publishing.
+    *
+    * @param {boolean}  [silent=false] - If true log statements are not emitted.
+    *
+    * @returns {boolean} True if watching started or false when there are no paths to watch.
+    */
+   start({ debounce = 100, publish = true, silent = false } = {})
+   {
+      if (!Number.isInteger(debounce) || debounce < 0)
+      {
+         throw new TypeError(`'debounce' is not a positive 'integer'.`);
+      }
+
+      if (typeof publish !== 'boolean') { throw new TypeError(`'publish' is not a 'boolean'.`); }
+      if (typeof silent !== 'boolean') { throw new TypeError(`'silent' is not a 'boolean'.`); }
+
+      if (typeof this._mainConfig !== 'object') { throw new Error(`tjsdoc-docdb-watch - no TJSDocConfig to watch.`); }
+      if (this._watcher) { throw new Error(`tjsdoc-docdb-watch - already watching.`); }
+
+      const rootPath = this._mainConfig._dirPath;
+      const testConfig = this._mainConfig.test || {};
+
+      /**
+       * The absolute source paths.
+       * @type {string[]}
+       * @private
+       */
+      this._sourcePaths = s_TO_ARRAY(this._mainConfig.source).map((entry) => path.resolve(rootPath, entry));
+
+      /**
+       * The absolute test source paths.
+       * @type {string[]}
+       * @private
+       */
+      this._testPaths = s_TO_ARRAY(testConfig.source).map((entry) => path.resolve(rootPath, entry));
+
+      const watchPaths = this._sourcePaths.concat(this._testPaths);
+
+      if (watchPaths.length === 0)
+      {
+         this._eventbus.trigger('log:warn', `tjsdoc-docdb-watch - no 'source' or 'test.source' paths to watch.`);
+         return false;
+      }
+
+      /**
+       * The watch options.
+       * @type {{debounce: number, publish: boolean, silent: boolean}}
+       * @private
+       */
+      this._options = { debounce, publish, silent };
+
+      // Loaded on demand so that chokidar is only required when watching.
+      const chokidar = require('chokidar');
+
+      this._watcher = chokidar.watch(watchPaths, { ignoreInitial: true, persistent: true });
+
+      this._watcher.on('all', (action, filePath) => this._queue(action, path.resolve(rootPath, filePath)));
+
+      this._watcher.on('error', (err) =>
+       this._eventbus.trigger('log:error', `tjsdoc-docdb-watch - watcher error: ${err.message}`));
+
+      if (!silent)
+      {
+         this._eventbus.trigger('log:info:raw', `tjsdoc-docdb-watch - watching: ${
+          watchPaths.map((watchPath) => path.relative(rootPath, watchPath) || '.').join(', ')}`);
+      }
+
+      return true;
+   }
+
+   /**
+    * Stops watching discarding any debounced changes and cancelling any in-flight run. The returned promise is resolved
+    * once the watcher is closed and any in-flight run is cancelled.
+    */
+   async stop()
+   {
+      if (!this._watcher) { return; }
+
+      const watcher = this._watcher;
+
+      this._watcher = void 0;
+
+      clearTimeout(this._timer);
+
+      this._timer = void 0;
+
+      this._pending.clear();
+
+      if (this._signal)
+      {
+         this._signal.aborted = true;
+         this._signal.reason = 'stopped';
+      }
+
+      await watcher.close();
+
+      if (this._running) { await this._running; }
+
+      if (!this._options.silent) { this._eventbus.trigger('log:info:raw', 'tjsdoc-docdb-watch - stopped'); }
+   }
+
+   /**
+    * Starts a run for the debounced changes or cancels the in-flight run so that its changes are combined with the
+    * debounced changes in the next run.
+    *
+    * @private
+    */
+   _flush()
+   {
+      this._timer = void 0;
+
+      if (this._running)
+      {
+         if (this._signal)
+         {
+            this._signal.aborted = true;
+            this._signal.reason = 'coalesced';
+         }
+
+         return;
+      }
+
+      this._running = this._runLoop();
+   }
+
+   /**
+    * Returns the file type of an absolute file path which is `test` when within a `test.source` path.
+    *
+    * @param {string}   filePath - An absolute file path.
+    *
+    * @returns {string} `source` or `test`.
+    * @private
+    */
+   _getFileType(filePath)
+   {
+      return this._testPaths.some((testPath) => s_IS_WITHIN(testPath, filePath)) ? 'test' : 'source';
+   }
+
+   /**
+    * Removes, regenerates then publishes the given changes recording the processed files in the given summary. The
+    * files dependent on removed files are added to the changes as changed so that they are regenerated by the next run
+    * when this run is cancelled as the doc data of removed files is already removed.
+    *
+    * @param {Map<string, string>}  changes - The file actions by absolute file path.
+    *
+    * @param {{aborted: boolean}}   signal - The abort signal of the run.
+    *
+    * @param {object}               summary - The summary of the run; `{ removed, regenerated, published, failed }`.
+    *
+    * @returns {Promise<{removed: string[], regenerated: string[], published: string[], failed: object[]}>}
+    * @private
+    */
+   async _process(changes, signal, summary)
+   {
+      const rootPath = this._mainConfig._dirPath;
+      const silent = this._options.silent;
+
+      // The file action and type of each file to publish by relative file path.
+      const publishes = new Map();
+
+      const removals = [];
+      const regenerations = [];
+
+      for (const [filePath, fileAction] of changes)
+      {
+         const fileType = this._getFileType(filePath);
+
+         const result = this._eventbus.triggerSync('tjsdoc:system:generate:explain', { filePath, type: fileType });
+
+         if (!result.included) { continue; }
+
+         const entry = { filePath, relativeFilePath: result.relativeFilePath, fileAction, fileType };
+
+         if (fileAction === 'unlink') { removals.push(entry); }
+         else { regenerations.push(entry); }
+      }
+
+      for (const entry of removals)
+      {
+         AbortError.throwIfAborted(signal);
+
+         // Retrieve the files dependent on the removed file before its doc data is removed.
+         const dependents = this._mainDocDB.findDependentFiles(entry.relativeFilePath);
+
+         this._eventbus.triggerSync('tjsdoc:system:regenerate:file:doc:data:remove',
+          { filePath: entry.relativeFilePath, silent });
+
+         summary.removed.push(entry.relativeFilePath);
+
+         publishes.set(entry.relativeFilePath, { fileAction: 'unlink', fileType: entry.fileType });
+
+         for (const dependent of dependents)
+         {
+            const filePath = path.resolve(rootPath, dependent);
+
+            if (dependent.startsWith('virtual:') || changes.has(filePath) ||
+             regenerations.some((regeneration) => regeneration.filePath === filePath))
+            {
+               continue;
+            }
+
+            changes.set(filePath, 'change');
+
+            regenerations.push({ filePath, relativeFilePath: dependent, fileAction: 'change',
+             fileType: this._getFileType(filePath) });
+         }
+      }
+
+      for (const entry of regenerations)
+      {
+         AbortError.throwIfAborted(signal);
+
+         let filePaths;
+
+         try
+         {
+            filePaths = this._eventbus.triggerSync(`tjsdoc:system:regenerate:${entry.fileType}:doc:data`,
+             { filePath: entry.filePath, signal, silent });
+         }
+         catch (err)
+         {
+            if (AbortError.isAbortError(err)) { throw err; }
+
+            // RegenerateDocData logs the failure and retains the previous doc data.
+            summary.failed.push({ filePath: entry.relativeFilePath, error: err });
+            continue;
+         }
+
+         summary.regenerated.push(entry.relativeFilePath);
+
+         publishes.set(entry.relativeFilePath, { fileAction: entry.fileAction, fileType: entry.fileType });
+
+         // Dependent files regenerated are published as changed.
+         for (const dependent of Array.isArray(filePaths) ? filePaths : [])
+         {
+            const relativeFilePath = path.isAbsolute(dependent) ? path.relative(rootPath, dependent) : dependent;
+
+            if (!publishes.has(relativeFilePath))
+            {
+               publishes.set(relativeFilePath, { fileAction: 'change',
+                fileType: this._getFileType(path.resolve(rootPath, relativeFilePath)) });
+            }
+         }
+      }
+
+      if (this._options.publish)
+      {
+         for (const [filePath, { fileAction, fileType }] of publishes)
+         {
+            AbortError.throwIfAborted(signal);
+
+            await this._eventbus.triggerAsync('tjsdoc:system:publisher:publish',
+             { incremental: true, fileAction, filePath, fileType, signal, silent });
+
+            summary.published.push(filePath);
+         }
+      }
+
+      return summary;
+   }
+
+   /**
+    * Queues a chokidar file action debouncing the next run.
+    *
+    * @param {string}   action - The chokidar event name.
+    *
+    * @param {string}   filePath - The absolute file path.
+    *
+    * @private
+    */
+   _queue(action, filePath)
+   {
+      if (action !== 'add' && action !== 'change' && action !== 'unlink') { return; }
+
+      const combined = s_COMBINE_ACTIONS(this._pending.get(filePath), action);
+
+      if (combined) { this._pending.set(filePath, combined); }
+      else { this._pending.delete(filePath); }
+
+      clearTimeout(this._timer);
+
+      this._timer = setTimeout(() => this._flush(), this._options.debounce);
+   }
+
+   /**
+    * Processes the debounced changes until none remain. The changes of a cancelled run are combined with any newer
+    * changes for the next run.
+    *
+    * @private
+    */
+   async _runLoop()
+   {
+      try
+      {
+         while (this._pending.size > 0 && this._watcher)
+         {
+            const changes = this._pending;
+
+            this._pending = new Map();
+
+            const signal = { aborted: false, reason: void 0 };
+
+            this._signal = signal;
+
+            if (!this._options.silent)
+            {
+               this._eventbus.trigger('log:info:raw', `tjsdoc-docdb-watch - processing ${changes.size} change(s)`);
+            }
+
+            const summary = { removed: [], regenerated: [], published: [], failed: [] };
+
+            try
+            {
+               await this._process(changes, signal, summary);
+
+               this._eventbus.trigger('tjsdoc:system:watch:complete', summary);
+            }
+            catch (err)
+            {
+               if (!AbortError.isAbortError(err))
+               {
+                  this._eventbus.trigger('log:error', `tjsdoc-docdb-watch - run failed: ${err.message}`);
+
+                  // The DocDB may already be modified by the files processed before the failure.
+                  this._eventbus.trigger('tjsdoc:system:watch:error', { error: err, summary });
+                  continue;
+               }
+
+               if (!this._watcher) { break; }
+
+               if (!this._options.silent)
+               {
+                  this._eventbus.trigger('log:info:raw', 'tjsdoc-docdb-watch - run cancelled; combining changes');
+               }
+
+               // Newer changes are combined after the changes of the cancelled run.
+               const newer = this._pending;
+
+               this._pending = changes;
+
+               for (const [filePath, action] of newer)
+               {
+                  // A file added by the cancelled run may already be regenerated so its removal is retained.
+                  this._pending.set(filePath, s_COMBINE_ACTIONS(changes.get(filePath), action) || 'unlink');
+               }
+            }
+         }
+      }
+      finally
+      {
+         this._signal = void 0;
+         this._running = void 0;
+      }
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Combines a previous file action with a newer action. An added file which then changes is still added, a removed
+ * file which is then added is changed and an added file which is then removed has no action; otherwise the newer
+ * action applies.
+ *
+ * @param {string|undefined}  previous - The previous file action.
+ *
+ * @param {string}            next - The newer file action.
+ *
+ * @returns {string|undefined} The combined action or undefined when the file has no action.
+ */
+function s_COMBINE_ACTIONS(previous, next)
+{
+   if (previous === 'add' && next === 'change') { return 'add'; }
+   if (previous === 'add' && next === 'unlink') { return void 0; }
+   if (previous === 'unlink' && next === 'add') { return 'change'; }
+
+   return next;
+}
+
+/**
+ * Returns whether an absolute file path is the given path or within it.
+ *
+ * @param {string}   dirPath - An absolute directory or file path.
+ *
+ * @param {string}   filePath - An absolute file path.
+ *
+ * @returns {boolean}
+ */
+function s_IS_WITHIN(dirPath, filePath)
+{
+   const relativePath = path.relative(dirPath, filePath);
+
+   return relativePath === '' || (!relativePath.startsWith('..') && !path.isAbsolute(relativePath));
+}
+
+/**
+ * Returns a TJSDocConfig entry which is a string or array of strings as an array.
+ *
+ * @param {string|string[]|undefined}  entry - A TJSDocConfig entry.
+ *
+ * @returns {string[]}
+ */
+function s_TO_ARRAY(entry)
+{
+   if (typeof entry === 'string') { return [entry]; }
+
+   return Array.isArray(entry) ? entry.filter((value) => typeof value === 'string') : [];
+}
@@ -0,0 +1,133 @@
+/**
+ * Benchmarks `find`, `findByName` and `remove` of DocDB for the `taffydb` and `native` storage backends.
+ *
+ * Run with: `npm run bench` or `babel-node ./test/bench/DocBackendBenchmark.js [fileCount] [iterations]`
+ */
+import { DocDB }  from '../../src/doc/DocDB.js';
+
+const fileCount = parseInt(process.argv[2], 10) || 200;
+const iterations = parseInt(process.argv[3], 10) || 200;
+
+/**
+ * Creates synthetic doc data with one ModuleFile, ModuleClass and several ClassMethod / ClassProperty docs per file.
+ *
+ * @param {number}   count - The number of files to generate doc data for.
+ *
+ * @returns {DocObject[]}
+ */
+function createDocData(count)
+{
+   const docData = [];
+
+   let id = 0;
+
+   for (let cntr = 0; cntr < count; cntr++)
+   {
+      const filePath = `src/dir${cntr % 10}/Class${cntr}.js`;
+      const classLongname = `${filePath}~Class${cntr}`;
+
+      docData.push({ __docId__: id++, kind: 'ModuleFile', name: filePath, longname: filePath, filePath,
+       access: 'public' });
+
+      docData.push({ __docId__: id++, kind: 'ModuleClass', name: `Class${cntr}`, longname: classLongname, filePath,
+       access: 'public' });
+
+      for (let member = 0; member < 10; member++)
+      {
+         const kind = member % 2 ? 'ClassProperty' : 'ClassMethod';
+
+         docData.push({ __docId__: id++, kind, name: `member${member}`, longname: `${classLongname}#member${member}`,
+          memberof: classLongname, filePath, access: member % 3 ? 'public' : 'private' });
+      }
+   }
+
+   return docData;
+}
+
+/**
+ * Returns the average time in milliseconds of invoking the given function.
+ *
+ * @param {number}      count - Iteration count.
+ *
+ * @param {function}    fn - Function to invoke with the iteration index.
+ *
+ * @returns {number}
+ */
+function measure(count, fn)
+{
+   const start = process.hrtime();
+
+   for (let cntr = 0; cntr < count; cntr++) { fn(cntr); }
+
+   const [seconds, nanoseconds] = process.hrtime(start);
+
+   return (seconds * 1e3 + nanoseconds / 1e6) / count;
+}
+
+/**
+ * Defines the kinds queried. Queries vary per iteration as TaffyDB caches the results of identical queries until the
+ * next modification.
+ * @type {string[]}
+ */
+const s_KINDS = ['ModuleFile', 'ModuleClass', 'ClassMethod', 'ClassProperty'];
+
+/**
+ * Defines the benchmarks run against a DocDB for each backend.
+ * @type {Array<{name: string, run: function(DocDB): number}>}
+ */
+const benchmarks =
+[
+   {
+      name: 'find (indexed kind)',
+      run: (docDB) => measure(iterations, (cntr) => docDB.find({ kind: s_KINDS[cntr % s_KINDS.length] }))
+   },
+   {
+      name: 'find (indexed memberof + access)',
+      run: (docDB) => measure(iterations, (cntr) => docDB.find({ memberof: `src/dir${cntr % 10}/Class${
+       cntr % fileCount}.js~Class${cntr % fileCount}`, access: 'public' }))
+   },
+   {
+      name: 'find (unindexed regex)',
+      run: (docDB) => measure(iterations, (cntr) =>
+       docDB.find({ longname: { regex: new RegExp(`#member${cntr % 10}$`) } }))
+   },
+   {
+      name: 'findByName (longname)',
+      run: (docDB) => measure(iterations, (cntr) => docDB.findByName(`Class${cntr % fileCount}`, 'ModuleClass'))
+   },
+   {
+      name: 'findByName (fuzzy member)',
+      run: (docDB) => measure(iterations, (cntr) => docDB.findByName(`member${cntr % 10}`))
+   },
+   {
+      name: 'remove (by filePath)',
+      run: (docDB) =>
+      {
+         const count = Math.min(iterations, fileCount);
+
+         return measure(count, (cntr) => docDB.remove({ filePath: `src/dir${cntr % 10}/Class${cntr}.js` }));
+      }
+   }
+];
+
+const docCount = createDocData(fileCount).length;
+
+console.log(`DocDB backend benchmark - files: ${fileCount}, docs: ${docCount}, iterations: ${iterations}\n`);
+
+const rows = [['benchmark', 'taffydb (ms)', 'native (ms)', 'speedup']];
+
+for (const benchmark of benchmarks)
+{
+   const times = ['taffydb', 'native'].map((backend) =>
+    benchmark.run(new DocDB({ docData: createDocData(fileCount), backend })));
+
+   rows.push([benchmark.name, times[0].toFixed(4), times[1].toFixed(4), `${(times[0] / times[1]).toFixed(1)}x`]);
+}
+
+const widths = rows[0].map((column, index) => Math.max(...rows.map((row) => row[index].length)));
+
+for (const row of rows)
+{
+   console.log(row.map((column, index) => index === 0 ? column.padEnd(widths[index]) :
+    column.padStart(widths[index])).join('   '));
+}
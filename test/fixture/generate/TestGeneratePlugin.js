@@ -0,0 +1,67 @@
+import path            from 'path';
+
+import { DocDB }       from '../../../src/doc/DocDB.js';
+import GenerateDocData from '../../../src/utils/GenerateDocData.js';
+
+/**
+ * Provides a test plugin for {@link GenerateDocData} with a parser and doc generator which do not read files. The
+ * directory of this module is the target project root path. It is loaded by target so that worker threads also load it.
+ *
+ * Parsing a file path ending in `Invalid.js` throws a SyntaxError and traversing a file path ending in `Fatal.js`
+ * throws an Error.
+ */
+
+/**
+ * Provides a doc generator which inserts a ModuleFile and ModuleFunction DocObject with AST node data for each parsed
+ * file.
+ */
+class TestDocGenerator
+{
+   /**
+    * Inserts the DocObjects for a parsed file.
+    *
+    * @param {object}   ast - The AST from the test parser.
+    *
+    * @param {DocDB}    docDB - The target DocDB.
+    *
+    * @param {function} [docFilter] - An optional doc filter.
+    */
+   resetAndTraverse({ ast, docDB, docFilter })
+   {
+      const filePath = ast.filePath;
+      const name = path.basename(filePath, '.js');
+
+      if (filePath.endsWith('Fatal.js')) { throw new Error(`Traversal failed: ${filePath}`); }
+
+      docDB.insertDocObject({ __docId__: docDB.getCurrentIDAndIncrement(), kind: 'ModuleFile', name: filePath,
+       longname: filePath, filePath, access: 'public' }, docFilter);
+
+      docDB.insertDocObject({ __docId__: docDB.getCurrentIDAndIncrement(), kind: 'ModuleFunction', name,
+       longname: `${filePath}~${name}`, filePath, access: 'public',
+        node: { type: 'FunctionDeclaration', id: { type: 'Identifier', name } } }, docFilter);
+   }
+}
+
+/**
+ * Adds the test parser, doc generator and a GenerateDocData instance.
+ *
+ * @param {PluginEvent} ev - The plugin event.
+ */
+export async function onPluginLoad(ev)
+{
+   const eventbus = ev.eventbus;
+   const docGenerator = new TestDocGenerator();
+
+   eventbus.on('tjsdoc:system:doc:generator:get', () => docGenerator);
+   eventbus.on('tjsdoc:system:doc:generator:test:get', () => docGenerator);
+   eventbus.on('tjsdoc:system:docdb:create', ({ eventbus } = {}) => new DocDB({ backend: 'native', eventbus }));
+
+   eventbus.on('tjsdoc:system:parser:code:file:parse', (filePath) =>
+   {
+      if (filePath.endsWith('Invalid.js')) { throw new SyntaxError(`Unexpected token: ${filePath}`); }
+
+      return { filePath: path.relative(__dirname, filePath) };
+   });
+
+   await eventbus.triggerAsync('plugins:async:add', { name: 'tjsdoc-docdb-generate', instance: new GenerateDocData() });
+}
@@ -0,0 +1,4 @@
+/**
+ * A test fixture function.
+ */
+export default function B() {}
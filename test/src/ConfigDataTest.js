@@ -0,0 +1,34 @@
+import assert      from 'assert';
+
+import ConfigData  from '../../src/ConfigData.js';
+
+describe('ConfigData:', () =>
+{
+   it('compilePathEntries compiles glob include / exclude entries', () =>
+   {
+      const config = {
+         includes: ['^src/', 'glob:src/**/*.js', 'glob:!src/vendor/**'],
+         excludes: ['glob:**/*.test.js'],
+         test: { includes: ['glob:test/**/*Test.js'], excludes: [] }
+      };
+
+      ConfigData.compilePathEntries(config);
+
+      assert.deepStrictEqual(config._includes.map((regex) => regex instanceof RegExp), [true, true]);
+      assert.ok(config._includes[1].test('src/a/index.js'));
+      assert.ok(config._excludes[0].test('src/index.test.js'));
+      assert.ok(config.test._includes[0].test('test/src/ConfigDataTest.js'));
+      assert.deepStrictEqual(config.test._excludes, []);
+   });
+
+   it('compilePathEntries retains existing RegExp instances without entries', () =>
+   {
+      const includes = [/\.js$/];
+      const config = { _includes: includes, excludes: ['^test/'] };
+
+      ConfigData.compilePathEntries(config);
+
+      assert.strictEqual(config._includes, includes);
+      assert.ok(config._excludes[0].test('test/index.js'));
+   });
+});
@@ -0,0 +1,77 @@
+import assert    from 'assert';
+
+import { DocDB } from '../../../src/doc/DocDB.js';
+
+/**
+ * Creates a ModuleFile DocObject.
+ *
+ * @param {number}   id - The doc ID.
+ *
+ * @param {string}   filePath - The file path.
+ *
+ * @param {string[]} [dependents] - The dependent file paths.
+ *
+ * @returns {DocObject}
+ */
+function s_MODULE_FILE(id, filePath, dependents = void 0)
+{
+   const doc = { __docId__: id, kind: 'ModuleFile', name: filePath, longname: filePath, filePath };
+
+   if (dependents) { doc._custom_dependent_file_paths = dependents; }
+
+   return doc;
+}
+
+describe('DocDB file dependency graph:', () =>
+{
+   it('graph is cached until the DocDB changes', () =>
+   {
+      const docDB = new DocDB({ docData: [s_MODULE_FILE(0, 'src/A.js', ['src/B.js']), s_MODULE_FILE(1, 'src/B.js')],
+       backend: 'native' });
+
+      const graph = docDB.getFileDependencyGraph();
+
+      assert.strictEqual(docDB.getFileDependencyGraph(), graph);
+      assert.deepStrictEqual(docDB.findDependentFiles('src/A.js'), ['src/B.js']);
+      assert.strictEqual(docDB.getFileDependencyGraph(), graph);
+
+      docDB.insert(s_MODULE_FILE(2, 'src/C.js', ['src/A.js']));
+
+      assert.notStrictEqual(docDB.getFileDependencyGraph(), graph);
+      assert.deepStrictEqual(docDB.findDependentFiles('src/C.js'), ['src/A.js']);
+
+      docDB.remove({ filePath: 'src/C.js' });
+
+      assert.deepStrictEqual(docDB.findDependentFiles('src/C.js'), []);
+   });
+
+   it('reindex invalidates the graph after direct modification', () =>
+   {
+      const docDB = new DocDB({ docData: [s_MODULE_FILE(0, 'src/A.js'), s_MODULE_FILE(1, 'src/B.js')],
+       backend: 'native' });
+
+      assert.deepStrictEqual(docDB.findDependentFiles('src/A.js'), []);
+
+      docDB.find({ filePath: 'src/A.js' })[0]._custom_dependent_file_paths = ['src/B.js'];
+      docDB.reindex();
+
+      assert.deepStrictEqual(docDB.findDependentFiles('src/A.js'), ['src/B.js']);
+   });
+
+   it('rollback invalidates the graph', () =>
+   {
+      const docDB = new DocDB({ docData: [s_MODULE_FILE(0, 'src/A.js', ['src/B.js']), s_MODULE_FILE(1, 'src/B.js')],
+       backend: 'native' });
+
+      assert.deepStrictEqual(docDB.findDependentFiles('src/A.js'), ['src/B.js']);
+
+      docDB.beginTransaction();
+      docDB.remove({ filePath: 'src/A.js' });
+
+      assert.deepStrictEqual(docDB.findDependentFiles('src/A.js'), []);
+
+      docDB.rollbackTransaction();
+
+      assert.deepStrictEqual(docDB.findDependentFiles('src/A.js'), ['src/B.js']);
+   });
+});
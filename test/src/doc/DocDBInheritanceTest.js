@@ -0,0 +1,145 @@
+import assert    from 'assert';
+
+import { DocDB } from '../../../src/doc/DocDB.js';
+
+/**
+ * Returns the doc data of a class hierarchy where `Foo` extends `Middle` which extends `Base`. `Foo` also mixes in
+ * `Mixin` and implements `Interface`. `Middle` overrides `Base#overridden` and `Base` has a `value` getter / setter
+ * pair.
+ *
+ * @returns {DocObject[]}
+ */
+function s_DOCS()
+{
+   const docs = [];
+
+   const addDoc = (doc, data) =>
+   {
+      doc.__docId__ = docs.length;
+
+      docs.push(Object.assign(doc, data));
+   };
+
+   const addClass = (name, data = {}) => addDoc({ kind: 'ModuleClass', name, longname: `src/${name}.js~${name}`,
+    filePath: `src/${name}.js` }, Object.assign({ 'interface': false }, data));
+
+   const addMember = (className, name, data = {}) => addDoc({ kind: 'ClassMethod', name,
+    longname: `src/${className}.js~${className}${data.static ? '.' : '#'}${name}`,
+     memberof: `src/${className}.js~${className}`, filePath: `src/${className}.js` },
+      Object.assign({ 'static': false }, data));
+
+   addClass('Base');
+   addMember('Base', 'constructor');
+   addMember('Base', 'inheritedMethod');
+   addMember('Base', 'overridden');
+   addMember('Base', 'value', { qualifier: 'get' });
+   addMember('Base', 'value', { qualifier: 'set' });
+   addMember('Base', 'create', { 'static': true });
+
+   addClass('Middle', { 'extends': ['src/Base.js~Base'] });
+   addMember('Middle', 'overridden');
+
+   addClass('Mixin');
+   addMember('Mixin', 'mixinMethod');
+
+   addClass('Interface', { 'interface': true });
+   addMember('Interface', 'interfaceMethod');
+
+   addClass('Foo', { 'extends': ['src/Middle.js~Middle', 'src/Mixin.js~Mixin'],
+    '_custom_extends_chains': ['src/Base.js~Base', 'src/Middle.js~Middle'],
+     'implements': ['src/Interface.js~Interface'] });
+
+   addMember('Foo', 'ownMethod');
+
+   return docs;
+}
+
+describe('DocDB inheritance:', () =>
+{
+   it('findByName resolves an inherited member through the extends chain', () =>
+   {
+      const docDB = new DocDB({ docData: s_DOCS() });
+
+      assert.deepStrictEqual(docDB.findByName('Foo#inheritedMethod').map((doc) => doc.longname),
+       ['src/Base.js~Base#inheritedMethod']);
+
+      assert.deepStrictEqual(docDB.findByName('src/Foo.js~Foo#inheritedMethod').map((doc) => doc.longname),
+       ['src/Base.js~Base#inheritedMethod']);
+   });
+
+   it('findByName resolves an overridden member from the nearest ancestor', () =>
+   {
+      const docDB = new DocDB({ docData: s_DOCS() });
+
+      assert.deepStrictEqual(docDB.findByName('Foo#overridden').map((doc) => doc.longname),
+       ['src/Middle.js~Middle#overridden']);
+   });
+
+   it('findByName resolves inherited mixin and interface members', () =>
+   {
+      const docDB = new DocDB({ docData: s_DOCS() });
+
+      assert.deepStrictEqual(docDB.findByName('Foo#mixinMethod').map((doc) => doc.longname),
+       ['src/Mixin.js~Mixin#mixinMethod']);
+
+      assert.deepStrictEqual(docDB.findByName('Foo#interfaceMethod').map((doc) => doc.longname),
+       ['src/Interface.js~Interface#interfaceMethod']);
+   });
+
+   it('findByName resolves both inherited getter / setter members unless a qualifier is given', () =>
+   {
+      const docDB = new DocDB({ docData: s_DOCS() });
+
+      assert.deepStrictEqual(docDB.findByName('Foo#value').map((doc) => doc.qualifier).sort(), ['get', 'set']);
+      assert.deepStrictEqual(docDB.findByName('Foo#value', void 0, 'set').map((doc) => doc.qualifier), ['set']);
+   });
+
+   it('findByName distinguishes inherited static and instance members', () =>
+   {
+      const docDB = new DocDB({ docData: s_DOCS() });
+
+      assert.deepStrictEqual(docDB.findByName('Foo.create').map((doc) => doc.longname), ['src/Base.js~Base.create']);
+      assert.deepStrictEqual(docDB.findByName('Foo#create'), []);
+      assert.deepStrictEqual(docDB.findByName('Foo#missing'), []);
+   });
+
+   it('findInheritedMembers orders members by nearest ancestor and omits overrides and constructors', () =>
+   {
+      const docDB = new DocDB({ docData: s_DOCS() });
+
+      const inherited = docDB.findInheritedMembers('Foo');
+
+      // Ancestors are ordered by nearest ancestor; members of each ancestor are in backend order.
+      assert.deepStrictEqual(inherited.map((entry) => entry.from).filter((from, index, froms) =>
+       froms.indexOf(from) === index), ['src/Mixin.js~Mixin', 'src/Middle.js~Middle', 'src/Base.js~Base',
+        'src/Interface.js~Interface']);
+
+      const members = inherited.map((entry) => [entry.from, entry.relation,
+       `${entry.doc.static ? '.' : '#'}${entry.doc.name}${entry.doc.qualifier ? `:${entry.doc.qualifier}` : ''}`]);
+
+      assert.deepStrictEqual(members.sort(), [
+         ['src/Base.js~Base', 'extends', '#inheritedMethod'],
+         ['src/Base.js~Base', 'extends', '#value:get'],
+         ['src/Base.js~Base', 'extends', '#value:set'],
+         ['src/Base.js~Base', 'extends', '.create'],
+         ['src/Interface.js~Interface', 'implements', '#interfaceMethod'],
+         ['src/Middle.js~Middle', 'extends', '#overridden'],
+         ['src/Mixin.js~Mixin', 'mixin', '#mixinMethod']
+      ]);
+   });
+
+   it('findInheritedMembers omits members overridden by the class and returns none for unknown classes', () =>
+   {
+      const docDB = new DocDB({ docData: s_DOCS() });
+
+      docDB.insert({ __docId__: docDB.getCurrentIDAndIncrement(), kind: 'ClassMethod', name: 'inheritedMethod',
+       longname: 'src/Foo.js~Foo#inheritedMethod', memberof: 'src/Foo.js~Foo', filePath: 'src/Foo.js' });
+
+      assert.ok(docDB.findInheritedMembers('Foo').every((entry) => entry.doc.name !== 'inheritedMethod'));
+      assert.deepStrictEqual(docDB.findByName('Foo#inheritedMethod').map((doc) => doc.longname),
+       ['src/Foo.js~Foo#inheritedMethod']);
+
+      assert.deepStrictEqual(docDB.findInheritedMembers('Missing'), []);
+      assert.throws(() => docDB.findInheritedMembers(42), /'classLongname' is not a 'string'/);
+   });
+});
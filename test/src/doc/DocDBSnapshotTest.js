@@ -0,0 +1,92 @@
+import assert    from 'assert';
+import fs        from 'fs';
+import os        from 'os';
+import path      from 'path';
+
+import { DocDB } from '../../../src/doc/DocDB.js';
+
+/**
+ * Returns ModuleFile and ModuleFunction DocObjects with non-contiguous doc IDs.
+ *
+ * @returns {DocObject[]}
+ */
+function s_DOCS()
+{
+   return [
+      { __docId__: 3, kind: 'ModuleFile', name: 'src/A.js', longname: 'src/A.js', filePath: 'src/A.js' },
+      { __docId__: 7, kind: 'ModuleFunction', name: 'a', longname: 'src/A.js~a', filePath: 'src/A.js' }
+   ];
+}
+
+/**
+ * Returns the doc data of a DocDB ordered by doc ID.
+ *
+ * @param {DocDB} docDB - A DocDB.
+ *
+ * @returns {DocObject[]}
+ */
+function s_SORTED_DOC_DATA(docDB)
+{
+   return docDB.getSnapshot().docData.sort((a, b) => a.__docId__ - b.__docId__);
+}
+
+describe('DocDB snapshot:', () =>
+{
+   const directory = path.join(os.tmpdir(), 'tjsdoc-test-docdb-snapshot');
+   const filePath = path.join(directory, 'docDB.json');
+
+   afterEach(() =>
+   {
+      if (fs.existsSync(filePath)) { fs.unlinkSync(filePath); }
+      if (fs.existsSync(directory)) { fs.rmdirSync(directory); }
+   });
+
+   it('a saved snapshot loads the doc data and restores the next doc ID', () =>
+   {
+      const docDB = new DocDB({ docData: s_DOCS() });
+
+      assert.strictEqual(docDB.getCurrentID(), 8);
+
+      assert.strictEqual(docDB.save({ filePath, metadata: { version: '1.0.0' } }), filePath);
+
+      const snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+      assert.deepStrictEqual(snapshot.metadata, { version: '1.0.0' });
+      assert.deepStrictEqual(snapshot.docData.sort((a, b) => a.__docId__ - b.__docId__), s_DOCS());
+
+      const loadedDocDB = DocDB.load({ filePath });
+
+      assert.deepStrictEqual(s_SORTED_DOC_DATA(loadedDocDB), s_DOCS());
+      assert.strictEqual(loadedDocDB.getCurrentIDAndIncrement(), 8);
+      assert.strictEqual(loadedDocDB.getCurrentID(), 9);
+   });
+
+   it('a snapshot creates a DocDB with the doc data and the next doc ID', () =>
+   {
+      const docDB = DocDB.fromSnapshot(new DocDB({ docData: s_DOCS() }).getSnapshot());
+
+      assert.deepStrictEqual(s_SORTED_DOC_DATA(docDB), s_DOCS());
+      assert.strictEqual(docDB.getCurrentID(), 8);
+   });
+
+   it('a snapshot without doc data starts doc IDs at 0', () =>
+   {
+      const docDB = DocDB.fromSnapshot(new DocDB().getSnapshot());
+
+      assert.strictEqual(docDB.find().length, 0);
+      assert.strictEqual(docDB.getCurrentID(), 0);
+   });
+
+   it('a snapshot version mismatch throws', () =>
+   {
+      const snapshot = new DocDB({ docData: s_DOCS() }).getSnapshot();
+
+      snapshot.version += 1;
+
+      assert.throws(() => DocDB.fromSnapshot(snapshot),
+       new RegExp(`DocDB snapshot version '${snapshot.version}' is not supported`));
+
+      assert.throws(() => DocDB.fromSnapshot({ version: snapshot.version - 1 }),
+       /'snapshot\.docData' is not an 'array'/);
+   });
+});
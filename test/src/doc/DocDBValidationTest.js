@@ -0,0 +1,82 @@
+import assert          from 'assert';
+import TyphonEvents    from 'backbone-esnext-events';
+import PluginManager   from 'typhonjs-plugin-manager';
+
+import { DocDB }       from '../../../src/doc/DocDB.js';
+
+/**
+ * Creates a validating DocDB on an eventbus with the given `onHandleDocObject` plugins collecting invalid doc reports.
+ *
+ * @param {object<string, function>} plugins - `onHandleDocObject` callbacks by plugin name.
+ *
+ * @returns {{docDB: DocDB, invalidDocs: object[]}}
+ */
+function s_CREATE_DOCDB(plugins = {})
+{
+   const eventbus = new TyphonEvents();
+   const pluginManager = new PluginManager({ eventbus });
+   const invalidDocs = [];
+
+   for (const name of Object.keys(plugins))
+   {
+      pluginManager.add({ name, instance: { onHandleDocObject: plugins[name] } });
+   }
+
+   eventbus.on('tjsdoc:system:invalid:doc:add', (data) => invalidDocs.push(data));
+
+   return { docDB: new DocDB({ backend: 'native', eventbus, validate: true }), invalidDocs };
+}
+
+/**
+ * Returns a valid ModuleFunction DocObject.
+ *
+ * @returns {DocObject}
+ */
+function s_DOC()
+{
+   return { __docId__: 0, kind: 'ModuleFunction', name: 'a', longname: 'src/A.js~a', filePath: 'src/A.js',
+    access: 'public' };
+}
+
+describe('DocDB validation:', () =>
+{
+   it('violations are attributed to the first plugin after which they appear', () =>
+   {
+      const { docDB, invalidDocs } = s_CREATE_DOCDB({
+         'plugin-a': () => {},
+         'plugin-b': (ev) => { ev.data.docObject.since = 1; },
+         'plugin-c': (ev) => { ev.data.docObject.access = 'everyone'; }
+      });
+
+      docDB.insertDocObject(s_DOC());
+
+      assert.deepStrictEqual(invalidDocs.map((entry) => [entry.plugins, entry.violations.length]),
+       [[['plugin-b'], 1], [['plugin-c'], 1]]);
+   });
+
+   it('generated violations which plugins do not resolve are reported without plugins', () =>
+   {
+      const { docDB, invalidDocs } = s_CREATE_DOCDB({
+         'plugin-a': (ev) => { ev.data.docObject.access = 'everyone'; },
+         'plugin-b': (ev) => { delete ev.data.docObject.version; }
+      });
+
+      docDB.insertDocObject(Object.assign(s_DOC(), { since: 1, version: 2 }));
+
+      assert.deepStrictEqual(invalidDocs.map((entry) => [entry.plugins, entry.violations.length]),
+       [[['plugin-a'], 1], [[], 1]]);
+   });
+
+   it('DocDB insertion is validated', () =>
+   {
+      const other = new DocDB({ backend: 'native', docData: [Object.assign(s_DOC(), { since: 1 })] });
+
+      const { docDB, invalidDocs } = s_CREATE_DOCDB();
+
+      docDB.insert(other);
+
+      assert.strictEqual(invalidDocs.length, 1);
+      assert.deepStrictEqual(invalidDocs[0].plugins, []);
+      assert.strictEqual(docDB.find().length, 1);
+   });
+});
@@ -0,0 +1,159 @@
+import assert             from 'assert';
+
+import NativeDocBackend   from '../../../../src/doc/backend/NativeDocBackend.js';
+import TaffyDocBackend    from '../../../../src/doc/backend/TaffyDocBackend.js';
+
+/**
+ * Defines the DocObject fixture data; each backend receives a deep copy as TaffyDB modifies inserted records.
+ * @type {DocObject[]}
+ */
+const s_DOC_DATA =
+[
+   { name: 'Foo', longname: 'src/Foo.js~Foo', kind: 'ModuleClass', filePath: 'src/Foo.js', access: 'public',
+    lineNumber: 3, undocument: true, tags: ['a', 'b'], version: '1' },
+   { name: 'bar', longname: 'src/Foo.js~Foo#bar', kind: 'ClassMethod', filePath: 'src/Foo.js', access: 'private',
+    lineNumber: 10, undocument: false, memberof: 'src/Foo.js~Foo', tags: ['b'], version: 1 },
+   { name: 'baz', longname: 'src/Foo.js~Foo.baz', kind: 'ClassMethod', filePath: 'src/Foo.js', access: 'public',
+    lineNumber: 20, undocument: true, memberof: 'src/Foo.js~Foo', tags: [], version: null },
+   { name: 'Bar', longname: 'src/Bar.js~Bar', kind: 'ModuleClass', filePath: 'src/Bar.js', access: 'protected',
+    lineNumber: 1, undocument: true, version: '2' },
+   { name: 'qux', longname: 'src/Bar.js~qux', kind: 'ModuleFunction', filePath: 'src/Bar.js', access: 'public',
+    lineNumber: 42, undocument: true, tags: ['c'], version: 2 },
+   { name: 'QUX', longname: 'src/Bar.js~QUX', kind: 'ModuleVariable', filePath: 'src/Bar.js', access: 'public',
+    lineNumber: 50, undocument: true, version: true }
+];
+
+/**
+ * Defines TaffyDB queries covering each match operator which must select the same records in the same order for
+ * every backend.
+ * @type {Array<{title: string, query: Array}>}
+ */
+const s_QUERIES =
+[
+   { title: 'no query', query: [] },
+   { title: 'equality', query: [{ kind: 'ClassMethod' }] },
+   { title: 'equality array', query: [{ name: ['Foo', 'qux', 'missing'] }] },
+   { title: 'AND object', query: [{ kind: 'ModuleClass', access: 'public' }] },
+   { title: 'AND arguments', query: [{ filePath: 'src/Foo.js' }, { undocument: true }] },
+   { title: 'OR array', query: [[{ kind: 'ModuleFunction' }, { access: 'private' }]] },
+   { title: 'function', query: [function() { return this.lineNumber > 10; }] },
+   { title: 'regex', query: [{ longname: { regex: /Foo[#.]/ } }] },
+   { title: 'lt', query: [{ lineNumber: { lt: 10 } }] },
+   { title: '<', query: [{ lineNumber: { '<': 10 } }] },
+   { title: 'gt', query: [{ lineNumber: { gt: 10 } }] },
+   { title: '>', query: [{ lineNumber: { '>': 10 } }] },
+   { title: 'lte', query: [{ lineNumber: { lte: 10 } }] },
+   { title: '<=', query: [{ lineNumber: { '<=': 10 } }] },
+   { title: 'gte', query: [{ lineNumber: { gte: 20 } }] },
+   { title: '>=', query: [{ lineNumber: { '>=': 20 } }] },
+   { title: 'left', query: [{ longname: { left: 'src/Bar' } }] },
+   { title: 'leftnocase', query: [{ name: { leftnocase: 'ba' } }] },
+   { title: 'right', query: [{ name: { right: 'ar' } }] },
+   { title: 'rightnocase', query: [{ name: { rightnocase: 'UX' } }] },
+   { title: 'like', query: [{ longname: { like: 'Foo' } }] },
+   { title: 'likenocase', query: [{ longname: { likenocase: 'foo' } }] },
+   { title: 'is', query: [{ access: { is: 'public' } }] },
+   { title: '===', query: [{ version: { '===': 1 } }] },
+   { title: '== number', query: [{ version: { '==': 1 } }] },
+   { title: '== string', query: [{ version: { '==': '2' } }] },
+   { title: '== null', query: [{ version: { '==': null } }] },
+   { title: '!==', query: [{ version: { '!==': 1 } }] },
+   { title: '!= number', query: [{ version: { '!=': 1 } }] },
+   { title: '!= null', query: [{ version: { '!=': null } }] },
+   { title: 'isnocase', query: [{ name: { isnocase: 'qux' } }] },
+   { title: 'has', query: [{ tags: { has: 'b' } }] },
+   { title: 'hasAll', query: [{ tags: { hasAll: ['a', 'b'] } }] },
+   { title: 'contains', query: [{ tags: { contains: 'c' } }] },
+   { title: 'isArray', query: [{ tags: { isArray: true } }] },
+   { title: 'isBoolean', query: [{ version: { isBoolean: true } }] },
+   { title: 'isNull', query: [{ version: { isNull: true } }] },
+   { title: 'isNumber', query: [{ version: { isNumber: true } }] },
+   { title: 'isString', query: [{ version: { isString: true } }] },
+   { title: 'negated is', query: [{ access: { '!is': 'public' } }] },
+   { title: 'negated like', query: [{ longname: { '!like': 'Foo' } }] },
+   { title: 'negated has', query: [{ tags: { '!has': 'b' } }] },
+   { title: 'multiple operators', query: [{ lineNumber: { gt: 1, lt: 42 } }] },
+   { title: 'undefined field', query: [{ memberof: { '!is': 'missing' } }] }
+];
+
+/**
+ * Returns a backend instance of the given type with a copy of the fixture data.
+ *
+ * @param {Function} Backend - The backend class.
+ *
+ * @returns {TaffyDocBackend|NativeDocBackend}
+ */
+function s_CREATE_BACKEND(Backend)
+{
+   return new Backend(s_DOC_DATA.map((doc) => JSON.parse(JSON.stringify(doc))));
+}
+
+/**
+ * Returns the longnames of the given query result in result order.
+ *
+ * @param {TaffyDB|NativeQueryResult}  result - A query result.
+ *
+ * @returns {string[]}
+ */
+function s_LONGNAMES(result)
+{
+   return result.get().map((doc) => doc.longname);
+}
+
+describe('DocDB backend parity (taffydb / native):', () =>
+{
+   for (const { title, query } of s_QUERIES)
+   {
+      it(`query operator: ${title}`, () =>
+      {
+         const taffy = s_CREATE_BACKEND(TaffyDocBackend);
+         const native = s_CREATE_BACKEND(NativeDocBackend);
+
+         assert.deepStrictEqual(s_LONGNAMES(native.query(...query)), s_LONGNAMES(taffy.query(...query)));
+      });
+   }
+
+   it('count / first / distinct', () =>
+   {
+      const taffy = s_CREATE_BACKEND(TaffyDocBackend);
+      const native = s_CREATE_BACKEND(NativeDocBackend);
+
+      assert.strictEqual(native.query({ undocument: true }).count(), taffy.query({ undocument: true }).count());
+      assert.strictEqual(native.query({ kind: 'ClassMethod' }).first().longname,
+       taffy.query({ kind: 'ClassMethod' }).first().longname);
+      assert.deepStrictEqual(native.query().distinct('filePath'), taffy.query().distinct('filePath'));
+   });
+
+   it('order', () =>
+   {
+      const taffy = s_CREATE_BACKEND(TaffyDocBackend);
+      const native = s_CREATE_BACKEND(NativeDocBackend);
+
+      assert.deepStrictEqual(s_LONGNAMES(native.query().order('lineNumber desc')),
+       s_LONGNAMES(taffy.query().order('lineNumber desc')));
+   });
+
+   it('remove', () =>
+   {
+      const taffy = s_CREATE_BACKEND(TaffyDocBackend);
+      const native = s_CREATE_BACKEND(NativeDocBackend);
+
+      assert.strictEqual(native.query({ filePath: 'src/Foo.js' }).remove(),
+       taffy.query({ filePath: 'src/Foo.js' }).remove());
+
+      assert.deepStrictEqual(s_LONGNAMES(native.query()), s_LONGNAMES(taffy.query()));
+      assert.deepStrictEqual(s_LONGNAMES(native.query({ kind: 'ClassMethod' })), []);
+   });
+
+   it('update', () =>
+   {
+      const taffy = s_CREATE_BACKEND(TaffyDocBackend);
+      const native = s_CREATE_BACKEND(NativeDocBackend);
+
+      taffy.query({ name: 'qux' }).update({ kind: 'ModuleClass' });
+      native.query({ name: 'qux' }).update({ kind: 'ModuleClass' });
+
+      assert.deepStrictEqual(s_LONGNAMES(native.query({ kind: 'ModuleClass' })),
+       s_LONGNAMES(taffy.query({ kind: 'ModuleClass' })));
+   });
+});
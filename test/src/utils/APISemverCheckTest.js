@@ -0,0 +1,69 @@
+import assert          from 'assert';
+
+import { DocDB }       from '../../../src/doc/DocDB.js';
+import APISemverCheck  from '../../../src/utils/APISemverCheck.js';
+
+/**
+ * Creates a DocDB with an exported class and the given member docs.
+ *
+ * @param {DocObject[]} members - Member DocObjects of the class.
+ *
+ * @returns {DocDB}
+ */
+function s_CREATE_DOCDB(members)
+{
+   const docData = [{ __docId__: 0, kind: 'ModuleClass', name: 'Foo', longname: 'src/Foo.js~Foo',
+    filePath: 'src/Foo.js', access: 'public' }];
+
+   members.forEach((member, index) => docData.push(Object.assign({ __docId__: index + 1, kind: 'ClassMethod',
+    memberof: 'src/Foo.js~Foo', filePath: 'src/Foo.js', access: 'public' }, member)));
+
+   return new DocDB({ docData, backend: 'native' });
+}
+
+const s_GETTER = { name: 'value', longname: 'src/Foo.js~Foo#value', qualifier: 'get' };
+const s_SETTER = { name: 'value', longname: 'src/Foo.js~Foo#value', qualifier: 'set' };
+
+describe('APISemverCheck:', () =>
+{
+   it('getter / setter pairs are compared separately', () =>
+   {
+      const report = new APISemverCheck().check({ baseline: s_CREATE_DOCDB([s_GETTER, s_SETTER]),
+       docDB: s_CREATE_DOCDB([s_GETTER]), baselineVersion: '1.0.0', version: '2.0.0', silent: true });
+
+      assert.strictEqual(report.bump, 'major');
+      assert.deepStrictEqual(report.changes.map((change) => [change.level, change.reason, change.qualifier]),
+       [['major', 'removed', 'set']]);
+   });
+
+   it('adding a setter to an existing getter is a minor change', () =>
+   {
+      const report = new APISemverCheck().check({ baseline: s_CREATE_DOCDB([s_GETTER]),
+       docDB: s_CREATE_DOCDB([s_GETTER, s_SETTER]), baselineVersion: '1.0.0', version: '1.1.0', silent: true });
+
+      assert.strictEqual(report.requiredBump, 'minor');
+      assert.strictEqual(report.match, true);
+   });
+
+   it('version bump must equal the required bump', () =>
+   {
+      const check = new APISemverCheck();
+      const options = { baseline: s_CREATE_DOCDB([s_GETTER]), docDB: s_CREATE_DOCDB([s_GETTER, s_SETTER]),
+       baselineVersion: '1.0.0', silent: true };
+
+      assert.strictEqual(check.check(Object.assign({ version: '1.0.1' }, options)).match, false);
+      assert.strictEqual(check.check(Object.assign({ version: '2.0.0' }, options)).match, false);
+      assert.strictEqual(check.check(Object.assign({ version: '2.0.0', allowOverBump: true }, options)).match, true);
+   });
+
+   it('no API changes allow no version bump or a patch bump', () =>
+   {
+      const check = new APISemverCheck();
+      const options = { baseline: s_CREATE_DOCDB([s_GETTER]), docDB: s_CREATE_DOCDB([s_GETTER]),
+       baselineVersion: '1.0.0', silent: true };
+
+      assert.strictEqual(check.check(Object.assign({ version: '1.0.0' }, options)).match, true);
+      assert.strictEqual(check.check(Object.assign({ version: '1.0.1' }, options)).match, true);
+      assert.strictEqual(check.check(Object.assign({ version: '1.1.0' }, options)).match, false);
+   });
+});
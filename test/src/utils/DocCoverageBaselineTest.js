@@ -0,0 +1,99 @@
+import assert                from 'assert';
+import fs                    from 'fs';
+import os                    from 'os';
+import path                  from 'path';
+
+import { DocDB }             from '../../../src/doc/DocDB.js';
+import DocCoverageBaseline   from '../../../src/utils/DocCoverageBaseline.js';
+
+/**
+ * Creates a module function DocObject.
+ *
+ * @param {number}   id - The doc ID.
+ *
+ * @param {string}   filePath - The file path.
+ *
+ * @param {string}   name - The function name.
+ *
+ * @param {number}   lineNumber - The line number.
+ *
+ * @param {boolean}  [undocument=false] - True when undocumented.
+ *
+ * @returns {DocObject}
+ */
+function s_DOC(id, filePath, name, lineNumber, undocument = false)
+{
+   const doc = { __docId__: id, kind: 'ModuleFunction', name, longname: `${filePath}~${name}`, filePath,
+    access: 'public', lineNumber };
+
+   if (undocument) { doc.undocument = true; }
+
+   return doc;
+}
+
+/**
+ * Saves a baseline file for the given DocObjects in the OS temp directory.
+ *
+ * @param {DocObject[]} docData - DocObject data.
+ *
+ * @returns {string} The baseline file path.
+ */
+function s_SAVE_BASELINE(docData)
+{
+   return new DocCoverageBaseline().save({ filePath: s_BASELINE_PATH,
+    docDB: new DocDB({ docData, backend: 'native' }) });
+}
+
+/**
+ * The temporary baseline file path.
+ * @type {string}
+ */
+const s_BASELINE_PATH = path.join(os.tmpdir(), 'tjsdoc-test-coverage-baseline.json');
+
+describe('DocCoverageBaseline:', () =>
+{
+   after(() => { if (fs.existsSync(s_BASELINE_PATH)) { fs.unlinkSync(s_BASELINE_PATH); } });
+
+   it('moved undocumented doc objects are not new', () =>
+   {
+      const baseline = s_SAVE_BASELINE([s_DOC(0, 'src/A.js', 'a', 1), s_DOC(1, 'src/A.js', 'b', 5, true)]);
+
+      const docDB = new DocDB({ docData: [s_DOC(0, 'src/A.js', 'a', 1), s_DOC(1, 'src/A.js', 'b', 9, true),
+       s_DOC(2, 'src/A.js', 'c', 12)], backend: 'native' });
+
+      const comparison = new DocCoverageBaseline().compare({ baseline, docDB, silent: true });
+
+      assert.strictEqual(comparison.regressed, false);
+      assert.deepStrictEqual(comparison.files.map((file) => file.newUndocumented), [[]]);
+   });
+
+   it('newly undocumented doc objects are reported by longname', () =>
+   {
+      const baseline = s_SAVE_BASELINE([s_DOC(0, 'src/A.js', 'a', 1)]);
+
+      const docDB = new DocDB({ docData: [s_DOC(0, 'src/A.js', 'a', 3), s_DOC(1, 'src/A.js', 'b', 1, true)],
+       backend: 'native' });
+
+      const comparison = new DocCoverageBaseline().compare({ baseline, docDB, silent: true });
+
+      assert.deepStrictEqual(comparison.files[0].newUndocumented, [{ longname: 'src/A.js~b', lineNumber: 1 }]);
+      assert.deepStrictEqual(comparison.files[0].newUndocumentedLines, [1]);
+      assert.deepStrictEqual(comparison.regressedFiles, ['src/A.js']);
+   });
+
+   it('added files with undocumented doc objects regress', () =>
+   {
+      const baseline = s_SAVE_BASELINE([s_DOC(0, 'src/A.js', 'a', 1, true)]);
+
+      const docDB = new DocDB({ docData: [s_DOC(0, 'src/A.js', 'a', 1), s_DOC(1, 'src/B.js', 'b', 1, true),
+       s_DOC(2, 'src/C.js', 'c', 1)], backend: 'native' });
+
+      const comparison = new DocCoverageBaseline().compare({ baseline, docDB, silent: true });
+
+      assert.deepStrictEqual(comparison.files.map((file) => [file.filePath, file.status]),
+       [['src/A.js', 'changed'], ['src/B.js', 'added'], ['src/C.js', 'added']]);
+
+      assert.deepStrictEqual(comparison.regressedFiles, ['src/B.js']);
+      assert.strictEqual(comparison.regressed, true);
+   });
+});
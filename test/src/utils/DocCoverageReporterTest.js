@@ -0,0 +1,54 @@
+import assert                from 'assert';
+
+import { DocDB }             from '../../../src/doc/DocDB.js';
+import DocCoverageReporter   from '../../../src/utils/DocCoverageReporter.js';
+
+/**
+ * Creates source coverage where `src/A.js` has two documented doc objects on line 1, an undocumented doc object on
+ * line 5 and `src/B.js` one undocumented doc object on line 2.
+ *
+ * @returns {DocDBCoverage}
+ */
+function s_CREATE_COVERAGE()
+{
+   const docData =
+   [
+      { __docId__: 0, kind: 'ModuleFunction', name: 'a', longname: 'src/A.js~a', filePath: 'src/A.js',
+       access: 'public', lineNumber: 1 },
+      { __docId__: 1, kind: 'ModuleVariable', name: 'b', longname: 'src/A.js~b', filePath: 'src/A.js',
+       access: 'public', lineNumber: 1 },
+      { __docId__: 2, kind: 'ModuleFunction', name: 'c', longname: 'src/A.js~c', filePath: 'src/A.js',
+       access: 'public', lineNumber: 5, undocument: true },
+      { __docId__: 3, kind: 'ModuleFunction', name: 'd', longname: 'src/B.js~d', filePath: 'src/B.js',
+       access: 'public', lineNumber: 2, undocument: true }
+   ];
+
+   return new DocDB({ docData, backend: 'native' }).getSourceCoverage({ includeFiles: true });
+}
+
+describe('DocCoverageReporter:', () =>
+{
+   it('cobertura counts and rates are calculated from lines', () =>
+   {
+      const coverage = s_CREATE_COVERAGE();
+
+      assert.strictEqual(coverage.actualCount, 2);
+      assert.strictEqual(coverage.expectedCount, 4);
+
+      const report = new DocCoverageReporter().createReport({ type: 'cobertura', coverage });
+
+      assert.ok(/<coverage line-rate="0.3333333333333333" [^>]*lines-covered="1" lines-valid="3" /.test(report));
+      assert.ok(/<package name="documentation" line-rate="0.3333333333333333" /.test(report));
+      assert.ok(/<class name="src\/A.js" filename="src\/A.js" line-rate="0.5" /.test(report));
+      assert.ok(/<class name="src\/B.js" filename="src\/B.js" line-rate="0" /.test(report));
+      assert.strictEqual(report.match(/<line number="\d+" hits="1"\/>/g).length, 1);
+      assert.strictEqual(report.match(/<line number="\d+" hits="0"\/>/g).length, 2);
+   });
+
+   it('lcov line totals match cobertura', () =>
+   {
+      const report = new DocCoverageReporter().createReport({ type: 'lcov', coverage: s_CREATE_COVERAGE() });
+
+      assert.deepStrictEqual(report.match(/^L[FH]:\d+$/gm), ['LF:2', 'LH:1', 'LF:1', 'LH:0']);
+   });
+});
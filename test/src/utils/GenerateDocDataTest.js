@@ -0,0 +1,303 @@
+import assert          from 'assert';
+import fs              from 'fs';
+import os              from 'os';
+import path            from 'path';
+import TyphonEvents    from 'backbone-esnext-events';
+import PluginManager   from 'typhonjs-plugin-manager';
+
+import { DocDB }       from '../../../src/doc/DocDB.js';
+import { AbortError }  from '../../../src/utils/AbortError.js';
+
+/**
+ * The target project root path of the generated test files; files are not read unless the cache is enabled.
+ * @type {string}
+ */
+const s_ROOT_PATH = path.resolve('test/fixture/generate');
+
+/**
+ * Creates a plugin manager on a new eventbus loading the test generate plugin by target and invokes
+ * `onRuntimePreGenerateAsync`.
+ *
+ * @param {object}   [mainConfig] - Additional TJSDocConfig entries.
+ *
+ * @param {DocDB}    [docDB] - The main DocDB passed to `onRuntimePreGenerateAsync`.
+ *
+ * @param {object}   [packageObj] - The target project package.json object.
+ *
+ * @returns {Promise<TyphonEvents>}
+ */
+async function s_CREATE_EVENTBUS({ mainConfig = {}, docDB = void 0,
+ packageObj = { name: 'test-package', main: 'src/index.js' } } = {})
+{
+   const eventbus = new TyphonEvents();
+
+   new PluginManager({ eventbus });
+
+   await eventbus.triggerAsync('plugins:async:add',
+    { name: 'test-generate', target: path.join(s_ROOT_PATH, 'TestGeneratePlugin.js') });
+
+   await eventbus.triggerAsync('plugins:async:invoke:event', 'onRuntimePreGenerateAsync', void 0, {
+      docDB,
+      mainConfig: Object.assign({ _dirPath: s_ROOT_PATH, _includes: [/^src\//], _excludes: [] }, mainConfig),
+      packageObj
+   });
+
+   return eventbus;
+}
+
+/**
+ * Returns the file paths relative to the test root path.
+ *
+ * @param {string[]} filePaths - Absolute file paths.
+ *
+ * @returns {string[]}
+ */
+function s_RELATIVE(filePaths)
+{
+   return filePaths.map((filePath) => path.relative(s_ROOT_PATH, filePath));
+}
+
+describe('GenerateDocData:', () =>
+{
+   it('main DocDB changes are batched from pre-generation until completion', async() =>
+   {
+      const docEventbus = new TyphonEvents();
+      const docDB = new DocDB({ backend: 'native', eventbus: docEventbus });
+      const changes = [];
+
+      docEventbus.on('tjsdoc:data:docdb:changed', (change) => changes.push(change));
+
+      const eventbus = await s_CREATE_EVENTBUS({ docDB });
+
+      eventbus.triggerSync('tjsdoc:system:generate:source:doc:data',
+       { filePath: path.join(s_ROOT_PATH, 'src/A.js'), docDB, silent: true });
+
+      eventbus.triggerSync('tjsdoc:system:generate:source:doc:data',
+       { filePath: path.join(s_ROOT_PATH, 'src/B.js'), docDB, silent: true });
+
+      assert.strictEqual(changes.length, 0);
+
+      await eventbus.triggerAsync('plugins:async:invoke:event', 'onRuntimeCompleteAsync');
+
+      assert.strictEqual(changes.length, 1);
+      assert.strictEqual(changes[0].count, 4);
+      assert.deepStrictEqual(changes[0].filePaths, ['src/A.js', 'src/B.js']);
+   });
+
+   it('a batch emits a single change', async() =>
+   {
+      const eventbus = await s_CREATE_EVENTBUS();
+
+      const docEventbus = new TyphonEvents();
+      const docDB = new DocDB({ backend: 'native', eventbus: docEventbus });
+      const changes = [];
+
+      docEventbus.on('tjsdoc:data:docdb:changed', (change) => changes.push(change));
+
+      const summary = await eventbus.triggerAsync('tjsdoc:system:generate:source:doc:data:batch',
+       { filePaths: ['src/A.js', 'src/B.js', 'src/C.js'], docDB, poolSize: 0, silent: true });
+
+      assert.deepStrictEqual(s_RELATIVE(summary.parsed), ['src/A.js', 'src/B.js', 'src/C.js']);
+
+      assert.strictEqual(changes.length, 1);
+      assert.strictEqual(changes[0].count, 6);
+   });
+
+   it('a worker pool generates files from source in order', async() =>
+   {
+      const eventbus = await s_CREATE_EVENTBUS();
+
+      const summary = await eventbus.triggerAsync('tjsdoc:system:generate:source:doc:data:batch',
+       { filePaths: ['src/A.js', 'src/B.js', 'src/C.js', 'test/D.js'], poolSize: 2, silent: true });
+
+      assert.deepStrictEqual(s_RELATIVE(summary.parsed), ['src/A.js', 'src/B.js', 'src/C.js']);
+      assert.deepStrictEqual(s_RELATIVE(summary.skipped), ['test/D.js']);
+
+      const docs = summary.docDB.find().map((doc) => [doc.__docId__, doc.longname]).sort((a, b) => a[0] - b[0]);
+
+      assert.deepStrictEqual(docs, [
+         [0, 'src/A.js'], [1, 'src/A.js~A'],
+         [2, 'src/B.js'], [3, 'src/B.js~B'],
+         [4, 'src/C.js'], [5, 'src/C.js~C']
+      ]);
+   });
+
+   it('a worker error generating a file is logged for the file alone', async() =>
+   {
+      const eventbus = await s_CREATE_EVENTBUS();
+      const invalidCode = [];
+
+      eventbus.on('tjsdoc:system:invalid:code:add', (data) => invalidCode.push(data));
+
+      const summary = await eventbus.triggerAsync('tjsdoc:system:generate:source:doc:data:batch',
+       { filePaths: ['src/A.js', 'src/Fatal.js', 'src/Invalid.js', 'src/B.js'], handleError: 'log', poolSize: 2,
+        silent: true });
+
+      assert.deepStrictEqual(s_RELATIVE(summary.parsed), ['src/A.js', 'src/B.js']);
+
+      assert.deepStrictEqual(summary.failed.map((entry) => [path.relative(s_ROOT_PATH, entry.filePath),
+       entry.error.message]), [
+         ['src/Fatal.js', 'Traversal failed: src/Fatal.js'],
+         ['src/Invalid.js', `Unexpected token: ${path.join(s_ROOT_PATH, 'src/Invalid.js')}`]
+      ]);
+
+      assert.strictEqual(invalidCode.length, 2);
+      assert.strictEqual(invalidCode[0].fatalError.message, 'Traversal failed: src/Fatal.js');
+      assert.strictEqual(invalidCode[1].parserError.name, 'SyntaxError');
+   });
+
+   it('a worker error generating a file is thrown when not logged', async() =>
+   {
+      const eventbus = await s_CREATE_EVENTBUS();
+
+      await assert.rejects(eventbus.triggerAsync('tjsdoc:system:generate:source:doc:data:batch',
+       { filePaths: ['src/A.js', 'src/Fatal.js'], poolSize: 2, silent: true }), /Traversal failed: src\/Fatal\.js/);
+   });
+
+   for (const poolSize of [0, 2])
+   {
+      it(`an aborted batch leaves the DocDB unchanged (poolSize: ${poolSize})`, async() =>
+      {
+         const eventbus = await s_CREATE_EVENTBUS();
+         const signal = { aborted: false };
+
+         const docDB = new DocDB({ backend: 'native' });
+
+         docDB.insertDocObject({ __docId__: docDB.getCurrentIDAndIncrement(), kind: 'ModuleFile', name: 'src/A.js',
+          longname: 'src/A.js', filePath: 'src/A.js', access: 'public' });
+
+         const docs = docDB.find().map((doc) => [doc.__docId__, doc.longname]);
+         const docID = docDB.getCurrentID();
+
+         // Abort once the second file is generated.
+         eventbus.on('tjsdoc:system:generate:progress', ({ index }) => { if (index === 1) { signal.aborted = true; } });
+
+         await assert.rejects(eventbus.triggerAsync('tjsdoc:system:generate:source:doc:data:batch',
+          { filePaths: ['src/A.js', 'src/B.js', 'src/C.js'], docDB, poolSize, signal, silent: true }),
+           (err) => AbortError.isAbortError(err));
+
+         assert.deepStrictEqual(docDB.find().map((doc) => [doc.__docId__, doc.longname]), docs);
+         assert.strictEqual(docDB.getCurrentID(), docID);
+      });
+   }
+
+   describe('cache:', () =>
+   {
+      const cacheDirectory = path.join(os.tmpdir(), 'tjsdoc-test-generate-cache');
+
+      /**
+       * Creates an eventbus with the cache enabled and a plugin counting `onHandleDocObject` invocations for each
+       * DocObject.
+       *
+       * @param {object}   [mainConfig] - Additional TJSDocConfig entries.
+       *
+       * @param {object}   [packageObj] - The target project package.json object.
+       *
+       * @returns {Promise<TyphonEvents>}
+       */
+      const createEventbus = async({ mainConfig = {}, packageObj = void 0 } = {}) =>
+      {
+         const eventbus = await s_CREATE_EVENTBUS({ mainConfig: Object.assign({ cacheDirectory }, mainConfig),
+          packageObj });
+
+         await eventbus.triggerAsync('plugins:async:add', { name: 'test-handle', instance: {
+            onHandleDocObject: (ev) => { ev.data.docObject.handled = (ev.data.docObject.handled || 0) + 1; }
+         } });
+
+         return eventbus;
+      };
+
+      /**
+       * Generates `src/A.js` and `src/B.js` in a batch with the given pool size.
+       *
+       * @param {TyphonEvents}   eventbus - The eventbus.
+       *
+       * @param {number}         poolSize - The worker pool size.
+       *
+       * @returns {Promise<object>} The batch summary.
+       */
+      const generate = (eventbus, poolSize) => eventbus.triggerAsync('tjsdoc:system:generate:source:doc:data:batch',
+       { filePaths: ['src/A.js', 'src/B.js'], eventbus, poolSize, silent: true });
+
+      afterEach(async() =>
+      {
+         (await createEventbus()).triggerSync('tjsdoc:system:generate:cache:clear');
+
+         if (fs.existsSync(cacheDirectory)) { fs.rmdirSync(cacheDirectory); }
+      });
+
+      for (const poolSize of [0, 2])
+      {
+         it(`cache hits are generated DocObjects processed once by plugins (poolSize: ${poolSize})`, async() =>
+         {
+            const eventbus = await createEventbus();
+
+            const first = await generate(eventbus, poolSize);
+
+            assert.strictEqual(first.parsed.length, 2);
+            assert.deepStrictEqual(first.docDB.find().map((doc) => doc.handled), [1, 1, 1, 1]);
+
+            const second = await generate(eventbus, 0);
+
+            assert.strictEqual(second.cached.length, 2);
+            assert.deepStrictEqual(second.docDB.find().map((doc) => doc.handled), [1, 1, 1, 1]);
+         });
+      }
+
+      it('the package name and main file path are part of the cache key', async() =>
+      {
+         await generate(await createEventbus(), 0);
+
+         const summary = await generate(await createEventbus(
+          { packageObj: { name: 'renamed-package', main: 'src/index.js' } }), 0);
+
+         assert.strictEqual(summary.cached.length, 0);
+         assert.strictEqual(summary.parsed.length, 2);
+      });
+
+      it('cache hits include AST node data for plugins', async() =>
+      {
+         const eventbus = await createEventbus();
+         const nodeTypes = [];
+
+         await eventbus.triggerAsync('plugins:async:add', { name: 'test-node', instance: {
+            onHandleDocObject: (ev) => { if (ev.data.docObject.node) { nodeTypes.push(ev.data.docObject.node.type); } }
+         } });
+
+         const summaries = [];
+
+         for (let cntr = 0; cntr < 2; cntr++)
+         {
+            // AST node data is removed on insertion as TJSDocConfig `outputASTData` is not enabled.
+            const docDB = new DocDB({ backend: 'native', eventbus });
+
+            docDB._config = { outputASTData: false };
+
+            summaries.push(await eventbus.triggerAsync('tjsdoc:system:generate:source:doc:data:batch',
+             { filePaths: ['src/A.js', 'src/B.js'], docDB, poolSize: 0, silent: true }));
+
+            assert.ok(docDB.find().every((doc) => doc.node === void 0));
+         }
+
+         assert.strictEqual(summaries[1].cached.length, 2);
+         assert.deepStrictEqual(nodeTypes, ['FunctionDeclaration', 'FunctionDeclaration', 'FunctionDeclaration',
+          'FunctionDeclaration']);
+      });
+
+      it('only config entries which affect generation are part of the cache key with relative paths', async() =>
+      {
+         await generate(await createEventbus(
+          { mainConfig: { destination: path.join(s_ROOT_PATH, 'docs'), source: path.join(s_ROOT_PATH, 'src') } }), 0);
+
+         const cached = await generate(await createEventbus(
+          { mainConfig: { destination: 'out', docCoverage: false, source: 'src' } }), 0);
+
+         assert.strictEqual(cached.cached.length, 2);
+
+         const parsed = await generate(await createEventbus({ mainConfig: { outputASTData: true, source: 'src' } }), 0);
+
+         assert.strictEqual(parsed.cached.length, 0);
+         assert.strictEqual(parsed.parsed.length, 2);
+      });
+   });
+});
@@ -0,0 +1,80 @@
+import assert      from 'assert';
+
+import PathMatcher from '../../../src/utils/PathMatcher.js';
+
+describe('PathMatcher:', () =>
+{
+   it('RegExp source strings, RegExp instances and glob patterns include files', () =>
+   {
+      const matcher = new PathMatcher({ includes: ['^src/', /\.es6$/, 'glob:lib/**/*.js'] });
+
+      assert.strictEqual(matcher.match('src/index.js'), true);
+      assert.strictEqual(matcher.match('test/index.es6'), true);
+      assert.strictEqual(matcher.match('lib/a/b/index.js'), true);
+      assert.strictEqual(matcher.match('lib/index.ts'), false);
+      assert.strictEqual(matcher.match('test/index.js'), false);
+   });
+
+   it('a negated include entry excludes files matched by another include entry', () =>
+   {
+      const matcher = new PathMatcher({ includes: ['glob:src/**/*.js', 'glob:!src/vendor/**'] });
+
+      assert.strictEqual(matcher.match('src/index.js'), true);
+      assert.strictEqual(matcher.match('src/vendor/lib.js'), false);
+
+      const result = matcher.explain('src/vendor/lib.js');
+
+      assert.strictEqual(result.include, 'glob:src/**/*.js');
+      assert.strictEqual(result.includeNegation, 'glob:!src/vendor/**');
+      assert.strictEqual(result.reason, `'includes' entry 'glob:src/**/*.js' is negated by 'glob:!src/vendor/**'`);
+   });
+
+   it('a negated include entry alone does not include files', () =>
+   {
+      const matcher = new PathMatcher({ includes: ['glob:!src/vendor/**'] });
+
+      assert.strictEqual(matcher.match('src/index.js'), false);
+      assert.strictEqual(matcher.explain('src/index.js').reason, `not matched by any 'includes' entry`);
+   });
+
+   it('a negated exclude entry includes files excluded by another exclude entry', () =>
+   {
+      const matcher = new PathMatcher({ includes: ['^src/'], excludes: ['glob:src/internal/**', 'glob:!**/*Api.js'],
+       includesKey: 'test.includes', excludesKey: 'test.excludes' });
+
+      assert.strictEqual(matcher.match('src/index.js'), true);
+      assert.strictEqual(matcher.match('src/internal/util.js'), false);
+      assert.strictEqual(matcher.match('src/internal/PublicApi.js'), true);
+
+      assert.strictEqual(matcher.explain('src/internal/util.js').reason, `included by 'test.includes' entry '^src/' `
+       + `then excluded by 'test.excludes' entry 'glob:src/internal/**'`);
+
+      assert.strictEqual(matcher.explain('src/internal/PublicApi.js').reason, `included by 'test.includes' entry `
+       + `'^src/'; 'test.excludes' entry 'glob:src/internal/**' is negated by 'glob:!**/*Api.js'`);
+   });
+
+   it('a negated exclude entry alone does not exclude files', () =>
+   {
+      const matcher = new PathMatcher({ includes: ['^src/'], excludes: ['glob:!src/internal/**'] });
+
+      assert.strictEqual(matcher.match('src/index.js'), true);
+      assert.strictEqual(matcher.match('src/internal/util.js'), true);
+   });
+
+   it('compile omits negated glob entries', () =>
+   {
+      const regexes = PathMatcher.compile(['^src/', 'glob:src/**/*.js', 'glob:!src/vendor/**']);
+
+      assert.strictEqual(regexes.length, 2);
+      assert.ok(regexes.every((regex) => regex instanceof RegExp));
+      assert.ok(regexes[1].test('src/a/index.js'));
+   });
+
+   it('isValidEntry rejects invalid RegExp source strings and empty glob patterns', () =>
+   {
+      assert.strictEqual(PathMatcher.isValidEntry('glob:src/**/*.js'), true);
+      assert.strictEqual(PathMatcher.isValidEntry('**/*.js'), false);
+      assert.strictEqual(PathMatcher.isValidEntry('glob:!'), false);
+      assert.strictEqual(PathMatcher.isValidEntry(42), false);
+   });
+});
@@ -0,0 +1,187 @@
+import assert            from 'assert';
+import path              from 'path';
+import TyphonEvents      from 'backbone-esnext-events';
+
+import { DocDB }         from '../../../src/doc/DocDB.js';
+import { AbortError }    from '../../../src/utils/AbortError.js';
+import RegenerateDocData from '../../../src/utils/RegenerateDocData.js';
+
+/**
+ * The target project root path; files are not read.
+ * @type {string}
+ */
+const s_ROOT_PATH = path.resolve('test/fixture/regenerate');
+
+/**
+ * The dependent file paths of each file; `src/B.js` extends `src/A.js` and `src/C.js` extends `src/B.js`.
+ * @type {object}
+ */
+const s_DEPENDENTS = { 'src/A.js': ['src/B.js'], 'src/B.js': ['src/C.js'], 'src/C.js': [] };
+
+/**
+ * Returns the doc ID, longname and version of each DocObject in a DocDB ordered by doc ID.
+ *
+ * @param {DocDB}    docDB - A DocDB.
+ *
+ * @returns {Array<Array<number|string>>}
+ */
+function s_GET_DOCS(docDB)
+{
+   return docDB.find().map((doc) => [doc.__docId__, doc.longname, doc.version]).sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Inserts the ModuleFile and ModuleFunction DocObjects of a file.
+ *
+ * @param {DocDB}    docDB - The target DocDB.
+ *
+ * @param {string}   filePath - The relative file path.
+ *
+ * @param {number}   version - The generation version stored in each DocObject.
+ */
+function s_INSERT_FILE(docDB, filePath, version)
+{
+   const name = path.basename(filePath, '.js');
+
+   docDB.insert({ __docId__: docDB.getCurrentIDAndIncrement(), kind: 'ModuleFile', name: filePath,
+    longname: filePath, filePath, version, _custom_dependent_file_paths: s_DEPENDENTS[filePath] });
+
+   docDB.insert({ __docId__: docDB.getCurrentIDAndIncrement(), kind: 'ModuleFunction', name,
+    longname: `${filePath}~${name}`, filePath, version });
+}
+
+/**
+ * Creates a RegenerateDocData instance loaded on a new eventbus with a main DocDB of version 1 doc data. Source files
+ * are generated as version 2 doc data.
+ *
+ * @param {function} [onGenerate] - Invoked with the generate event data before a file is generated.
+ *
+ * @param {boolean}  [validate=false] - When true the main DocDB validates DocObjects on insertion.
+ *
+ * @returns {{docDB: DocDB, eventbus: TyphonEvents, generated: string[], regenerate: RegenerateDocData}}
+ */
+function s_CREATE_REGENERATE({ onGenerate = () => void 0, validate = false } = {})
+{
+   const eventbus = new TyphonEvents();
+   const docDB = new DocDB({ backend: 'native', eventbus, validate });
+   const generated = [];
+
+   for (const filePath of Object.keys(s_DEPENDENTS)) { s_INSERT_FILE(docDB, filePath, 1); }
+
+   eventbus.on('tjsdoc:system:docdb:create', ({ eventbus, mode } = {}) =>
+    new DocDB({ backend: 'native', eventbus, mode }));
+
+   eventbus.on('tjsdoc:system:generate:source:doc:data', (data) =>
+   {
+      generated.push(data.filePath);
+
+      onGenerate(data);
+
+      s_INSERT_FILE(data.docDB, path.relative(s_ROOT_PATH, path.resolve(s_ROOT_PATH, data.filePath)), 2);
+
+      return data.docDB;
+   });
+
+   const regenerate = new RegenerateDocData();
+
+   regenerate.onPluginLoad({ eventbus });
+   regenerate.onRuntimePreGenerateAsync({ eventbus, data: { docDB, mainConfig: { _dirPath: s_ROOT_PATH } } });
+
+   return { docDB, eventbus, generated, regenerate };
+}
+
+describe('RegenerateDocData:', () =>
+{
+   it('an absolute file path regenerates its transitive dependent files', () =>
+   {
+      const { docDB, generated, regenerate } = s_CREATE_REGENERATE();
+
+      const filePaths = regenerate.regenerateSourceDocData({ filePath: path.join(s_ROOT_PATH, 'src/A.js'),
+       silent: true });
+
+      assert.deepStrictEqual(filePaths, ['src/A.js', 'src/B.js', 'src/C.js']);
+
+      assert.deepStrictEqual(generated, ['src/A.js', 'src/B.js', 'src/C.js'].map((filePath) =>
+       path.join(s_ROOT_PATH, filePath)));
+
+      assert.deepStrictEqual(docDB.find().map((doc) => doc.version), [2, 2, 2, 2, 2, 2]);
+   });
+
+   it('a relative file path regenerates its transitive dependent files', () =>
+   {
+      const { generated, regenerate } = s_CREATE_REGENERATE();
+
+      const filePaths = regenerate.regenerateSourceDocData({ filePath: 'src/B.js', silent: true });
+
+      assert.deepStrictEqual(filePaths, ['src/B.js', 'src/C.js', 'src/A.js']);
+      assert.deepStrictEqual(generated.slice(1), ['src/C.js', 'src/A.js'].map((filePath) =>
+       path.join(s_ROOT_PATH, filePath)));
+   });
+
+   it('a failed regeneration restores the previous doc data and doc ID as a single change', () =>
+   {
+      const { docDB, eventbus, regenerate } = s_CREATE_REGENERATE({ validate: true });
+      const changes = [];
+      const invalidDocs = [];
+
+      const docs = s_GET_DOCS(docDB);
+      const docID = docDB.getCurrentID();
+
+      eventbus.on('tjsdoc:data:docdb:changed', (change) => changes.push(change));
+      eventbus.on('tjsdoc:system:invalid:doc:add', (data) => invalidDocs.push(data));
+
+      // Fail after the regenerated doc data is inserted into the main DocDB.
+      eventbus.on('tjsdoc:system:resolver:docdb:resolve', () => { throw new Error('Resolution failed.'); });
+
+      assert.throws(() => regenerate.regenerateSourceDocData({ filePath: 'src/A.js', silent: true }),
+       /Resolution failed\./);
+
+      assert.deepStrictEqual(s_GET_DOCS(docDB), docs);
+
+      assert.strictEqual(docDB.getCurrentID(), docID);
+
+      // Only the regenerated DocObjects are validated on insertion; the restored DocObjects are not reported again.
+      assert.strictEqual(invalidDocs.length, 6);
+
+      const rollback = changes[changes.length - 1];
+
+      assert.strictEqual(rollback.operation, 'rollback');
+      assert.deepStrictEqual(rollback.filePaths, ['src/A.js', 'src/B.js', 'src/C.js']);
+   });
+
+   it('a regeneration aborted while generating a dependent file leaves the DocDB unchanged', () =>
+   {
+      const signal = { aborted: false };
+
+      const { docDB, regenerate } = s_CREATE_REGENERATE({ onGenerate: (data) =>
+      {
+         if (data.filePath.endsWith('B.js')) { signal.aborted = true; }
+      } });
+
+      const docs = s_GET_DOCS(docDB);
+      const docID = docDB.getCurrentID();
+
+      assert.throws(() => regenerate.regenerateSourceDocData({ filePath: 'src/A.js', signal, silent: true }),
+       (err) => AbortError.isAbortError(err));
+
+      assert.deepStrictEqual(s_GET_DOCS(docDB), docs);
+      assert.strictEqual(docDB.getCurrentID(), docID);
+   });
+
+   it('a regeneration aborted after inserting the regenerated doc data leaves the DocDB unchanged', () =>
+   {
+      const signal = { aborted: false };
+      const { docDB, eventbus, regenerate } = s_CREATE_REGENERATE();
+
+      const docs = s_GET_DOCS(docDB);
+      const docID = docDB.getCurrentID();
+
+      eventbus.on('tjsdoc:system:resolver:docdb:resolve', () => { signal.aborted = true; });
+
+      assert.throws(() => regenerate.regenerateSourceDocData({ filePath: 'src/A.js', signal, silent: true }),
+       (err) => AbortError.isAbortError(err));
+
+      assert.deepStrictEqual(s_GET_DOCS(docDB), docs);
+      assert.strictEqual(docDB.getCurrentID(), docID);
+   });
+});
@@ -0,0 +1,206 @@
+import assert            from 'assert';
+import path              from 'path';
+import TyphonEvents      from 'backbone-esnext-events';
+
+import { DocDB }         from '../../../src/doc/DocDB.js';
+import { AbortError }    from '../../../src/utils/AbortError.js';
+import RegenerateDocData from '../../../src/utils/RegenerateDocData.js';
+import WatchDocData      from '../../../src/utils/WatchDocData.js';
+
+/**
+ * The target project root path; files are not read.
+ * @type {string}
+ */
+const s_ROOT_PATH = path.resolve('test/fixture/watch');
+
+/**
+ * Creates a WatchDocData instance loaded on a new eventbus which includes all files and processes changes without a
+ * chokidar watcher. `src/B.js` depends on `src/A.js` until `src/A.js` is removed.
+ *
+ * @param {function} [onRegenerate] - Invoked with the regenerate event data before a file is regenerated.
+ *
+ * @returns {{eventbus: TyphonEvents, watch: WatchDocData, completed: object[]}}
+ */
+function s_CREATE_WATCH(onRegenerate = () => void 0)
+{
+   const eventbus = new TyphonEvents();
+   const removed = new Set();
+   const completed = [];
+
+   const docDB = {
+      findDependentFiles: (filePath) => filePath === 'src/A.js' && !removed.has(filePath) ? ['src/B.js'] : []
+   };
+
+   eventbus.on('tjsdoc:system:generate:explain', ({ filePath }) =>
+    ({ included: true, relativeFilePath: path.relative(s_ROOT_PATH, filePath) }));
+
+   eventbus.on('tjsdoc:system:regenerate:file:doc:data:remove', ({ filePath }) => removed.add(filePath));
+
+   eventbus.on('tjsdoc:system:regenerate:source:doc:data', (data) =>
+   {
+      onRegenerate(data);
+
+      return [];
+   });
+
+   eventbus.on('tjsdoc:system:watch:complete', (summary) => completed.push(summary));
+
+   const watch = new WatchDocData();
+
+   watch.onPluginLoad({ eventbus });
+   watch.onRuntimePreGenerateAsync({ eventbus, data: { docDB, mainConfig: { _dirPath: s_ROOT_PATH } } });
+
+   // Process changes without starting a chokidar watcher.
+   watch._options = { debounce: 0, publish: false, silent: true };
+   watch._testPaths = [];
+   watch._watcher = {};
+
+   return { eventbus, watch, completed };
+}
+
+/**
+ * Creates a WatchDocData instance with a RegenerateDocData instance loaded on a new eventbus with a main DocDB where
+ * `src/B.js` depends on `src/A.js`. Files are generated with the ModuleFile `_custom_dependent_file_paths` set by the
+ * core doc resolver and changes are processed without a chokidar watcher.
+ *
+ * @returns {{docDB: DocDB, watch: WatchDocData, completed: object[], published: object[]}}
+ */
+function s_CREATE_REGENERATE_WATCH()
+{
+   const eventbus = new TyphonEvents();
+   const docDB = new DocDB({ backend: 'native' });
+   const completed = [];
+   const published = [];
+
+   const insertFile = (targetDocDB, filePath) => targetDocDB.insertDocObject({
+      __docId__: targetDocDB.getCurrentIDAndIncrement(), kind: 'ModuleFile', name: filePath, longname: filePath,
+      filePath, _custom_dependent_file_paths: filePath === 'src/A.js' ? ['src/B.js'] : []
+   });
+
+   insertFile(docDB, 'src/A.js');
+   insertFile(docDB, 'src/B.js');
+
+   eventbus.on('tjsdoc:system:generate:explain', ({ filePath }) =>
+    ({ included: true, relativeFilePath: path.relative(s_ROOT_PATH, filePath) }));
+
+   eventbus.on('tjsdoc:system:docdb:create', ({ eventbus, mode } = {}) =>
+    new DocDB({ backend: 'native', eventbus, mode }));
+
+   eventbus.on('tjsdoc:system:generate:source:doc:data', (data) =>
+   {
+      insertFile(data.docDB, path.relative(s_ROOT_PATH, data.filePath));
+
+      return data.docDB;
+   });
+
+   eventbus.on('tjsdoc:system:publisher:publish', ({ fileAction, filePath }) => published.push([fileAction, filePath]));
+   eventbus.on('tjsdoc:system:watch:complete', (summary) => completed.push(summary));
+
+   const regenerate = new RegenerateDocData();
+   const watch = new WatchDocData();
+
+   for (const plugin of [regenerate, watch])
+   {
+      plugin.onPluginLoad({ eventbus });
+      plugin.onRuntimePreGenerateAsync({ eventbus, data: { docDB, mainConfig: { _dirPath: s_ROOT_PATH } } });
+   }
+
+   watch._options = { debounce: 0, publish: true, silent: true };
+   watch._testPaths = [];
+   watch._watcher = {};
+
+   return { docDB, watch, completed, published };
+}
+
+describe('WatchDocData:', () =>
+{
+   it('a file added then removed is dropped from the debounced changes', () =>
+   {
+      const { watch } = s_CREATE_WATCH();
+
+      const filePath = path.join(s_ROOT_PATH, 'src/A.js');
+
+      watch._queue('add', filePath);
+      watch._queue('change', filePath);
+
+      assert.strictEqual(watch._pending.get(filePath), 'add');
+
+      watch._queue('unlink', filePath);
+
+      clearTimeout(watch._timer);
+
+      assert.strictEqual(watch._pending.has(filePath), false);
+   });
+
+   it('a file removed then added is changed', () =>
+   {
+      const { watch } = s_CREATE_WATCH();
+
+      const filePath = path.join(s_ROOT_PATH, 'src/A.js');
+
+      watch._queue('unlink', filePath);
+      watch._queue('add', filePath);
+
+      clearTimeout(watch._timer);
+
+      assert.strictEqual(watch._pending.get(filePath), 'change');
+   });
+
+   it('the dependents of a removed file are regenerated after a cancelled run', async() =>
+   {
+      let cancel = true;
+
+      const { watch, completed } = s_CREATE_WATCH(({ signal }) =>
+      {
+         // Cancel the first run as the dependent file is regenerated.
+         if (cancel)
+         {
+            cancel = false;
+            signal.aborted = true;
+            throw new AbortError();
+         }
+      });
+
+      watch._pending = new Map([[path.join(s_ROOT_PATH, 'src/A.js'), 'unlink']]);
+
+      await watch._runLoop();
+
+      assert.strictEqual(completed.length, 1);
+      assert.deepStrictEqual(completed[0].removed, ['src/A.js']);
+      assert.deepStrictEqual(completed[0].regenerated, ['src/B.js']);
+   });
+
+   it('a changed file regenerates and publishes its dependent files', async() =>
+   {
+      const { watch, completed, published } = s_CREATE_REGENERATE_WATCH();
+
+      watch._pending = new Map([[path.join(s_ROOT_PATH, 'src/A.js'), 'change']]);
+
+      await watch._runLoop();
+
+      assert.strictEqual(completed.length, 1);
+      assert.deepStrictEqual(completed[0].regenerated, ['src/A.js']);
+      assert.deepStrictEqual(published, [['change', 'src/A.js'], ['change', 'src/B.js']]);
+   });
+
+   it('a failed run triggers an error event with the partial summary', async() =>
+   {
+      const { eventbus, watch, completed } = s_CREATE_WATCH();
+      const errors = [];
+
+      eventbus.on('tjsdoc:system:publisher:publish', () => { throw new Error('Publishing failed.'); });
+      eventbus.on('tjsdoc:system:watch:error', (data) => errors.push(data));
+
+      watch._options.publish = true;
+      watch._pending = new Map([[path.join(s_ROOT_PATH, 'src/A.js'), 'unlink']]);
+
+      await watch._runLoop();
+
+      assert.strictEqual(completed.length, 0);
+      assert.strictEqual(errors.length, 1);
+      assert.strictEqual(errors[0].error.message, 'Publishing failed.');
+
+      assert.deepStrictEqual(errors[0].summary,
+       { removed: ['src/A.js'], regenerated: ['src/B.js'], published: [], failed: [] });
+   });
+});